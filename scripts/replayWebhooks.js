@@ -0,0 +1,192 @@
+/**
+ * Replay recorded Roanuz webhook payloads through the normal feed pipeline
+ * (caches, socket push via Redis pub/sub, key events, Mongo backup).
+ *
+ * Record first by running the API with RECORD_WEBHOOKS=true, then:
+ *
+ *   npm run replay -- --list
+ *   npm run replay -- <matchKey> [--speed 10] [--from-over b_1:15] [--max-gap 30] [--as <matchKey>] [--reset-events]
+ *
+ *   --speed        Playback speed (1 = real time, 0 = as fast as possible). Default 1
+ *   --from-over    Start once this many overs are bowled, optionally in a given innings ("15" or "b_1:15").
+ *                  The last payload before that point is sent straight away so clients start from the right score.
+ *   --max-gap      Longest wait between two payloads in seconds (skips innings breaks, rain...). Default 30
+ *   --as           Replay under another match key so the real match data isn't overwritten
+ *   --reset-events Delete stored key events for the (replayed) match before starting
+ *
+ * Sockets live in the API process, so the API must be running against the same Redis to see the updates.
+ */
+require('../src/config/dotenv');
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const cacheService = require('../src/services/cacheService');
+const pubSubService = require('../src/services/pubSubService');
+const matchFeedService = require('../src/services/matchFeedService');
+const socketScorecardService = require('../src/services/socketScorecardService');
+const WebhookRecording = require('../src/models/WebhookRecording');
+const MatchEvent = require('../src/models/MatchEvent');
+
+function parseArgs(argv) {
+  const options = { speed: 1, maxGap: 30, fromOver: null, as: null, resetEvents: false, list: false, matchKey: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--speed': options.speed = Number(argv[++i]); break;
+      case '--max-gap': options.maxGap = Number(argv[++i]); break;
+      case '--from-over': options.fromOver = parseFromOver(argv[++i]); break;
+      case '--as': options.as = argv[++i]; break;
+      case '--reset-events': options.resetEvents = true; break;
+      case '--list': options.list = true; break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        options.matchKey = arg;
+    }
+  }
+
+  if (Number.isNaN(options.speed) || options.speed < 0) throw new Error('--speed must be a number >= 0');
+  if (Number.isNaN(options.maxGap) || options.maxGap < 0) throw new Error('--max-gap must be a number >= 0');
+
+  return options;
+}
+
+// "15" → { inningsKey: null, over: 15 }, "b_1:15" → { inningsKey: 'b_1', over: 15 }
+function parseFromOver(value) {
+  const [first, second] = String(value || '').split(':');
+  const inningsKey = second === undefined ? null : first;
+  const over = Number(second === undefined ? first : second);
+
+  if (Number.isNaN(over)) throw new Error(`Invalid --from-over value "${value}"`);
+  return { inningsKey, over };
+}
+
+function isAtOrAfter(recording, fromOver, seenInnings) {
+  if (fromOver.inningsKey) {
+    // Later innings count as "after" once the requested one has been seen
+    if (recording.innings_key !== fromOver.inningsKey) {
+      return seenInnings.has(fromOver.inningsKey);
+    }
+  }
+  return (recording.overs?.[0] || 0) >= fromOver.over;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitForRedis(timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (!cacheService.isConnected && Date.now() - startedAt < timeoutMs) {
+    await sleep(200);
+  }
+  if (!cacheService.isConnected) {
+    console.warn('⚠️ Redis not connected - updates will not reach the API process');
+    return;
+  }
+  await pubSubService.initialize();
+}
+
+async function listRecordings() {
+  const matches = await WebhookRecording.aggregate([
+    { $group: { _id: '$match_key', payloads: { $sum: 1 }, first: { $min: '$received_at' }, last: { $max: '$received_at' } } },
+    { $sort: { last: -1 } },
+  ]);
+
+  if (matches.length === 0) {
+    console.log('No recordings yet (run the API with RECORD_WEBHOOKS=true)');
+    return;
+  }
+
+  matches.forEach(({ _id, payloads, first, last }) => {
+    console.log(`${_id}  ${payloads} payloads  ${first.toISOString()} → ${last.toISOString()}`);
+  });
+}
+
+async function replay(options) {
+  const recordings = await WebhookRecording.find({ match_key: options.matchKey })
+    .select('received_at innings_key overs')
+    .sort({ received_at: 1 })
+    .lean();
+
+  if (recordings.length === 0) {
+    throw new Error(`No recordings found for ${options.matchKey}`);
+  }
+
+  const targetKey = options.as || options.matchKey;
+
+  // Start from a clean slate: older versions must be accepted again and the first payload only seeds event detection
+  await matchFeedService.resetFeedVersion(targetKey);
+  await cacheService.delete(`match-state:${targetKey}`);
+  if (options.resetEvents) {
+    await MatchEvent.deleteMany({ match_key: targetKey });
+  }
+
+  let startIndex = 0;
+  if (options.fromOver) {
+    const seenInnings = new Set();
+    startIndex = recordings.findIndex((recording) => {
+      seenInnings.add(recording.innings_key);
+      return isAtOrAfter(recording, options.fromOver, seenInnings);
+    });
+    if (startIndex === -1) {
+      throw new Error(`Recording for ${options.matchKey} never reaches the requested over`);
+    }
+    // Send the last payload before the start point immediately
+    startIndex = Math.max(startIndex - 1, 0);
+  }
+
+  console.log(`▶️ Replaying ${recordings.length - startIndex} payloads for ${options.matchKey}${options.as ? ` as ${targetKey}` : ''} at ${options.speed || 'max'}x`);
+
+  for (let i = startIndex; i < recordings.length; i++) {
+    if (i > startIndex && options.speed > 0) {
+      const gap = recordings[i].received_at - recordings[i - 1].received_at;
+      await sleep(Math.min(gap, options.maxGap * 1000) / options.speed);
+    }
+
+    const { payload } = await WebhookRecording.findById(recordings[i]._id).select('payload').lean();
+    if (options.as) {
+      payload.key = targetKey;
+    }
+
+    const { innings_key: inningsKey, overs = [] } = recordings[i];
+    console.log(`📼 [${i + 1}/${recordings.length}] ${inningsKey || '-'} ${overs[0] ?? 0}.${overs[1] ?? 0}`);
+    await matchFeedService.processMatchData(payload);
+  }
+
+  // Last update may still be held by the emit coalescing window
+  await socketScorecardService.flushScorecardUpdates();
+
+  console.log('✅ Replay finished');
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    if (!options.list && !options.matchKey) {
+      throw new Error('Usage: replayWebhooks.js <matchKey> [--speed N] [--from-over [innings:]over] [--max-gap s] [--as key] [--reset-events] | --list');
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  try {
+    if (options.list) {
+      await listRecordings();
+    } else {
+      await waitForRedis();
+      await replay(options);
+    }
+  } catch (error) {
+    console.error('❌ Replay failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    // Redis clients keep the event loop alive
+    process.exit();
+  }
+}
+
+main();
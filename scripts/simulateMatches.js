@@ -0,0 +1,148 @@
+/**
+ * Drive the webhook pipeline with synthetic matches, posting gzip-compressed Roanuz-shaped
+ * payloads to /webhooks/roanuz/match/feed/v1 after every ball - like Roanuz does.
+ *
+ *   npm run simulate -- [--matches 20] [--format t20|odi|test] [--interval 1000] [--teams "India,Australia"]
+ *                       [--url http://localhost:5000/webhooks/roanuz/match/feed/v1] [--api-key KEY] [--seed 42] [--max-balls N]
+ *
+ *   --matches    Number of concurrent matches. Default 1
+ *   --format     Match format. Default t20
+ *   --interval   Milliseconds between balls of a match. Default 1000
+ *   --teams      Team names for team a and b (every match uses the same pair)
+ *   --url        Webhook URL. Default BASE_URL + /webhooks/roanuz/match/feed/v1
+ *   --api-key    Sent as rs-api-key. Default ROANUZ_WEBHOOK_API_KEY from the environment
+ *   --seed       Base random seed (match n uses seed + n) so runs can be repeated
+ *   --max-balls  Stop each match after this many deliveries (handy for quick load tests)
+ *
+ * Match keys look like sim-<format>-<run id>-<n> so they never clash with real matches.
+ */
+require('../src/config/dotenv');
+
+const zlib = require('zlib');
+const axios = require('axios');
+const { MatchSimulator, FORMATS } = require('../src/utils/matchSimulator');
+const { BASE_URL } = require('../src/config/constants');
+
+function parseArgs(argv) {
+  const options = {
+    matches: 1,
+    format: 't20',
+    interval: 1000,
+    teams: null,
+    url: `${BASE_URL}/webhooks/roanuz/match/feed/v1`,
+    apiKey: process.env.ROANUZ_WEBHOOK_API_KEY,
+    seed: Date.now(),
+    maxBalls: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    switch (arg) {
+      case '--matches': options.matches = Number(value); i++; break;
+      case '--format': options.format = value; i++; break;
+      case '--interval': options.interval = Number(value); i++; break;
+      case '--teams': options.teams = parseTeams(value); i++; break;
+      case '--url': options.url = value; i++; break;
+      case '--api-key': options.apiKey = value; i++; break;
+      case '--seed': options.seed = Number(value); i++; break;
+      case '--max-balls': options.maxBalls = Number(value); i++; break;
+      default: throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  if (!Number.isInteger(options.matches) || options.matches < 1) throw new Error('--matches must be a positive integer');
+  if (Number.isNaN(options.interval) || options.interval < 0) throw new Error('--interval must be a number >= 0');
+  if (Number.isNaN(options.seed)) throw new Error('--seed must be a number');
+  if (!FORMATS[options.format === 'odi' ? 'oneday' : options.format]) throw new Error(`Unknown format "${options.format}" (use t20, odi or test)`);
+
+  return options;
+}
+
+// "India,Australia" → { a: { key: 'india', code: 'IND', name: 'India' }, b: {...} }
+function parseTeams(value) {
+  const names = String(value || '').split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length !== 2) throw new Error('--teams expects two comma separated names');
+
+  const [a, b] = names.map(name => ({
+    key: name.toLowerCase().replace(/[^a-z0-9]+/g, '_'),
+    code: name.replace(/[^A-Za-z]/g, '').slice(0, 3).toUpperCase(),
+    name,
+  }));
+  return { a, b };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const stats = { sent: 0, failed: 0, totalLatency: 0, maxLatency: 0 };
+
+async function postPayload(options, payload) {
+  const body = zlib.gzipSync(JSON.stringify({ data: payload }));
+  const startedAt = Date.now();
+
+  try {
+    await axios.post(options.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(options.apiKey ? { 'rs-api-key': options.apiKey } : {}),
+      },
+      timeout: 30000,
+    });
+    const latency = Date.now() - startedAt;
+    stats.sent += 1;
+    stats.totalLatency += latency;
+    stats.maxLatency = Math.max(stats.maxLatency, latency);
+  } catch (error) {
+    stats.failed += 1;
+    console.error(`❌ ${payload.key}: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+  }
+}
+
+async function runMatch(options, index, runId) {
+  const simulator = new MatchSimulator({
+    key: `sim-${options.format}-${runId}-${index + 1}`,
+    format: options.format,
+    teams: options.teams,
+    seed: options.seed + index,
+  });
+
+  // Spread the matches over one interval so they don't all post at the same moment
+  await sleep((options.interval / options.matches) * index);
+
+  let balls = 0;
+  while (!simulator.isFinished && (!options.maxBalls || balls < options.maxBalls)) {
+    simulator.nextBall();
+    balls += 1;
+    await postPayload(options, simulator.toPayload());
+    await sleep(options.interval);
+  }
+
+  const result = simulator.result?.msg || `stopped after ${balls} balls`;
+  console.log(`🏁 ${simulator.key}: ${result}`);
+}
+
+function logStats() {
+  const average = stats.sent > 0 ? Math.round(stats.totalLatency / stats.sent) : 0;
+  console.log(`📊 sent ${stats.sent}, failed ${stats.failed}, avg ${average}ms, max ${stats.maxLatency}ms`);
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const runId = Date.now().toString(36);
+  console.log(`▶️ Simulating ${options.matches} ${options.format} match(es) → ${options.url}`);
+
+  const statsTimer = setInterval(logStats, 10000);
+  await Promise.all(Array.from({ length: options.matches }, (_, index) => runMatch(options, index, runId)));
+  clearInterval(statsTimer);
+
+  logStats();
+}
+
+main();
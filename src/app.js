@@ -10,6 +10,8 @@ const { PORT, ROANUZ_API_URL, ROANUZ_PROJ_KEY, ROANUZ_API_KEY } = require('./con
 
 const cacheService = require('./services/cacheService');
 const socketScorecardService = require('./services/socketScorecardService');
+const sseService = require('./services/sseService');
+const pubSubService = require('./services/pubSubService');
 
 const apiRoutes = require('./routes/api');
 const matchRoutes = require('./routes/matchRoutes');
@@ -20,6 +22,8 @@ const searchRoutes = require('./routes/searchRoutes');
 const newsRoutes = require('./routes/newsRoutes');
 const profileRoutes = require('./routes/profileRoutes');
 const webhookRoutes = require('./routes/webhook');
+const adminRoutes = require('./routes/adminRoutes');
+const toolsRoutes = require('./routes/toolsRoutes');
 
 // const { ROANUZ_WEBHOOK_FEED_PATH } = require('./config/constants');
 // const roanuzWebhookRouter = require('./routes/roanuzWebhook');
@@ -57,6 +61,8 @@ app.use('/api/search', searchRoutes);
 app.use('/api/unofficial', unofficialRoutes);
 app.use('/api/news', newsRoutes);
 app.use('/api/profile', profileRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/tools', toolsRoutes);
 // app.use('/webhooks/roanuz', roanuzWebhookRouter);
 // app.get('/_debug/webhook-url', (req, res) => {
 //   const base = `${req.protocol}://${req.get('host')}`;
@@ -81,6 +87,12 @@ app.get('/', (req, res) => {
         scorecardDetailed: '/api/matches/:matchKey/scorecard-detailed',
         statistics: '/api/matches/:matchKey/statistics',
         ballByBall: '/api/matches/:matchKey/ball-by-ball',
+        events: '/api/matches/:matchKey/events',
+        stream: '/api/matches/:matchKey/stream',
+        viewers: '/api/matches/:matchKey/viewers',
+        charts: '/api/matches/:matchKey/charts',
+        partnerships: '/api/matches/:matchKey/partnerships',
+        matchups: '/api/matches/:matchKey/matchups',
         tournamentMatches: '/api/matches/tournament/:tournamentKey'
       },
       tournaments: {
@@ -107,7 +119,16 @@ app.get('/', (req, res) => {
       },
       monitor: {
         cacheStats: '/api/monitor/cache',
-        clearCache: '/api/monitor/cache/clear'
+        clearCache: '/api/monitor/cache/clear',
+        sockets: '/api/monitor/sockets',
+        webhooks: '/api/monitor/webhooks'
+      },
+      admin: {
+        failedWebhooks: '/api/admin/webhooks/failed?status=pending&stage=mongo_upsert&match_key=',
+        failedWebhook: '/api/admin/webhooks/failed/:id',
+        retryFailedWebhook: '/api/admin/webhooks/failed/:id/retry',
+        discardFailedWebhook: '/api/admin/webhooks/failed/:id/discard',
+        webhookSubscriptions: '/api/admin/webhooks/subscriptions?status=subscribed'
       },
       rankings: {
         teams: '/api/rankings/teams?format=test&gender=men',
@@ -126,6 +147,9 @@ app.get('/', (req, res) => {
       },
       news :{
         list: '/api/news',
+      },
+      tools: {
+        dls: 'POST /api/tools/dls'
       }
     }
   });
@@ -150,13 +174,19 @@ app.use((err, req, res, next) => {
 const server = http.createServer(app);
 // Initialize SocereCard Socket Service on top of http server for socket connections
 socketScorecardService.initialize(server);
+// Redis pub/sub so scorecard pushes reach sockets on every instance
+pubSubService.initialize();
 
 // Initialize Rankings Scheduler and Live Matches Poller after database connection
 const rankingsScheduler = require('./jobs/rankingsScheduler');
 // const LiveMatchesPoller = require('./jobs/liveMatchesPoller');
 const LiveMatchesWebhook = require('./jobs/liveMatchesWebhook');
+const WebhookRetryJob = require('./jobs/webhookRetryJob');
+const PreMatchScheduler = require('./jobs/preMatchScheduler');
 // const LiveMatchesWebHookPoller = require('./jobs/liveMatchesWebHookPoller');
 
+let liveMatchesWebhook = null;
+
 const port = PORT;
 server.listen(port, async () => {
   console.log(`Server running on port ${port}`);
@@ -175,7 +205,7 @@ server.listen(port, async () => {
   // Initialize live matches poller (polls top 5 live matches every 5 seconds)
   try {
     // const liveMatchesPoller = new LiveMatchesPoller();
-    const liveMatchesWebhook = new LiveMatchesWebhook();
+    liveMatchesWebhook = new LiveMatchesWebhook();
     // const liveMatchesWebHookPoller = new LiveMatchesWebHookPoller();
     liveMatchesWebhook.start();
     // liveMatchesWebHookPoller.start();
@@ -184,6 +214,49 @@ server.listen(port, async () => {
     console.error('❌ Live matches poller initialization failed:', error.message);
     console.log('Server will continue running, but live match polling may not work properly.');
   }
+
+  // Subscribe to matches shortly before start (toss, playing XI)
+  try {
+    const preMatchScheduler = new PreMatchScheduler();
+    preMatchScheduler.start();
+  } catch (error) {
+    console.error('❌ Pre-match scheduler initialization failed:', error.message);
+  }
+
+  // Retry dead-lettered webhook payloads with backoff
+  try {
+    const webhookRetryJob = new WebhookRetryJob();
+    webhookRetryJob.start();
+  } catch (error) {
+    console.error('❌ Webhook retry job initialization failed:', error.message);
+  }
 });
 
+// Graceful shutdown: release webhook subscriptions so they don't eat the Roanuz quota while we're down
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received - shutting down...`);
+
+  // Don't hang forever on a slow Roanuz / Mongo
+  setTimeout(() => process.exit(1), 10000).unref();
+
+  if (liveMatchesWebhook) {
+    await liveMatchesWebhook.releaseSubscriptions();
+  }
+
+  // Don't drop scorecard updates held by the coalescing window
+  await socketScorecardService.flushScorecardUpdates();
+
+  // Open sockets and SSE streams would keep server.close() waiting until the forced exit
+  sseService.closeAll();
+  socketScorecardService.close();
+
+  server.close(() => process.exit(0));
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 module.exports = { app, server }; 
\ No newline at end of file
@@ -30,4 +30,54 @@ module.exports = {
   // NEW: webhook path + API key used for verifying incoming requests
   // ROANUZ_WEBHOOK_API_KEY: process.env.ROANUZ_WEBHOOK_API_KEY,
   // ROANUZ_WEBHOOK_FEED_PATH: process.env.ROANUZ_WEBHOOK_FEED_PATH || '/webhooks/roanuz/match/feed/v1',
+
+  // Socket fan-out across instances (Redis pub/sub)
+  PUBSUB_CHANNEL_PREFIX: process.env.PUBSUB_CHANNEL_PREFIX || 'wicketfever',
+  SOCKET_PRESENCE_REPORT_INTERVAL: Number(process.env.SOCKET_PRESENCE_REPORT_INTERVAL) || 10, // seconds between subscriber count reports
+
+  // Store raw webhook payloads (WebhookRecording) so matches can be replayed with scripts/replayWebhooks.js
+  RECORD_WEBHOOKS: process.env.RECORD_WEBHOOKS === 'true',
+
+  // Dead-lettered webhook retries (exponential backoff: base * 2^attempts, capped)
+  WEBHOOK_RETRY_BASE_DELAY: Number(process.env.WEBHOOK_RETRY_BASE_DELAY) || 30, // seconds
+  WEBHOOK_RETRY_MAX_DELAY: Number(process.env.WEBHOOK_RETRY_MAX_DELAY) || 1800, // seconds
+  WEBHOOK_RETRY_MAX_ATTEMPTS: Number(process.env.WEBHOOK_RETRY_MAX_ATTEMPTS) || 8,
+
+  // Guards /api/admin routes (x-admin-key header). Without it admin routes only work outside production
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY,
+
+  // Poll a live match ourselves when no webhook arrived for this long (switches back once webhooks resume)
+  WEBHOOK_SILENCE_THRESHOLD: Number(process.env.WEBHOOK_SILENCE_THRESHOLD) || 60, // seconds
+  FALLBACK_POLL_INTERVAL: Number(process.env.FALLBACK_POLL_INTERVAL) || 5, // seconds
+
+  // Live match subscriptions are picked by demand (see utils/matchDemand) within this budget
+  MAX_LIVE_SUBSCRIPTIONS: Number(process.env.MAX_LIVE_SUBSCRIPTIONS) || 5,
+  // Comma-separated tournament keys that always rank as top importance
+  PRIORITY_TOURNAMENT_KEYS: (process.env.PRIORITY_TOURNAMENT_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+
+  // Pre-match subscriptions (toss, playing XI) - see jobs/preMatchScheduler
+  PRE_MATCH_SUBSCRIBE_LEAD: Number(process.env.PRE_MATCH_SUBSCRIBE_LEAD) || 2700, // seconds before start (toss is ~30 min before)
+  PRE_MATCH_MAX_DELAY: Number(process.env.PRE_MATCH_MAX_DELAY) || 21600, // seconds past start before giving up on a delayed match
+  PRE_MATCH_MAX_SUBSCRIPTIONS: Number(process.env.PRE_MATCH_MAX_SUBSCRIPTIONS) || 5,
+
+  // Comment line sent on idle SSE streams (GET /api/matches/:matchKey/stream)
+  SSE_HEARTBEAT_INTERVAL: Number(process.env.SSE_HEARTBEAT_INTERVAL) || 15, // seconds
+
+  // How often "watching now" viewer counts are refreshed and pushed to match rooms
+  VIEWER_COUNT_BROADCAST_INTERVAL: Number(process.env.VIEWER_COUNT_BROADCAST_INTERVAL) || 15, // seconds
+
+  // Scorecard pushes per match are coalesced within this window (0 disables); wickets and results skip it
+  SCORECARD_EMIT_WINDOW_MS: process.env.SCORECARD_EMIT_WINDOW_MS !== undefined ? Number(process.env.SCORECARD_EMIT_WINDOW_MS) : 1000,
+  // Last emitted scorecard kept in memory per match; dropped once nobody here has watched or updated it for this long
+  SCORECARD_STATE_IDLE_TTL: Number(process.env.SCORECARD_STATE_IDLE_TTL) || 1800, // seconds
+
+  // Socket handshake auth: 'off' (token / deviceId optional) or 'required'. Tokens are HS256 JWTs signed with JWT_SECRET
+  SOCKET_AUTH_MODE: process.env.SOCKET_AUTH_MODE || 'off',
+  SOCKET_MAX_SUBSCRIPTIONS_PER_SOCKET: Number(process.env.SOCKET_MAX_SUBSCRIPTIONS_PER_SOCKET) || 10,
+  SOCKET_MAX_CONNECTIONS_PER_CLIENT: Number(process.env.SOCKET_MAX_CONNECTIONS_PER_CLIENT) || 5, // per device / user / IP, per instance
+  // Reverse proxies in front of the API that append to X-Forwarded-For (0 = ignore the header)
+  TRUST_PROXY: Number(process.env.TRUST_PROXY) || 0,
+
+  // DLS Standard Edition: average 50-over score used when team 2 gets more resources than team 1
+  DLS_G50: Number(process.env.DLS_G50) || 245,
 }; 
\ No newline at end of file
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const deadLetterService = require('../services/deadLetterService');
+const matchFeedService = require('../services/matchFeedService');
+const webhookSubscriptionService = require('../services/webhookSubscriptionService');
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * List dead-lettered webhooks (without payloads)
+ * Query: status, stage, match_key, page, limit
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.getFailedWebhooks = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const { status, stage, match_key } = req.query;
+
+    const { items, total } = await deadLetterService.list({ status, stage, match_key }, { page, limit });
+
+    res.json({
+      data: items,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error listing failed webhooks:', error);
+    res.status(500).json({ message: 'Error listing failed webhooks', error: error.message });
+  }
+};
+
+/**
+ * Get one dead-lettered webhook including its payload
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.getFailedWebhook = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const entry = await deadLetterService.get(id);
+    if (!entry) {
+      return res.status(404).json({ message: 'Failed webhook not found' });
+    }
+
+    // Raw bodies are compressed binary - send them base64 encoded
+    if (entry.raw_body) {
+      const rawBody = Buffer.isBuffer(entry.raw_body) ? entry.raw_body : entry.raw_body.buffer;
+      entry.raw_body = Buffer.from(rawBody).toString('base64');
+    }
+
+    res.json({ data: entry });
+  } catch (error) {
+    console.error(`Error fetching failed webhook ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Error fetching failed webhook', error: error.message });
+  }
+};
+
+/**
+ * Retry a dead-lettered webhook now
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.retryFailedWebhook = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const entry = await deadLetterService.claim(id);
+    if (!entry) {
+      return res.status(409).json({ message: 'Failed webhook not found, already resolved/discarded or being retried' });
+    }
+
+    const result = await matchFeedService.retryFailedWebhook(entry);
+    res.json({ data: result });
+  } catch (error) {
+    console.error(`Error retrying failed webhook ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Error retrying failed webhook', error: error.message });
+  }
+};
+
+/**
+ * Discard a dead-lettered webhook (never retried again)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.discardFailedWebhook = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const entry = await deadLetterService.discard(id);
+    if (!entry) {
+      return res.status(409).json({ message: 'Failed webhook not found or already resolved/discarded' });
+    }
+
+    res.json({ data: { id: entry._id, status: entry.status } });
+  } catch (error) {
+    console.error(`Error discarding failed webhook ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Error discarding failed webhook', error: error.message });
+  }
+};
+
+/**
+ * List Roanuz webhook subscriptions (persisted state, see webhookSubscriptionService)
+ * Query: status ('subscribed', 'unsubscribed' or 'failed'), source ('live' or 'pre_match')
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.getWebhookSubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await webhookSubscriptionService.list({ status: req.query.status, source: req.query.source });
+    const subscribed = subscriptions.filter(subscription => subscription.status === 'subscribed').length;
+
+    res.json({ data: subscriptions, subscribed });
+  } catch (error) {
+    console.error('Error listing webhook subscriptions:', error);
+    res.status(500).json({ message: 'Error listing webhook subscriptions', error: error.message });
+  }
+};
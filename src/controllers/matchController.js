@@ -3,8 +3,18 @@ const BestPerformers = require('../models/BestPerformers');
 const roanuzService = require('../services/roanuzService');
 const cacheService = require('../services/cacheService');
 const flagService = require('../services/flagService');
+const matchEventService = require('../services/matchEventService');
+const ballByBallService = require('../services/ballByBallService');
+const matchChartsService = require('../services/matchChartsService');
+const matchupsService = require('../services/matchupsService');
+const { formatOverCommentary } = require('../utils/commentaryFormatter');
+const { getMatchSituation } = require('../utils/matchSituation');
+const { buildDetailedScorecard } = require('../utils/scorecardBuilder');
+const socketScorecardService = require('../services/socketScorecardService');
+const sseService = require('../services/sseService');
+const { getClientIp, reserveConnection } = require('../middleware/socketAuth');
 const axios = require('axios');
-const { ROANUZ_API_URL, ROANUZ_PROJ_KEY, RS_TOKEN, DEFAULT_FLAG_SVG, BASE_URL, REDIS_TTL_SHORT, REDIS_TTL_LIVE, REDIS_TTL_MEDIUM ,REDIS_TTL_LONG} = require('../config/constants');
+const { ROANUZ_API_URL, ROANUZ_PROJ_KEY, RS_TOKEN, DEFAULT_FLAG_SVG, BASE_URL, REDIS_TTL_SHORT, REDIS_TTL_LIVE, REDIS_TTL_MEDIUM ,REDIS_TTL_LONG, SOCKET_MAX_CONNECTIONS_PER_CLIENT} = require('../config/constants');
 
 /**
  * MATCH CONTROLLER ARCHITECTURE STRATEGY:
@@ -66,7 +76,7 @@ exports.getFeaturedMatches = async (req, res) => {
     const cachedData = await cacheService.get(cacheKey);
     if (cachedData) {
       console.log('Returning featured matches from Redis cache');
-      return res.json(cachedData);
+      return res.json(await addViewerCounts(cachedData));
     }
     
     // Check MongoDB cache first - get up to 10 recent matches
@@ -89,7 +99,7 @@ exports.getFeaturedMatches = async (req, res) => {
       
       await cacheService.set(cacheKey, response, REDIS_TTL_SHORT);
       
-      return res.json(response);
+      return res.json(await addViewerCounts(response));
     }
     
     console.log('Fetching featured matches from Roanuz API');
@@ -136,7 +146,7 @@ exports.getFeaturedMatches = async (req, res) => {
     }
     await cacheService.set(cacheKey, apiResponse, ttl);
     
-    return res.json(apiResponse);
+    return res.json(await addViewerCounts(apiResponse));
   } catch (error) {
     console.error('Error fetching featured matches:', error);
     
@@ -151,13 +161,13 @@ exports.getFeaturedMatches = async (req, res) => {
         
         const enhancedStaleMatches = await addCountryFlagsToMatches(staleMatches);
         
-        return res.json({ 
+        return res.json(await addViewerCounts({ 
           data: { 
             matches: enhancedStaleMatches,
             intelligent_order: enhancedStaleMatches.map(match => match.key)
           },
           stale: true 
-        });
+        }));
       }
     } catch (fallbackError) {
       console.error('Fallback error:', fallbackError);
@@ -170,6 +180,29 @@ exports.getFeaturedMatches = async (req, res) => {
   }
 };
 
+/**
+ * Add "watching now" viewer counts to a match list response (never cached - counts move faster than the lists)
+ * @param {object} response - Response with data.matches
+ * @returns {Promise<object>} Copy of the response with `viewers` on every match
+ */
+async function addViewerCounts(response) {
+  if (!response?.data?.matches) return response;
+
+  try {
+    const { counts } = await socketScorecardService.getViewerCounts();
+    return {
+      ...response,
+      data: {
+        ...response.data,
+        matches: response.data.matches.map(match => ({ ...match, viewers: counts[match.key] || 0 }))
+      }
+    };
+  } catch (error) {
+    console.error('Error adding viewer counts:', error.message);
+    return response;
+  }
+}
+
 /**
  * Add country flags to matches
  * @param {Array} matches - Array of match objects
@@ -339,7 +372,7 @@ exports.getLiveMatches = async (req, res) => {
     const cachedData = await cacheService.get(cacheKey);
     if (cachedData) {
       console.log('Returning live matches from Redis cache');
-      return res.json(cachedData);
+      return res.json(await addViewerCounts(cachedData));
     }
     
     // ALWAYS fetch fresh data from Roanuz for live matches (no MongoDB cache)
@@ -381,7 +414,7 @@ exports.getLiveMatches = async (req, res) => {
     // Cache in Redis for short duration (live data changes frequently)
     await cacheService.set(cacheKey, response, 30);
     
-    return res.json(response);
+    return res.json(await addViewerCounts(response));
   } catch (error) {
     console.error('Error fetching live matches:', error);
     
@@ -396,11 +429,11 @@ exports.getLiveMatches = async (req, res) => {
         
         const enhancedStaleMatches = await addCountryFlagsToMatches(staleMatches);
         
-        return res.json({ 
+        return res.json(await addViewerCounts({ 
           data: { matches: enhancedStaleMatches },
           stale: true,
           message: 'Fallback data - API temporarily unavailable'
-        });
+        }));
       }
     } catch (fallbackError) {
       console.error('Fallback error:', fallbackError);
@@ -1407,6 +1440,7 @@ exports.getMatchSummary = async (req, res) => {
         venue: existingMatch.venue,
         toss: existingMatch.toss,
         current_innings: getCurrentInningsInfo(existingMatch),
+        situation: getMatchSituation(existingMatch),
         result: existingMatch.play?.result || {}
       };
       
@@ -1442,6 +1476,7 @@ exports.getMatchSummary = async (req, res) => {
       venue: matchData.venue,
       toss: matchData.toss,
       current_innings: getCurrentInningsInfo(matchData),
+      situation: getMatchSituation(matchData),
       result: matchData.play?.result || {}
     };
     
@@ -1471,6 +1506,7 @@ exports.getMatchSummary = async (req, res) => {
           venue: staleMatch.venue,
           toss: staleMatch.toss,
           current_innings: getCurrentInningsInfo(staleMatch),
+          situation: getMatchSituation(staleMatch),
           result: staleMatch.play?.result || {}
         };
         
@@ -1504,211 +1540,10 @@ exports.getMatchScorecardDetailed = async (req, res) => {
       return res.status(400).json({ message: 'Match key is required' });
     }
     
-    // Check Redis cache first (for live matches polled every 5 seconds)
-    const cacheKey = `scorecard-detailed:${matchKey}`;
-    const cachedData = await cacheService.get(cacheKey);
-    if (cachedData) {
-      console.log(`Returning detailed scorecard for ${matchKey} from Redis cache (polled data)`);
-      return res.json(cachedData);
-    }
-    
-    // Check if match exists in MongoDB and has scorecard data
-    const existingMatch = await Match.findOne({ key: matchKey });
+    const scorecard = await getDetailedScorecardWithCaching(matchKey, res);
+    if (!scorecard) return; // Error already handled in getDetailedScorecardWithCaching
     
-    // Check if we have complete scorecard data in MongoDB
-    const hasCompleteScorecard = existingMatch && 
-      existingMatch.status === 'completed' &&
-      existingMatch.play?.innings &&
-      Object.keys(existingMatch.play.innings).length > 0;
-    
-    let matchData;
-    
-    if (hasCompleteScorecard) {
-      console.log(`Using scorecard data from MongoDB cache for completed match ${matchKey}`);
-      matchData = existingMatch;
-         } else {
-       console.log(`Scorecard data empty/missing in MongoDB - fetching fresh data for ${matchKey}`);
-       // Fetch fresh data from API (even for completed matches if scorecard is empty)
-       matchData = await fetchFreshMatchData(matchKey);
-       if (!matchData) {
-         return res.status(500).json({ 
-           message: `Error fetching fresh match data for ${matchKey}`, 
-           error: 'API call failed' 
-         });
-       }
-     }
-    
-    // Allow scorecard for both live and completed matches
-    if (matchData.status !== 'completed' && matchData.status !== 'started') {
-      return res.status(400).json({ message: 'Scorecard is only available for live or completed matches' });
-    }
-    
-    // Get innings data
-    const innings = matchData.play?.innings || {};
-    const inningsOrder = matchData.play?.innings_order || Object.keys(innings);
-    
-    // Process each innings for the response
-    const processedInnings = [];
-    
-    for (const inningsKey of inningsOrder) {
-      const inning = innings[inningsKey];
-      const teamKey = inningsKey.split('_')[0]; // 'a' or 'b'
-      const opposingTeamKey = teamKey === 'a' ? 'b' : 'a';
-      
-      // Format batting data
-      const battingData = [];
-      
-      // DATA STRUCTURE NOTE: The API provides player data in two possible formats:
-      // 1. innings.batting_players - preferred, contains detailed player stats
-      // 2. matchData.players - legacy format with nested score structure
-      // We try format 1 first, then fallback to format 2 for backward compatibility
-      
-      // Try to get batting data from inning structure first
-      if (inning.batting_players && Object.keys(inning.batting_players).length > 0) {
-        // Use actual batting data from innings
-        for (const playerKey in inning.batting_players) {
-          const player = inning.batting_players[playerKey];
-          battingData.push({
-            name: player.name || playerKey,
-            dismissal: player.how_out || 'not out',
-            runs: player.runs || 0,
-            balls: player.balls || 0,
-            fours: player.fours || 0,
-            sixes: player.sixes || 0,
-            strike_rate: player.strike_rate?.toFixed(2) || '0.00'
-          });
-        }
-      } else {
-        // Fallback to old structure if available
-        const teamPlayers = matchData.players || {};
-        
-        // Process batting order players
-        if (inning.batting_order && Array.isArray(inning.batting_order)) {
-          for (const playerKey of inning.batting_order) {
-            if (teamPlayers[playerKey] && teamPlayers[playerKey].score) {
-              const playerInfo = teamPlayers[playerKey].player;
-              const playerScore = teamPlayers[playerKey].score['1']?.batting?.score || {};
-              const dismissalInfo = teamPlayers[playerKey].score['1']?.batting?.dismissal || null;
-              
-              let dismissalText = 'not out';
-              if (dismissalInfo) {
-                dismissalText = dismissalInfo.msg || 'out';
-              }
-              
-              battingData.push({
-                name: playerInfo.name,
-                dismissal: dismissalText,
-                runs: playerScore.runs || 0,
-                balls: playerScore.balls || 0,
-                fours: playerScore.fours || 0,
-                sixes: playerScore.sixes || 0,
-                strike_rate: playerScore.strike_rate?.toFixed(2) || '0.00'
-              });
-            }
-          }
-        }
-      }
-      
-      // Format bowling data
-      const bowlingData = [];
-      
-      // Try to get bowling data from inning structure first
-      if (inning.bowling_players && Object.keys(inning.bowling_players).length > 0) {
-        // Use actual bowling data from innings
-        for (const playerKey in inning.bowling_players) {
-          const player = inning.bowling_players[playerKey];
-          if (parseFloat(player.overs) > 0 || player.wickets > 0) {
-            bowlingData.push({
-              name: player.name || playerKey,
-              overs: parseFloat(player.overs || 0).toFixed(1),
-              maidens: player.maidens || 0,
-              runs: player.runs || 0,
-              wickets: player.wickets || 0,
-              economy: player.economy?.toFixed(2) || '0.00'
-            });
-          }
-        }
-      } else {
-        // Fallback to old structure if available
-        const teamPlayers = matchData.players || {};
-        
-        // Get all players from opposing team who bowled in this innings
-        for (const playerKey in teamPlayers) {
-          const playerScore = teamPlayers[playerKey].score?.[1]?.bowling?.score;
-          if (playerScore && playerScore.balls > 0) {
-            const playerInfo = teamPlayers[playerKey].player;
-            
-            // Check if player is from opposing team by examining their bowling data
-            const oversBowled = playerScore.overs;
-            if (oversBowled && (oversBowled[0] > 0 || oversBowled[1] > 0)) {
-              const totalOvers = oversBowled[0] + (oversBowled[1] / 10);
-              
-              bowlingData.push({
-                name: playerInfo.name,
-                overs: totalOvers.toFixed(1),
-                maidens: playerScore.maiden_overs || 0,
-                runs: playerScore.runs || 0,
-                wickets: playerScore.wickets || 0,
-                economy: playerScore.economy?.toFixed(2) || '0.00'
-              });
-            }
-          }
-        }
-      }
-      
-      // Calculate innings total and extras
-      const extras = {
-        total: inning.extra_runs?.extra || 0,
-        bye: inning.extra_runs?.bye || 0,
-        leg_bye: inning.extra_runs?.leg_bye || 0,
-        wide: inning.extra_runs?.wide || 0,
-        no_ball: inning.extra_runs?.no_ball || 0
-      };
-      
-      const total = inning.score?.runs || 0;
-      const overs = inning.overs ? `${inning.overs[0]}.${inning.overs[1]}` : '0.0';
-      const runRate = inning.score?.run_rate?.toFixed(2) || '0.00';
-      
-      // Format the innings data
-      processedInnings.push({
-        team: matchData.teams[teamKey].name,
-        batting: battingData,
-        bowling: bowlingData,
-        total: total.toString(),
-        overs: overs,
-        run_rate: runRate,
-        extras: extras.total,
-        bye: extras.bye,
-        leg_bye: extras.leg_bye,
-        wide: extras.wide,
-        no_ball: extras.no_ball
-      });
-    }
-    
-    // Add close of play info
-    const closeOfPlay = matchData.play?.close_of_play_msg || matchData.play?.result?.msg || null;
-    
-    const response = {
-      match_key: matchData.key,
-      match_status: matchData.status,
-      innings: processedInnings,
-      close_of_play: closeOfPlay
-    };
-    
-    // Cache the detailed scorecard in Redis for future requests
-    const detailedCacheKey = `scorecard-detailed:${matchKey}`;
-    let cacheTTL = REDIS_TTL_MEDIUM; // 5 minutes default
-    
-    if (matchData.status === 'completed') {
-      cacheTTL = REDIS_TTL_LONG; // 1 day for completed matches
-    } else if (matchData.status === 'started') {
-      cacheTTL = REDIS_TTL_LIVE; // 30 seconds for live matches
-    }
-    
-    await cacheService.set(detailedCacheKey, { data: response }, cacheTTL);
-    console.log(`Cached detailed scorecard for ${matchKey} (TTL: ${cacheTTL}s)`);
-    
-    res.json({ data: response });
+    res.json(scorecard);
   } catch (error) {
     console.error(`Error fetching detailed scorecard for ${req.params.matchKey}:`, error);
     res.status(500).json({ 
@@ -1718,6 +1553,109 @@ exports.getMatchScorecardDetailed = async (req, res) => {
   }
 };
 
+/**
+ * Get partnerships and fall of wickets for every innings (the same data as in scorecard-detailed)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.getMatchPartnerships = async (req, res) => {
+  try {
+    const { matchKey } = req.params;
+
+    if (!matchKey) {
+      return res.status(400).json({ message: 'Match key is required' });
+    }
+
+    const scorecard = await getDetailedScorecardWithCaching(matchKey, res);
+    if (!scorecard) return; // Error already handled in getDetailedScorecardWithCaching
+
+    const { data } = scorecard;
+    res.json({
+      data: {
+        match_key: data.match_key,
+        match_status: data.match_status,
+        innings: data.innings.map(inning => ({
+          innings_key: inning.innings_key,
+          team: inning.team,
+          partnerships: inning.partnerships || [],
+          fall_of_wickets: inning.fall_of_wickets || []
+        }))
+      }
+    });
+  } catch (error) {
+    console.error(`Error fetching partnerships for ${req.params.matchKey}:`, error);
+    res.status(500).json({
+      message: `Error fetching partnerships for ${req.params.matchKey}`,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Helper function to get the detailed scorecard (Redis → MongoDB for completed matches → Roanuz)
+ * @param {string} matchKey - Match key
+ * @param {object} res - Express response object
+ * @returns {object} { data: scorecard } or null if an error response was sent
+ */
+async function getDetailedScorecardWithCaching(matchKey, res) {
+  // Check Redis cache first (for live matches polled every 5 seconds)
+  const cacheKey = `scorecard-detailed:${matchKey}`;
+  const cachedData = await cacheService.get(cacheKey);
+  if (cachedData) {
+    console.log(`Returning detailed scorecard for ${matchKey} from Redis cache (polled data)`);
+    return cachedData;
+  }
+  
+  // Check if match exists in MongoDB and has scorecard data
+  const existingMatch = await Match.findOne({ key: matchKey });
+  
+  // Check if we have complete scorecard data in MongoDB
+  const hasCompleteScorecard = existingMatch && 
+    existingMatch.status === 'completed' &&
+    existingMatch.play?.innings &&
+    Object.keys(existingMatch.play.innings).length > 0;
+  
+  let matchData;
+  
+  if (hasCompleteScorecard) {
+    console.log(`Using scorecard data from MongoDB cache for completed match ${matchKey}`);
+    matchData = existingMatch;
+  } else {
+    console.log(`Scorecard data empty/missing in MongoDB - fetching fresh data for ${matchKey}`);
+    // Fetch fresh data from API (even for completed matches if scorecard is empty)
+    matchData = await fetchFreshMatchData(matchKey);
+    if (!matchData) {
+      res.status(500).json({ 
+        message: `Error fetching fresh match data for ${matchKey}`, 
+        error: 'API call failed' 
+      });
+      return null;
+    }
+  }
+  
+  // Allow scorecard for both live and completed matches
+  if (matchData.status !== 'completed' && matchData.status !== 'started') {
+    res.status(400).json({ message: 'Scorecard is only available for live or completed matches' });
+    return null;
+  }
+  
+  const response = buildDetailedScorecard(matchData);
+  
+  // Cache the detailed scorecard in Redis for future requests
+  let cacheTTL = REDIS_TTL_MEDIUM; // 5 minutes default
+  
+  if (matchData.status === 'completed') {
+    cacheTTL = REDIS_TTL_LONG; // 1 day for completed matches
+  } else if (matchData.status === 'started') {
+    cacheTTL = REDIS_TTL_LIVE; // 30 seconds for live matches
+  }
+  
+  await cacheService.set(cacheKey, { data: response }, cacheTTL);
+  console.log(`Cached detailed scorecard for ${matchKey} (TTL: ${cacheTTL}s)`);
+  
+  return { data: response };
+}
+
 /**
  * Get match statistics (for Match Statistics View) - NO FLAGS optimization
  * @param {object} req - Express request object
@@ -1787,6 +1725,175 @@ exports.getMatchStatistics = async (req, res) => {
   }
 };
 
+/**
+ * Get key moments of a match (wickets, boundaries, milestones, innings end, result)
+ * Optional ?types=wicket,six to filter by event type
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.getMatchEvents = async (req, res) => {
+  try {
+    const { matchKey } = req.params;
+
+    if (!matchKey) {
+      return res.status(400).json({ message: 'Match key is required' });
+    }
+
+    const types = req.query.types ? req.query.types.split(',').map(type => type.trim()).filter(Boolean) : [];
+    const events = await matchEventService.getMatchEvents(matchKey, { types });
+
+    res.json({ data: { match_key: matchKey, events } });
+  } catch (error) {
+    console.error(`Error fetching match events for ${req.params.matchKey}:`, error);
+    res.status(500).json({
+      message: `Error fetching match events for ${req.params.matchKey}`,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get worm, Manhattan and run-rate chart data for a match
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.getMatchCharts = async (req, res) => {
+  try {
+    const { matchKey } = req.params;
+
+    if (!matchKey) {
+      return res.status(400).json({ message: 'Match key is required' });
+    }
+
+    const charts = await matchChartsService.getCharts(matchKey);
+
+    if (!charts) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    res.json({ data: charts });
+  } catch (error) {
+    console.error(`Error fetching charts for ${req.params.matchKey}:`, error);
+    res.status(500).json({
+      message: `Error fetching charts for ${req.params.matchKey}`,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get batter-vs-bowler matchups for a match
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.getMatchMatchups = async (req, res) => {
+  try {
+    const { matchKey } = req.params;
+
+    if (!matchKey) {
+      return res.status(400).json({ message: 'Match key is required' });
+    }
+
+    const matchups = await matchupsService.getMatchups(matchKey);
+
+    if (!matchups) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    res.json({ data: matchups });
+  } catch (error) {
+    console.error(`Error fetching matchups for ${req.params.matchKey}:`, error);
+    res.status(500).json({
+      message: `Error fetching matchups for ${req.params.matchKey}`,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the approximate number of people watching a match right now (sockets + SSE streams, all instances)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.getMatchViewers = async (req, res) => {
+  try {
+    const { matchKey } = req.params;
+
+    if (!matchKey) {
+      return res.status(400).json({ message: 'Match key is required' });
+    }
+
+    const { counts, updated_at } = await socketScorecardService.getViewerCounts();
+
+    res.json({ data: { match_key: matchKey, viewers: counts[matchKey] || 0, updated_at } });
+  } catch (error) {
+    console.error(`Error fetching viewers for ${req.params.matchKey}:`, error);
+    res.status(500).json({
+      message: `Error fetching viewers for ${req.params.matchKey}`,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Stream live scorecard updates with Server-Sent Events (for clients that can't use Socket.IO)
+ * Same events and payloads as the socket: `scorecard_update` (full scorecard, id = seq) and `match_event`.
+ * Reconnecting clients send Last-Event-ID (or ?lastEventId=) and only get a snapshot if they are behind.
+ * Same checks as socket subscriptions: well-formed key, known match, and streams count against the
+ * client IP's SOCKET_MAX_CONNECTIONS_PER_CLIENT.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.streamMatch = async (req, res) => {
+  const { matchKey } = req.params;
+
+  if (!socketScorecardService.isValidMatchKey(matchKey)) {
+    return res.status(400).json({ code: 'INVALID_MATCH_KEY', message: 'Match key is missing or malformed' });
+  }
+
+  // Reserve the slot before the lookup so parallel requests can't overshoot the cap
+  const release = reserveConnection(`ip:${getClientIp(req.headers, req.socket.remoteAddress)}`);
+  if (!release) {
+    return res.status(429).json({ code: 'CONNECTION_LIMIT', message: `Too many connections (max ${SOCKET_MAX_CONNECTIONS_PER_CLIENT})` });
+  }
+  req.on('close', release);
+
+  try {
+    if (!(await socketScorecardService.matchExists(matchKey))) {
+      release();
+      return res.status(404).json({ code: 'MATCH_NOT_FOUND', message: 'Unknown match' });
+    }
+
+    const lastSeq = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10) || 0;
+
+    // Register first so nothing delivered while the snapshot loads is missed
+    const client = sseService.addClient(matchKey, req, res, lastSeq);
+
+    const snapshot = await socketScorecardService.getScorecardSnapshot(matchKey);
+    if (snapshot) {
+      sseService.sendSnapshot(client, {
+        matchKey,
+        data: snapshot.data,
+        seq: snapshot.seq,
+        snapshot: true,
+        timestamp: new Date().toISOString()
+      }, snapshot.seq);
+    } else {
+      // Nothing to compare Last-Event-ID with - take the next update whatever its seq
+      client.seq = 0;
+      sseService.send(res, 'scorecard_unavailable', { matchKey });
+    }
+  } catch (error) {
+    console.error(`Error opening scorecard stream for ${matchKey}:`, error);
+    if (!res.headersSent) {
+      release();
+      return res.status(500).json({ message: `Error opening scorecard stream for ${matchKey}`, error: error.message });
+    }
+    // Headers already went out - let the client reconnect
+    res.end();
+  }
+};
+
 /**
  * Get ball-by-ball data (for Match Live Over view Screen - Over tab) - NO FLAGS optimization
  * @param {object} req - Express request object
@@ -1805,8 +1912,11 @@ exports.getMatchBallByBall = async (req, res) => {
     const matchData = await getMatchDataWithCaching(matchKey, req, res);
     if (!matchData) return; // Error already handled in getMatchDataWithCaching
     
-    // Get ball-by-ball data from Roanuz API or cache
-    const ballByBallData = await getBallByBallData(matchKey);
+    // Every over of every innings, walked back from the latest one (settled overs come from cache)
+    const { overs: overSummaries, latest_over: latestOver } = await ballByBallService.getOverSummaries(matchKey, {
+      live: matchData.status !== 'completed',
+      players: matchData.players || {}
+    });
     
     // Format ball-by-ball data for the frontend
     const overs = {
@@ -1818,8 +1928,9 @@ exports.getMatchBallByBall = async (req, res) => {
         name: matchData.tournament.name
       },
       result: matchData.play?.result?.msg || null,
-      current_over: getCurrentOverInfo(ballByBallData),
-      recent_overs: getRecentOversInfo(ballByBallData, 5)
+      current_over: getCurrentOverInfo(latestOver, overSummaries, matchData.players || {}),
+      recent_overs: getRecentOversInfo(overSummaries, 5),
+      innings: groupOversByInnings(overSummaries)
     };
     
     res.json({ data: overs });
@@ -1976,34 +2087,6 @@ async function getMatchScorecardData(matchKey) {
   return apiResponse;
 }
 
-/**
- * Helper function to get ball-by-ball data
- * @param {string} matchKey - Match key
- * @returns {object} Ball-by-ball data
- */
-async function getBallByBallData(matchKey) {
-  const cacheKey = `ballbyball:${matchKey}`;
-  
-  // Try to get from Redis cache first
-  const cachedData = await cacheService.get(cacheKey);
-  if (cachedData) {
-    console.log(`Returning ball-by-ball data for ${matchKey} from Redis cache`);
-    return cachedData;
-  }
-  
-  // Otherwise, fetch from Roanuz API
-  console.log(`Fetching ball-by-ball data for ${matchKey} from Roanuz API`);
-  const apiResponse = await roanuzService.getBallByBall(matchKey, {
-    useCache: true,
-    cacheTTL: REDIS_TTL_SHORT // 15 seconds for ball-by-ball data
-  });
-  
-  // Cache in Redis
-  await cacheService.set(cacheKey, apiResponse, REDIS_TTL_SHORT);
-  
-  return apiResponse;
-}
-
 // Helper functions to format data for frontend
 
 /**
@@ -2326,57 +2409,77 @@ function getCloseOfPlayInfo(matchData, scorecardData) {
 
 /**
  * Get current over information from ball-by-ball data
- * @param {object} ballByBallData - Ball-by-ball data
+ * @param {object} latestOver - Latest Roanuz over ({ index, balls } - balls newest first)
+ * @param {array} overSummaries - Over summaries from ballByBallService, oldest first
+ * @param {object} players - Match players map (for names)
  * @returns {object} Current over info
  */
-function getCurrentOverInfo(ballByBallData) {
-  // Extract current over from ball-by-ball data if available
-  if (ballByBallData && ballByBallData.data && ballByBallData.data.balls) {
-    const balls = ballByBallData.data.balls;
-    
-    // Find the latest over
-    if (balls.length > 0) {
-      const latestBalls = balls.slice(-6); // Last 6 balls (or fewer)
-      const overNum = latestBalls[0]?.over_number || 'N/A';
-      
-      return {
-        over_num: overNum,
-        balls: latestBalls.map(ball => ({
-          ball_num: ball.ball_number,
-          runs: ball.runs || 0,
-          is_wicket: !!ball.wicket,
-          is_boundary: ball.runs === 4 || ball.runs === 6,
-          commentary: ball.commentary || '',
-          batsman: ball.batsman?.name || 'N/A',
-          bowler: ball.bowler?.name || 'N/A'
-        }))
-      };
-    }
+function getCurrentOverInfo(latestOver, overSummaries, players) {
+  if (!latestOver || !latestOver.balls || latestOver.balls.length === 0) {
+    return {
+      over_num: null,
+      balls: []
+    };
   }
-  
-  // Default fallback
+
+  const playerName = (key) => players[key]?.player?.name || key || null;
+  const summary = overSummaries[overSummaries.length - 1] || null;
+
   return {
-    over_num: 'N/A',
-    balls: []
+    over_num: latestOver.index.over_number + 1,
+    innings: latestOver.index.innings,
+    runs: summary?.runs ?? null,
+    wickets: summary?.wickets ?? null,
+    extras: summary?.extras ?? null,
+    score: summary?.score || null,
+    balls: [...latestOver.balls].reverse().map(ball => ({
+      ball_num: ball.overs[1],
+      runs: ball.team_score?.runs || 0,
+      extras: ball.team_score?.extras || 0,
+      ball_type: ball.ball_type,
+      is_wicket: !!ball.team_score?.is_wicket,
+      is_boundary: !!(ball.batsman?.is_four || ball.batsman?.is_six),
+      repr: ball.repr,
+      commentary: ball.comment || '',
+      batsman: playerName(ball.batsman?.player_key),
+      bowler: playerName(ball.bowler?.player_key)
+    }))
   };
 }
 
 /**
- * Get recent overs information
- * @param {object} ballByBallData - Ball-by-ball data
+ * Get recent overs information (newest first)
+ * @param {array} overSummaries - Over summaries from ballByBallService, oldest first
  * @param {number} limit - Number of overs to return
  * @returns {array} Recent overs info
  */
-function getRecentOversInfo(ballByBallData, limit) {
-  // This would require processing ball-by-ball data
-  // For now, return placeholder data
-  return Array(limit).fill().map((_, i) => ({
-    over_num: `N/A`,
-    runs: 'N/A',
-    wickets: 'N/A'
+function getRecentOversInfo(overSummaries, limit) {
+  return overSummaries.slice(-limit).reverse().map(over => ({
+    over_num: over.over_number,
+    ...over
   }));
 }
 
+/**
+ * Group over summaries by innings, in batting order
+ * @param {array} overSummaries - Over summaries from ballByBallService, oldest first
+ * @returns {array} [{ innings, batting_team, overs }]
+ */
+function groupOversByInnings(overSummaries) {
+  const innings = [];
+
+  for (const over of overSummaries) {
+    let current = innings[innings.length - 1];
+    if (!current || current.innings !== over.innings) {
+      current = { innings: over.innings, batting_team: over.batting_team, overs: [] };
+      innings.push(current);
+    }
+    current.overs.push(over);
+  }
+
+  return innings;
+}
+
 /**
  * Get best batters for statistics view
  * @param {object} matchData - Match data
@@ -3142,64 +3245,6 @@ async function fetchCommentaryByPageKey(matchKey, pageKey, overCount) {
   }
 }
 
-/**
- * Format over commentary for frontend consumption
- * @param {object} overData - Over data from Roanuz API
- * @param {object} apiData - Full API response data
- * @returns {object} Formatted over commentary
- */
-function formatOverCommentary(overData, apiData) {
-  const formattedBalls = overData.balls.map(ball => ({
-    key: ball.key,
-    ball_number: ball.overs[1] + 1, // Convert to 1-based ball number
-    over_number: ball.overs[0] + 1, // Convert to 1-based over number
-    ball_type: ball.ball_type, // normal, wide, no_ball, etc.
-    runs: ball.batsman.runs,
-    extras: ball.team_score.extras,
-    total_runs: ball.team_score.runs,
-    is_wicket: ball.team_score.is_wicket,
-    is_four: ball.batsman.is_four,
-    is_six: ball.batsman.is_six,
-    is_dot_ball: ball.batsman.is_dot_ball,
-    commentary: ball.comment,
-    batsman: {
-      name: ball.batsman.player_key, // Could be enhanced with actual player names
-      key: ball.batsman.player_key
-    },
-    bowler: {
-      name: ball.bowler.player_key, // Could be enhanced with actual player names  
-      key: ball.bowler.player_key
-    },
-    non_striker: ball.non_striker_key,
-    wicket: ball.wicket ? {
-      player_key: ball.wicket.player_key,
-      wicket_type: ball.wicket.wicket_type,
-      fielders: ball.fielders?.map(f => ({
-        player_key: f.player_key,
-        is_catch: f.is_catch,
-        is_run_out: f.is_run_out,
-        is_stumps: f.is_stumps
-      })) || []
-    } : null,
-    ball_representation: ball.repr, // Short representation like 'r1', 'b4', 'w', etc.
-    entry_time: ball.entry_time
-  }));
-
-  return {
-    over_key: `${overData.index.innings}_${overData.index.over_number}`,
-    over_number: overData.index.over_number + 1, // Convert to 1-based
-    innings: overData.index.innings,
-    batting_team: overData.index.innings.split('_')[0], // 'a' or 'b'
-    balls: formattedBalls,
-    over_summary: {
-      total_runs: formattedBalls.reduce((sum, ball) => sum + ball.runs + ball.extras, 0),
-      wickets: formattedBalls.filter(ball => ball.is_wicket).length,
-      boundaries: formattedBalls.filter(ball => ball.is_four || ball.is_six).length,
-      dot_balls: formattedBalls.filter(ball => ball.is_dot_ball).length
-    }
-  };
-}
-
 /**
  * Extract pagination info from commentary data
  * @param {array} commentary - Array of over commentary
@@ -1,4 +1,8 @@
 const cacheService = require('../services/cacheService');
+const pubSubService = require('../services/pubSubService');
+const socketScorecardService = require('../services/socketScorecardService');
+const matchFeedService = require('../services/matchFeedService');
+const deadLetterService = require('../services/deadLetterService');
 
 /**
  * Get Redis cache statistics
@@ -35,4 +39,47 @@ exports.clearCache = async (req, res) => {
     console.error('Error clearing cache:', error);
     res.status(500).json({ error: 'Failed to clear cache' });
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Get socket subscriber counts for this instance and across the cluster
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.getSocketStats = async (req, res) => {
+  try {
+    const cluster = await socketScorecardService.getClusterSubscriberCounts();
+
+    res.json({
+      instance: pubSubService.instanceId,
+      pubsub_connected: pubSubService.isConnected,
+      local: socketScorecardService.getLocalSubscriberCounts(),
+      cluster,
+      emits: socketScorecardService.getEmitMetrics()
+    });
+  } catch (error) {
+    console.error('Error getting socket stats:', error);
+    res.status(500).json({ error: 'Failed to get socket statistics' });
+  }
+};
+
+/**
+ * Get webhook feed counters (accepted payloads, stale/duplicate drops)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.getWebhookStats = async (req, res) => {
+  try {
+    const [stats, deadLetter, selection] = await Promise.all([
+      matchFeedService.getFeedStats(),
+      deadLetterService.getStatusCounts(),
+      cacheService.get('live_matches_selection')
+    ]);
+    res.json({ ...stats, dead_letter: deadLetter, selection: selection || [] });
+  } catch (error) {
+    console.error('Error getting webhook stats:', error);
+    res.status(500).json({ error: 'Failed to get webhook statistics' });
+  }
+};
@@ -0,0 +1,109 @@
+const { MAX_OVERS, oversToBalls, ballsToOvers, calculateDLS } = require('../utils/dls');
+const { DLS_G50 } = require('../config/constants');
+
+/**
+ * Read one side of a DLS request
+ * @param {object} team - { max_overs, interruptions: [{ overs, wickets, revised_max_overs }], overs?, wickets?, runs? }
+ * @param {string} label - 'team1' / 'team2' (for error messages)
+ * @returns {{ innings?: object, error?: string }} Innings in balls, or what is wrong with it
+ */
+function parseTeam(team, label) {
+  if (!team || typeof team !== 'object') {
+    return { error: `${label} is required` };
+  }
+
+  const maxBalls = oversToBalls(team.max_overs);
+  if (!(maxBalls > 0) || maxBalls > MAX_OVERS * 6) {
+    return { error: `${label}.max_overs must be between 0.1 and ${MAX_OVERS}` };
+  }
+
+  const interruptions = [];
+  let currentMax = maxBalls;
+  for (const [index, interruption] of (team.interruptions || []).entries()) {
+    const balls = oversToBalls(interruption?.overs);
+    const revisedMax = oversToBalls(interruption?.revised_max_overs);
+    const wickets = Number(interruption?.wickets);
+
+    if (!(balls >= 0) || balls > currentMax) {
+      return { error: `${label}.interruptions[${index}].overs must be valid overs within the innings (max ${ballsToOvers(currentMax)})` };
+    }
+    if (!Number.isInteger(wickets) || wickets < 0 || wickets > 9) {
+      return { error: `${label}.interruptions[${index}].wickets must be 0-9` };
+    }
+    if (!(revisedMax >= balls) || revisedMax > currentMax) {
+      return { error: `${label}.interruptions[${index}].revised_max_overs must be between the overs bowled and the previous length` };
+    }
+
+    interruptions.push({ balls, wickets, maxBalls: revisedMax });
+    currentMax = revisedMax;
+  }
+
+  const innings = { maxBalls, interruptions };
+
+  if (team.overs !== undefined) {
+    innings.balls = oversToBalls(team.overs);
+    innings.wickets = team.wickets === undefined ? 0 : Number(team.wickets);
+    if (!(innings.balls >= 0) || innings.balls > currentMax) {
+      return { error: `${label}.overs must be valid overs (e.g. 23.4) within the innings` };
+    }
+    if (!Number.isInteger(innings.wickets) || innings.wickets < 0 || innings.wickets > 10) {
+      return { error: `${label}.wickets must be 0-10` };
+    }
+  }
+
+  if (team.runs !== undefined) {
+    innings.runs = Number(team.runs);
+    if (!Number.isInteger(innings.runs) || innings.runs < 0) {
+      return { error: `${label}.runs must be a whole number` };
+    }
+  }
+
+  return { innings };
+}
+
+/**
+ * DLS what-if calculator: revised target for team 2 and, given team 2's progress, the par score
+ * Overs use cricket notation (23.4 = 23 overs 4 balls).
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @example POST /api/tools/dls
+ * {
+ *   "team1": { "score": 250, "max_overs": 50, "interruptions": [{ "overs": 40, "wickets": 5, "revised_max_overs": 40 }] },
+ *   "team2": { "max_overs": 40, "overs": 20.3, "wickets": 2, "runs": 110 },
+ *   "g50": 245
+ * }
+ */
+exports.calculateDLS = async (req, res) => {
+  try {
+    const { team1, team2, g50 = DLS_G50 } = req.body || {};
+
+    const team1Score = Number(team1?.score);
+    if (!Number.isInteger(team1Score) || team1Score < 0) {
+      return res.status(400).json({ message: 'team1.score must be a whole number' });
+    }
+
+    const first = parseTeam(team1, 'team1');
+    if (first.error) {
+      return res.status(400).json({ message: first.error });
+    }
+
+    const second = parseTeam(team2, 'team2');
+    if (second.error) {
+      return res.status(400).json({ message: second.error });
+    }
+
+    if (!(Number(g50) > 0)) {
+      return res.status(400).json({ message: 'g50 must be a positive number' });
+    }
+
+    const result = calculateDLS({ team1Score, team1: first.innings, team2: second.innings, g50: Number(g50) });
+
+    res.json({ data: result });
+  } catch (error) {
+    console.error('Error calculating DLS:', error);
+    res.status(500).json({
+      message: 'Error calculating DLS',
+      error: error.message
+    });
+  }
+};
@@ -1,43 +1,72 @@
 // services/liveMatchesPoller.js
 const cron = require('node-cron');
 const Match = require('../models/Match');
+const LiveMatchesPoller = require('./liveMatchesPoller');
+const User = require('../models/User');
 const roanuzService = require('../services/roanuzService');
 const cacheService = require('../services/cacheService');
 const socketScorecardService = require('../services/socketScorecardService'); 
-const { REDIS_TTL_SHORT } = require('../config/constants');
+const matchFeedService = require('../services/matchFeedService');
+const webhookSubscriptionService = require('../services/webhookSubscriptionService');
+const { rankLiveMatches } = require('../utils/matchDemand');
+const {
+  REDIS_TTL_SHORT,
+  WEBHOOK_SILENCE_THRESHOLD,
+  FALLBACK_POLL_INTERVAL,
+  MAX_LIVE_SUBSCRIPTIONS,
+  PRIORITY_TOURNAMENT_KEYS
+} = require('../config/constants');
 
 /**
  * Live Matches Poller with Webhook Support
  * 
  * STRATEGY:
  * 1. Every 30 seconds: discover live matches from Roanuz API
- * 2. Take top 5 live matches only
+ * 2. Rank them by demand (viewers, fans' favorite teams, tournament importance - see utils/matchDemand)
+ *    and keep the top MAX_LIVE_SUBSCRIPTIONS
  * 3. Subscribe to these matches via webhook
- * 4. Unsubscribe from matches no longer in the top 5
+ * 4. Unsubscribe from matches that dropped out (finished or demoted)
+ *    Subscriptions are persisted (WebhookSubscription), reconciled on boot and released on shutdown
  * 5. Process webhook updates as they arrive
+ * 6. Every FALLBACK_POLL_INTERVAL seconds: poll any live match that got no webhook for
+ *    WEBHOOK_SILENCE_THRESHOLD seconds (LiveMatchesPoller's polling - one instance per match,
+ *    same pipeline as webhooks), until webhooks resume
  */
-class LiveMatchesWebhook {
+class LiveMatchesWebhook extends LiveMatchesPoller {
   constructor() {
-    this.currentLiveMatches = [];
-    this.subscribedMatches = new Set(); // Track which matches we're subscribed to
+    super();
+    this.pollInterval = FALLBACK_POLL_INTERVAL;
+    this.subscribedMatches = new Set(); // Track which matches we're subscribed to (persisted in WebhookSubscription)
     this.webhookUrl = process.env.WEBHOOK_BASE_URL || 'http://localhost:5000';
+    this.feedModes = new Map(); // matchKey → { mode: 'webhook' | 'polling', since, last_webhook_at, last_poll_at }
+    this.isCheckingFeeds = false;
   }
 
   start() {
     console.log('🚀 Starting live matches poller with webhook support...');
     console.log(`🔔 Webhook URL: ${this.webhookUrl}/webhooks/roanuz/match/feed/v1`);
+
+    // Discovery waits for this so subscriptions from a previous run are known first
+    this.reconciling = this.reconcileSubscriptions();
     
     // Every 30 seconds: discover live matches and manage subscriptions
     cron.schedule('*/30 * * * * *', () => {
       this.discoverLiveMatches();
     });
 
+    // Fall back to polling matches whose webhooks went quiet
+    cron.schedule(`*/${this.pollInterval} * * * * *`, () => {
+      this.checkFeeds();
+    });
+
     // Initial discovery
     this.discoverLiveMatches();
   }
 
   async discoverLiveMatches() {
     try {
+      await this.reconciling;
+
       console.log('🔍 Discovering live matches...');
       
       const apiResponse = await roanuzService.getFeaturedMatches({
@@ -51,12 +80,11 @@ class LiveMatchesWebhook {
       }
 
       const liveMatches = apiResponse.data.matches
-        .filter(match => match.status === 'started')
-        .slice(0, 5); // Take top 5 only
+        .filter(match => match.status === 'started');
 
-      const newLiveMatches = liveMatches.map(match => match.key);
+      const newLiveMatches = await this.selectMatches(liveMatches);
       
-      console.log(`📡 Found ${newLiveMatches.length} live matches:`, newLiveMatches);
+      console.log(`📡 Selected ${newLiveMatches.length} of ${liveMatches.length} live matches:`, newLiveMatches);
       
       // Cache the live matches list
       await cacheService.set('live_matches_keys', newLiveMatches, REDIS_TTL_SHORT);
@@ -65,31 +93,172 @@ class LiveMatchesWebhook {
       await this.updateSubscriptions(newLiveMatches);
       
       this.currentLiveMatches = newLiveMatches;
+
+      // Forget feed modes of matches that are no longer live
+      for (const matchKey of this.feedModes.keys()) {
+        if (!newLiveMatches.includes(matchKey)) {
+          this.feedModes.delete(matchKey);
+        }
+      }
       
     } catch (error) {
       console.error('❌ Error discovering live matches:', error);
     }
   }
 
+  async checkFeeds() {
+    if (this.currentLiveMatches.length === 0) return;
+    if (this.isCheckingFeeds) return; // Prevent overlapping polls
+
+    this.isCheckingFeeds = true;
+
+    try {
+      await Promise.allSettled(this.currentLiveMatches.map(matchKey => this.checkMatchFeed(matchKey)));
+      await matchFeedService.setFeedModes(Object.fromEntries(this.feedModes));
+    } catch (error) {
+      console.error('❌ Error checking webhook feeds:', error);
+    } finally {
+      this.isCheckingFeeds = false;
+    }
+  }
+
+  /**
+   * Switch a live match between webhook and polling mode and poll it while webhooks are silent
+   * @param {string} matchKey - Match key
+   */
+  async checkMatchFeed(matchKey) {
+    const now = new Date();
+    const lastWebhookAt = await matchFeedService.getLastWebhookAt(matchKey);
+    const feed = this.feedModes.get(matchKey) || { mode: 'webhook', since: now.toISOString(), last_poll_at: null };
+    feed.last_webhook_at = lastWebhookAt ? lastWebhookAt.toISOString() : null;
+    this.feedModes.set(matchKey, feed);
+
+    if (feed.mode === 'polling') {
+      // A webhook arrived since we started polling - Roanuz is pushing again
+      if (lastWebhookAt && lastWebhookAt > new Date(feed.since)) {
+        console.log(`🔔 Webhooks resumed for ${matchKey} - stopping fallback polling`);
+        this.feedModes.set(matchKey, { ...feed, mode: 'webhook', since: now.toISOString() });
+        return;
+      }
+
+      await this.pollMatch(matchKey, feed);
+      return;
+    }
+
+    // Silence counts from the last webhook, or from when we started watching the match if none arrived since
+    const watchingSince = new Date(feed.since);
+    const reference = lastWebhookAt && lastWebhookAt > watchingSince ? lastWebhookAt : watchingSince;
+
+    if (now - reference > WEBHOOK_SILENCE_THRESHOLD * 1000) {
+      console.warn(`🔕 No webhook for ${matchKey} in ${Math.round((now - reference) / 1000)}s - falling back to polling`);
+      const pollingFeed = { ...feed, mode: 'polling', since: now.toISOString() };
+      this.feedModes.set(matchKey, pollingFeed);
+      await this.pollMatch(matchKey, pollingFeed);
+    }
+  }
+
+  /**
+   * Poll a silent match through the shared poller path (skipped if another instance holds its poll lock)
+   * @param {string} matchKey - Match key
+   * @param {object} feed - Feed mode entry, gets last_poll_at
+   */
+  async pollMatch(matchKey, feed) {
+    if (await this.pollMatchDetailedScorecard(matchKey)) {
+      feed.last_poll_at = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Rank live matches by demand and keep the ones that fit the subscription budget
+   * @param {Array<object>} liveMatches - Started matches in featured order
+   * @returns {Promise<Array<string>>} Selected match keys
+   */
+  async selectMatches(liveMatches) {
+    let viewerCounts = {};
+    let favoriteTeamCounts = {};
+
+    // Demand inputs are best effort - without them the ranking falls back to importance + featured order
+    try {
+      ({ counts: viewerCounts } = await socketScorecardService.getClusterSubscriberCounts());
+    } catch (error) {
+      console.error('❌ Error getting subscriber counts:', error.message);
+    }
+    try {
+      favoriteTeamCounts = await this.getFavoriteTeamCounts();
+    } catch (error) {
+      console.error('❌ Error getting favorite team counts:', error.message);
+    }
+
+    const ranking = rankLiveMatches(liveMatches, {
+      budget: MAX_LIVE_SUBSCRIPTIONS,
+      subscribed: this.subscribedMatches,
+      viewerCounts,
+      favoriteTeamCounts,
+      priorityTournamentKeys: PRIORITY_TOURNAMENT_KEYS
+    });
+
+    for (const entry of ranking) {
+      if (entry.selected && !entry.incumbent) {
+        console.log(`⬆️ Promoting ${entry.match_key} (score ${entry.score}, ${entry.viewers} viewers, ${entry.fans} fans)`);
+      } else if (!entry.selected && entry.incumbent) {
+        console.log(`⬇️ Demoting ${entry.match_key} (score ${entry.score}, ${entry.viewers} viewers, ${entry.fans} fans)`);
+      }
+    }
+
+    // For the monitor routes
+    await cacheService.set('live_matches_selection', ranking, REDIS_TTL_SHORT);
+
+    return ranking.filter(entry => entry.selected).map(entry => entry.match_key);
+  }
+
+  /**
+   * How many users follow each team (lowercased team key/code/name → count), cached for a while
+   * @returns {Promise<Object<string, number>>} Favorite team counts
+   */
+  async getFavoriteTeamCounts() {
+    return cacheService.fetchWithCache('favorite_team_counts', async () => {
+      const rows = await User.aggregate([
+        { $unwind: '$preferences.favorite_teams' },
+        { $group: { _id: { $toLower: '$preferences.favorite_teams' }, count: { $sum: 1 } } }
+      ]);
+      return rows.reduce((counts, { _id, count }) => ({ ...counts, [_id]: count }), {});
+    }, REDIS_TTL_SHORT);
+  }
+
+  /**
+   * Load subscriptions left by a previous run, so matches that are no longer selected get released
+   * instead of leaking (they count against the Roanuz quota)
+   */
+  async reconcileSubscriptions() {
+    try {
+      const matchKeys = await webhookSubscriptionService.getSubscribedKeys('live');
+      matchKeys.forEach(matchKey => this.subscribedMatches.add(matchKey));
+      if (matchKeys.length > 0) {
+        console.log(`♻️ Found ${matchKeys.length} existing webhook subscriptions:`, matchKeys);
+      }
+    } catch (error) {
+      console.error('❌ Error loading webhook subscriptions:', error.message);
+    }
+  }
+
   async updateSubscriptions(newLiveMatches) {
     // Convert to Sets for easier comparison
     const newMatchesSet = new Set(newLiveMatches);
-    const currentMatchesSet = new Set(this.currentLiveMatches);
     
-    // Find matches to unsubscribe from (in current but not in new)
-    const matchesToUnsubscribe = [...currentMatchesSet].filter(
+    // Find matches to unsubscribe from (subscribed but no longer selected) - failed releases are retried next run
+    const matchesToUnsubscribe = [...this.subscribedMatches].filter(
       matchKey => !newMatchesSet.has(matchKey)
     );
     
-    // Find matches to subscribe to (in new but not in current)
+    // Find matches to subscribe to (selected but not subscribed yet)
     const matchesToSubscribe = [...newMatchesSet].filter(
-      matchKey => !currentMatchesSet.has(matchKey) || !this.subscribedMatches.has(matchKey)
+      matchKey => !this.subscribedMatches.has(matchKey)
     );
     
-    // Unsubscribe from matches no longer live
+    // Unsubscribe from matches no longer live / selected
     for (const matchKey of matchesToUnsubscribe) {
       try {
-        await this.unsubscribeFromMatch(matchKey);
+        await webhookSubscriptionService.unsubscribe(matchKey, 'not_selected');
         this.subscribedMatches.delete(matchKey);
         console.log(`✅ Unsubscribed from match ${matchKey}`);
       } catch (error) {
@@ -97,211 +266,37 @@ class LiveMatchesWebhook {
       }
     }
     
-    // Subscribe to new matches
+    // Subscribe to new matches ("already subscribed" counts as subscribed)
     for (const matchKey of matchesToSubscribe) {
       try {
-        await this.subscribeToMatch(matchKey);
+        await webhookSubscriptionService.subscribe(matchKey);
         this.subscribedMatches.add(matchKey);
         console.log(`✅ Subscribed to match ${matchKey}`);
       } catch (error) {
-        // Handle "already subscribed" errors gracefully
-        if (error.response && error.response.data && error.response.data.error && 
-            error.response.data.error.code === 'P-400-4') {
-          console.log(`ℹ️ Already subscribed to match ${matchKey}`);
-          this.subscribedMatches.add(matchKey);
-        } else {
-          console.error(`❌ Error subscribing to match ${matchKey}:`, error.message);
-        }
+        console.error(`❌ Error subscribing to match ${matchKey}:`, error.message);
       }
     }
   }
 
-  async subscribeToMatch(matchKey) {
+  /**
+   * Release all subscriptions on graceful shutdown
+   * Skipped while other instances are running - they keep managing the same subscriptions.
+   */
+  async releaseSubscriptions() {
     try {
-      // Use the webhook method for subscription
-      const result = await roanuzService.subscribeToMatch(matchKey);
-      console.log(`✅ Successfully subscribed to ${matchKey}`);
-      return result;
-    } catch (error) {
-      console.error(`❌ Error subscribing to match ${matchKey}:`, error.message);
-      throw error;
-    }
-  }
+      const { instances } = await socketScorecardService.getClusterSubscriberCounts();
+      if (instances > 1) {
+        console.log(`ℹ️ ${instances - 1} other instance(s) running - keeping webhook subscriptions`);
+        return;
+      }
 
-  async unsubscribeFromMatch(matchKey) {
-    try {
-      const result = await roanuzService.unsubscribeFromMatch(matchKey);
-      console.log(`✅ Successfully unsubscribed from ${matchKey}`);
-      return result;
+      const { released, failed } = await webhookSubscriptionService.releaseAll('shutdown');
+      console.log(`🔕 Released ${released.length} webhook subscriptions${failed.length ? ` (${failed.length} failed)` : ''}`);
+      this.subscribedMatches.clear();
     } catch (error) {
-      console.error(`❌ Error unsubscribing from match ${matchKey}:`, error.message);
-      throw error;
+      console.error('❌ Error releasing webhook subscriptions:', error.message);
     }
   }
-
-  // Keep the buildDetailedScorecard function for processing webhook data
-  buildDetailedScorecard(matchData) {
-    try {
-        // Get innings data
-        const innings = matchData.play?.innings || {};
-        const inningsOrder = matchData.play?.innings_order || Object.keys(innings);
-        
-        // Process each innings for the response
-        const processedInnings = [];
-        
-        for (const inningsKey of inningsOrder) {
-          const inning = innings[inningsKey];
-          if (!inning) continue;
-          
-          const teamKey = inningsKey.split('_')[0]; // 'a' or 'b'
-          const opposingTeamKey = teamKey === 'a' ? 'b' : 'a';
-          
-          // Format batting data
-          const battingData = [];
-          
-          // Try to get batting data from inning structure first
-          if (inning.batting_players && Object.keys(inning.batting_players).length > 0) {
-            // Use actual batting data from innings
-            for (const playerKey in inning.batting_players) {
-              const player = inning.batting_players[playerKey];
-              battingData.push({
-                name: player.name || playerKey,
-                dismissal: player.how_out || 'not out',
-                runs: player.runs || 0,
-                balls: player.balls || 0,
-                fours: player.fours || 0,
-                sixes: player.sixes || 0,
-                strike_rate: player.strike_rate?.toFixed(2) || '0.00'
-              });
-            }
-          } else {
-            // Fallback to old structure if available
-            const teamPlayers = matchData.players || {};
-            
-            // Process batting order players
-            if (inning.batting_order && Array.isArray(inning.batting_order)) {
-              for (const playerKey of inning.batting_order) {
-                if (teamPlayers[playerKey] && teamPlayers[playerKey].score) {
-                  const playerInfo = teamPlayers[playerKey].player;
-                  const playerScore = teamPlayers[playerKey].score['1']?.batting?.score || {};
-                  const dismissalInfo = teamPlayers[playerKey].score['1']?.batting?.dismissal || null;
-                  
-                  let dismissalText = 'not out';
-                  if (dismissalInfo) {
-                    dismissalText = dismissalInfo.msg || 'out';
-                  }
-                  
-                  battingData.push({
-                    name: playerInfo.name,
-                    dismissal: dismissalText,
-                    runs: playerScore.runs || 0,
-                    balls: playerScore.balls || 0,
-                    fours: playerScore.fours || 0,
-                    sixes: playerScore.sixes || 0,
-                    strike_rate: playerScore.strike_rate?.toFixed(2) || '0.00'
-                  });
-                }
-              }
-            }
-          }
-          
-          // Format bowling data
-          const bowlingData = [];
-          
-          // Try to get bowling data from inning structure first
-          if (inning.bowling_players && Object.keys(inning.bowling_players).length > 0) {
-            // Use actual bowling data from innings
-            for (const playerKey in inning.bowling_players) {
-              const player = inning.bowling_players[playerKey];
-              if (parseFloat(player.overs) > 0 || player.wickets > 0) {
-                bowlingData.push({
-                  name: player.name || playerKey,
-                  overs: parseFloat(player.overs || 0).toFixed(1),
-                  maidens: player.maidens || 0,
-                  runs: player.runs || 0,
-                  wickets: player.wickets || 0,
-                  economy: player.economy?.toFixed(2) || '0.00'
-                });
-              }
-            }
-          } else {
-            // Fallback to old structure if available
-            const teamPlayers = matchData.players || {};
-            
-            // Get all players from opposing team who bowled in this innings
-            for (const playerKey in teamPlayers) {
-              const playerScore = teamPlayers[playerKey].score?.[1]?.bowling?.score;
-              if (playerScore && playerScore.balls > 0) {
-                const playerInfo = teamPlayers[playerKey].player;
-                
-                // Check if player is from opposing team by examining their bowling data
-                const oversBowled = playerScore.overs;
-                if (oversBowled && (oversBowled[0] > 0 || oversBowled[1] > 0)) {
-                  const totalOvers = oversBowled[0] + (oversBowled[1] / 10);
-                  
-                  bowlingData.push({
-                    name: playerInfo.name,
-                    overs: totalOvers.toFixed(1),
-                    maidens: playerScore.maiden_overs || 0,
-                    runs: playerScore.runs || 0,
-                    wickets: playerScore.wickets || 0,
-                    economy: playerScore.economy?.toFixed(2) || '0.00'
-                  });
-                }
-              }
-            }
-          }
-          
-          // Calculate innings total and extras
-          const extras = {
-            total: inning.extra_runs?.extra || 0,
-            bye: inning.extra_runs?.bye || 0,
-            leg_bye: inning.extra_runs?.leg_bye || 0,
-            wide: inning.extra_runs?.wide || 0,
-            no_ball: inning.extra_runs?.no_ball || 0
-          };
-          
-          const total = inning.score?.runs || 0;
-          const overs = inning.overs ? `${inning.overs[0]}.${inning.overs[1]}` : '0.0';
-          const runRate = inning.score?.run_rate?.toFixed(2) || '0.00';
-          
-          // Format the innings data
-          processedInnings.push({
-            team: matchData.teams[teamKey].name,
-            batting: battingData,
-            bowling: bowlingData,
-            total: total.toString(),
-            overs: overs,
-            run_rate: runRate,
-            extras: extras.total,
-            bye: extras.bye,
-            leg_bye: extras.leg_bye,
-            wide: extras.wide,
-            no_ball: extras.no_ball
-          });
-        }
-        
-        // Add close of play info
-        const closeOfPlay = matchData.play?.close_of_play_msg || matchData.play?.result?.msg || null;
-        
-        return {
-          match_key: matchData.key,
-          match_status: matchData.status,
-          innings: processedInnings,
-          close_of_play: closeOfPlay
-        };
-        
-      } catch (error) {
-        console.error(`Error building detailed scorecard for ${matchData.key}:`, error);
-        return {
-          match_key: matchData.key,
-          match_status: matchData.status,
-          innings: [],
-          close_of_play: null,
-          error: 'Error building scorecard'
-        };
-      }
-  }
 }
 
 module.exports = LiveMatchesWebhook;
\ No newline at end of file
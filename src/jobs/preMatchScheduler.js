@@ -0,0 +1,181 @@
+// jobs/preMatchScheduler.js
+const cron = require('node-cron');
+const Match = require('../models/Match');
+const roanuzService = require('../services/roanuzService');
+const matchFeedService = require('../services/matchFeedService');
+const webhookSubscriptionService = require('../services/webhookSubscriptionService');
+const {
+  PRE_MATCH_SUBSCRIBE_LEAD,
+  PRE_MATCH_MAX_DELAY,
+  PRE_MATCH_MAX_SUBSCRIPTIONS
+} = require('../config/constants');
+
+// Once a match has started the live job has this long to take its subscription over
+const HANDOVER_GRACE_MS = 2 * 60 * 1000;
+
+// Start time, taking delays into account (Roanuz moves expected_start_at for late starts / rain)
+const getEffectiveStart = (match) => match.expected_start_at || match.start_at;
+
+/**
+ * Pre-Match Scheduler
+ *
+ * Live discovery (LiveMatchesWebhook) only sees matches once they have started, which misses
+ * the toss, playing XI and first deliveries. Every minute this job:
+ * 1. Subscribes to not_started matches starting within PRE_MATCH_SUBSCRIBE_LEAD
+ *    (soonest first, at most PRE_MATCH_MAX_SUBSCRIPTIONS)
+ * 2. Keeps them while the start is delayed, up to PRE_MATCH_MAX_DELAY past the start time
+ * 3. Releases them when abandoned / cancelled, postponed, or started but not picked up by the live job
+ *
+ * Webhooks keep the Match document fresh (status, expected_start_at, toss) while subscribed.
+ */
+class PreMatchScheduler {
+  constructor() {
+    this.isRunning = false;
+    this.startedSeenAt = new Map(); // matchKey → when we first saw it started (handover grace)
+  }
+
+  start() {
+    console.log('🚀 Starting pre-match subscription scheduler...');
+
+    cron.schedule('0 * * * * *', () => {
+      this.run();
+    });
+
+    this.run();
+  }
+
+  async run() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const subscribedKeys = await this.reviewSubscriptions();
+      await this.subscribeUpcoming(subscribedKeys);
+    } catch (error) {
+      console.error('❌ Error in pre-match scheduler:', error.message);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Release pre-match subscriptions that are no longer needed
+   * @returns {Promise<Array<string>>} Keys still subscribed
+   */
+  async reviewSubscriptions() {
+    const matchKeys = await webhookSubscriptionService.getSubscribedKeys('pre_match');
+    const matches = await Match.find({ key: { $in: matchKeys } })
+      .select('key status start_at expected_start_at')
+      .lean();
+    const matchesByKey = new Map(matches.map(match => [match.key, match]));
+    const now = Date.now();
+    const kept = [];
+
+    for (const matchKey of matchKeys) {
+      const reason = this.getReleaseReason(matchesByKey.get(matchKey), now);
+
+      if (!reason) {
+        kept.push(matchKey);
+        continue;
+      }
+
+      try {
+        await webhookSubscriptionService.unsubscribe(matchKey, reason);
+        this.startedSeenAt.delete(matchKey);
+        console.log(`🔕 Released pre-match subscription for ${matchKey} (${reason})`);
+      } catch (error) {
+        console.error(`❌ Error releasing pre-match subscription for ${matchKey}:`, error.message);
+        kept.push(matchKey);
+      }
+    }
+
+    return kept;
+  }
+
+  /**
+   * @param {object} match - Match document (start fields and status only)
+   * @param {number} now - Current time in ms
+   * @returns {string|null} Why the subscription should go, or null to keep it
+   */
+  getReleaseReason(match, now) {
+    if (!match) return 'not_selected';
+
+    if (match.status === 'abandoned' || match.status === 'cancelled') {
+      return match.status;
+    }
+
+    if (match.status === 'started' || match.status === 'completed') {
+      // Still ours after the grace period → the live job didn't select it
+      if (!this.startedSeenAt.has(match.key)) {
+        this.startedSeenAt.set(match.key, now);
+      }
+      return now - this.startedSeenAt.get(match.key) > HANDOVER_GRACE_MS ? 'not_selected' : null;
+    }
+
+    const secondsToStart = getEffectiveStart(match) - now / 1000;
+
+    // Moved well beyond the lead window (postponed to a later time / day) - picked up again when it gets close
+    if (secondsToStart > PRE_MATCH_SUBSCRIBE_LEAD * 2) {
+      return 'postponed';
+    }
+    if (secondsToStart < -PRE_MATCH_MAX_DELAY) {
+      return 'start_overdue';
+    }
+
+    return null;
+  }
+
+  /**
+   * Subscribe to not_started matches about to start
+   * @param {Array<string>} subscribedKeys - Pre-match subscriptions already held
+   */
+  async subscribeUpcoming(subscribedKeys) {
+    const slots = PRE_MATCH_MAX_SUBSCRIPTIONS - subscribedKeys.length;
+    if (slots <= 0) return;
+
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const windowStart = nowSeconds - PRE_MATCH_MAX_DELAY;
+    const windowEnd = nowSeconds + PRE_MATCH_SUBSCRIBE_LEAD;
+
+    const candidates = await Match.find({
+      status: 'not_started',
+      key: { $nin: subscribedKeys },
+      $or: [
+        { start_at: { $gte: windowStart, $lte: windowEnd } },
+        { expected_start_at: { $gte: windowStart, $lte: windowEnd } }
+      ]
+    })
+      .select('key start_at expected_start_at')
+      .lean();
+
+    const upcoming = candidates
+      .filter(match => getEffectiveStart(match) >= windowStart && getEffectiveStart(match) <= windowEnd)
+      .sort((a, b) => getEffectiveStart(a) - getEffectiveStart(b));
+
+    let subscribed = 0;
+    for (const candidate of upcoming) {
+      if (subscribed >= slots) break;
+
+      try {
+        // Our copy can be hours old - check the real status / start time before spending a subscription
+        const matchData = (await roanuzService.getMatchDetails(candidate.key, { useCache: false }))?.data;
+        if (!matchData) continue;
+
+        await matchFeedService.processMatchData(matchData);
+
+        const start = getEffectiveStart(matchData);
+        if (matchData.status !== 'not_started' || start > windowEnd || start < windowStart) {
+          continue; // started ones are the live job's, the rest were delayed / called off
+        }
+
+        await webhookSubscriptionService.subscribe(candidate.key, 'pre_match');
+        subscribed++;
+        console.log(`⏰ Subscribed to ${candidate.key} ahead of its start (${new Date(start * 1000).toISOString()})`);
+      } catch (error) {
+        console.error(`❌ Error subscribing to upcoming match ${candidate.key}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = PreMatchScheduler;
@@ -0,0 +1,51 @@
+// jobs/webhookRetryJob.js
+const cron = require('node-cron');
+const deadLetterService = require('../services/deadLetterService');
+const matchFeedService = require('../services/matchFeedService');
+
+// Upper bound per run so a big backlog doesn't hog the event loop
+const MAX_RETRIES_PER_RUN = 20;
+
+/**
+ * Webhook Retry Job
+ * Every 15 seconds: store failures buffered while Mongo was down, then retry due dead-lettered webhooks.
+ * Entries are claimed atomically, so running this on every instance is safe.
+ */
+class WebhookRetryJob {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    console.log('🚀 Starting dead-lettered webhook retry job...');
+
+    cron.schedule('*/15 * * * * *', () => {
+      this.run();
+    });
+  }
+
+  async run() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const flushed = await deadLetterService.flushBuffer();
+      if (flushed > 0) {
+        console.log(`📥 Stored ${flushed} buffered webhook failure(s)`);
+      }
+
+      for (let i = 0; i < MAX_RETRIES_PER_RUN; i++) {
+        const entry = await deadLetterService.claimNextDue();
+        if (!entry) break;
+
+        await matchFeedService.retryFailedWebhook(entry);
+      }
+    } catch (error) {
+      console.error('❌ Error retrying dead-lettered webhooks:', error.message);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = WebhookRetryJob;
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const { ADMIN_API_KEY } = require('../config/constants');
+
+/**
+ * Protect admin routes with the ADMIN_API_KEY (sent as the x-admin-key header)
+ * Without a configured key admin routes are open in development and closed in production.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function adminAuth(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(403).json({ message: 'Admin routes are disabled (ADMIN_API_KEY not set)' });
+    }
+    return next();
+  }
+
+  const providedKey = req.headers['x-admin-key'] || '';
+  const expected = Buffer.from(ADMIN_API_KEY);
+  const provided = Buffer.from(String(providedKey));
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ message: 'Invalid admin key' });
+  }
+
+  next();
+}
+
+module.exports = adminAuth;
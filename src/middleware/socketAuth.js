@@ -0,0 +1,153 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const {
+  JWT_SECRET,
+  SOCKET_AUTH_MODE,
+  SOCKET_MAX_CONNECTIONS_PER_CLIENT,
+  TRUST_PROXY
+} = require('../config/constants');
+
+// Open connections per client identity (device / user / IP) on this instance
+const connectionCounts = new Map();
+
+/**
+ * Build a connect_error the client can act on (message + data.code)
+ * @param {string} code - Machine-readable code
+ * @param {string} message - Human-readable message
+ * @returns {Error} Error for socket.io's next()
+ */
+function socketError(code, message) {
+  const error = new Error(message);
+  error.data = { code, message };
+  return error;
+}
+
+/**
+ * Client IP (socket handshake or HTTP request)
+ * X-Forwarded-For is only read behind TRUST_PROXY proxies, and then only the entry our own proxies
+ * added - anything before it is whatever the client sent.
+ * @param {object} headers - Request headers
+ * @param {string} address - Remote address of the connection
+ * @returns {string} IP address
+ */
+function getClientIp(headers, address) {
+  const forwardedFor = headers['x-forwarded-for'];
+  if (!TRUST_PROXY || !forwardedFor) return address;
+
+  const hops = forwardedFor.split(',').map(hop => hop.trim()).filter(Boolean);
+  return hops[hops.length - TRUST_PROXY] || address;
+}
+
+/**
+ * Take one of a client's SOCKET_MAX_CONNECTIONS_PER_CLIENT connection slots on this instance
+ * (sockets and SSE streams share them)
+ * @param {string} clientKey - 'user:<id>', 'device:<id>' or 'ip:<address>'
+ * @returns {Function|null} Gives the slot back (safe to call more than once), or null when the client is at the cap
+ */
+function reserveConnection(clientKey) {
+  const connections = connectionCounts.get(clientKey) || 0;
+  if (connections >= SOCKET_MAX_CONNECTIONS_PER_CLIENT) {
+    return null;
+  }
+
+  connectionCounts.set(clientKey, connections + 1);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+
+    const remaining = (connectionCounts.get(clientKey) || 1) - 1;
+    if (remaining > 0) {
+      connectionCounts.set(clientKey, remaining);
+    } else {
+      connectionCounts.delete(clientKey);
+    }
+  };
+}
+
+/**
+ * Work out who is connecting from the handshake (auth or query): a JWT, a registered device id, or nobody
+ * @param {Socket} socket - Socket instance
+ * @returns {Promise<{ type: string, id: string, user?: object }|null>} Identity, or null when anonymous
+ */
+async function authenticate(socket) {
+  const auth = socket.handshake.auth || {};
+  const query = socket.handshake.query || {};
+  const token = auth.token || query.token;
+  const deviceId = auth.deviceId || query.deviceId;
+
+  if (token) {
+    if (!JWT_SECRET) {
+      throw socketError('AUTH_UNAVAILABLE', 'Token auth is not configured on this server');
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      throw socketError('INVALID_TOKEN', `Invalid token: ${error.message}`);
+    }
+
+    // Connections are capped per identity - a token that names nobody can't share one bucket
+    const id = payload.sub || payload.id || payload.deviceId;
+    if (!id) {
+      throw socketError('INVALID_TOKEN', 'Invalid token: no sub, id or deviceId claim');
+    }
+    return { type: 'user', id: String(id), user: payload };
+  }
+
+  if (deviceId) {
+    const exists = await User.exists({ deviceId });
+    if (!exists) {
+      throw socketError('UNKNOWN_DEVICE', 'Device is not registered');
+    }
+    return { type: 'device', id: String(deviceId) };
+  }
+
+  return null;
+}
+
+/**
+ * Socket.IO middleware: handshake auth + connections-per-client cap
+ *
+ * SOCKET_AUTH_MODE:
+ * - 'off' (default): everyone connects; a token / deviceId is still checked if sent
+ * - 'required': connections without a valid token or deviceId are refused
+ *
+ * Connections are capped per identity (user / device, or IP for anonymous clients) on each instance.
+ * Refusals reach the client as `connect_error` with err.data = { code, message }.
+ * @param {Socket} socket - Socket instance
+ * @param {Function} next - Next middleware
+ */
+async function socketAuth(socket, next) {
+  try {
+    const identity = await authenticate(socket);
+
+    if (!identity && SOCKET_AUTH_MODE === 'required') {
+      return next(socketError('AUTH_REQUIRED', 'A token or deviceId is required'));
+    }
+
+    const clientKey = identity
+      ? `${identity.type}:${identity.id}`
+      : `ip:${getClientIp(socket.handshake.headers, socket.handshake.address)}`;
+    const release = reserveConnection(clientKey);
+
+    if (!release) {
+      return next(socketError('CONNECTION_LIMIT', `Too many connections (max ${SOCKET_MAX_CONNECTIONS_PER_CLIENT})`));
+    }
+
+    socket.data.identity = identity;
+    socket.data.clientKey = clientKey;
+
+    socket.on('disconnect', release);
+
+    next();
+  } catch (error) {
+    next(error.data ? error : socketError('AUTH_FAILED', error.message));
+  }
+}
+
+module.exports = socketAuth;
+module.exports.getClientIp = getClientIp;
+module.exports.reserveConnection = reserveConnection;
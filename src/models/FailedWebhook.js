@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Dead-letter entries for webhook payloads that failed somewhere in the feed pipeline
+const failedWebhookSchema = new mongoose.Schema(
+  {
+    match_key: {
+      type: String,
+      index: true,
+    },
+    stage: {
+      type: String,
+      enum: ['unzip', 'parse', 'cache_write', 'mongo_upsert'],
+      required: true,
+    },
+    error: {
+      message: String,
+      stack: String,
+    },
+    // Raw request body - kept for unzip/parse failures where there is no payload yet
+    raw_body: Buffer,
+    payload: mongoose.Schema.Types.Mixed,
+    status: {
+      type: String,
+      enum: ['pending', 'retrying', 'resolved', 'failed', 'discarded'],
+      default: 'pending',
+      index: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Newer payloads for the same match/stage that replaced this one while it was pending
+    replaced_payloads: {
+      type: Number,
+      default: 0,
+    },
+    next_retry_at: Date,
+    last_attempt_at: Date,
+    resolved_at: Date,
+    resolution: String, // 'retried', 'superseded' (a newer payload already covered it) or 'discarded'
+    history: [{
+      at: Date,
+      error: String,
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+failedWebhookSchema.index({ status: 1, next_retry_at: 1 });
+
+module.exports = mongoose.model('FailedWebhook', failedWebhookSchema);
@@ -144,6 +144,8 @@ const matchSchema = new mongoose.Schema(
       a: String,
       b: String,
     },
+    // Overs lost mid-chase, recorded by matchFeedService for the DLS par score ({ max_balls, interruptions })
+    dls_chase: mongoose.Schema.Types.Mixed,
     last_updated: {
       type: Date,
       default: Date.now,
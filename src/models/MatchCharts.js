@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Worm, Manhattan and run-rate data for one innings (see matchChartsService)
+const chartInningsSchema = new mongoose.Schema(
+  {
+    innings: String, // 'a_1'
+    batting_team: String,
+    team_name: String,
+    target: Number,
+    total_balls: Number,
+    worm: [{
+      _id: false,
+      over: Number,
+      runs: Number, // cumulative
+      wickets: Number,
+    }],
+    manhattan: [{
+      _id: false,
+      over: Number,
+      runs: Number,
+      extras: Number,
+      wickets: Number, // wicket markers on the bar
+      is_complete: Boolean,
+    }],
+    run_rate: [{
+      _id: false,
+      over: Number,
+      run_rate: Number,
+      over_run_rate: Number,
+      required_run_rate: Number,
+    }],
+  },
+  { _id: false }
+);
+
+// Only completed matches are stored - the charts can't change any more
+const matchChartsSchema = new mongoose.Schema(
+  {
+    match_key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    format: String,
+    innings: {
+      type: [chartInningsSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('MatchCharts', matchChartsSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { EVENT_TYPES } = require('../utils/matchEventDetector');
+
+const matchEventSchema = new mongoose.Schema(
+  {
+    match_key: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Stable per match (e.g. 'wicket:a_1:<player_key>') so re-sent payloads don't create duplicates
+    event_key: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(EVENT_TYPES),
+      required: true,
+    },
+    innings: String,
+    overs: [Number], // [over, ball]
+    player_key: String,
+    player_name: String,
+    message: String,
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    occurred_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+matchEventSchema.index({ match_key: 1, event_key: 1 }, { unique: true });
+matchEventSchema.index({ match_key: 1, occurred_at: 1 });
+
+module.exports = mongoose.model('MatchEvent', matchEventSchema);
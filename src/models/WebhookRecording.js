@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Raw Roanuz webhook payloads, stored when RECORD_WEBHOOKS=true so matches can be replayed later
+const webhookRecordingSchema = new mongoose.Schema(
+  {
+    match_key: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    received_at: {
+      type: Date,
+      required: true,
+    },
+    // Innings in progress and its overs when the payload was sent (used by replay --from-over)
+    innings_key: String,
+    overs: [Number], // [over, ball]
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookRecordingSchema.index({ match_key: 1, received_at: 1 });
+
+module.exports = mongoose.model('WebhookRecording', webhookRecordingSchema);
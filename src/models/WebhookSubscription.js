@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Roanuz match webhook subscriptions, so they survive restarts (see webhookSubscriptionService)
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    match_key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ['subscribed', 'unsubscribed', 'failed'],
+      required: true,
+      index: true,
+    },
+    // Who manages it: the live job ('live') or the pre-match scheduler ('pre_match')
+    source: {
+      type: String,
+      enum: ['live', 'pre_match'],
+      default: 'live',
+    },
+    subscribed_at: Date,
+    unsubscribed_at: Date,
+    // Why it was released: 'not_selected' (finished or demoted), 'shutdown', 'abandoned', 'cancelled',
+    // 'postponed' or 'start_overdue' (pre-match)
+    release_reason: String,
+    last_error: {
+      message: String,
+      at: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const adminAuth = require('../middleware/adminAuth');
+
+router.use(adminAuth);
+
+// Dead-lettered webhooks
+router.get('/webhooks/failed', adminController.getFailedWebhooks);
+router.get('/webhooks/failed/:id', adminController.getFailedWebhook);
+router.post('/webhooks/failed/:id/retry', adminController.retryFailedWebhook);
+router.post('/webhooks/failed/:id/discard', adminController.discardFailedWebhook);
+
+// Roanuz webhook subscriptions
+router.get('/webhooks/subscriptions', adminController.getWebhookSubscriptions);
+
+module.exports = router;
@@ -19,6 +19,12 @@ router.get('/:matchKey/scorecard-detailed', matchController.getMatchScorecardDet
 router.get('/:matchKey/statistics', matchController.getMatchStatistics);
 router.get('/:matchKey/ball-by-ball', matchController.getMatchBallByBall);
 router.get('/:matchKey/commentary', matchController.getMatchCommentary);
+router.get('/:matchKey/events', matchController.getMatchEvents);
+router.get('/:matchKey/stream', matchController.streamMatch);
+router.get('/:matchKey/viewers', matchController.getMatchViewers);
+router.get('/:matchKey/charts', matchController.getMatchCharts);
+router.get('/:matchKey/partnerships', matchController.getMatchPartnerships);
+router.get('/:matchKey/matchups', matchController.getMatchMatchups);
 router.get('/:matchKey/best-performances/:type', matchController.getBestPerformances);
 
 router.get('/:matchKey', matchController.getMatchDetails);
@@ -4,5 +4,7 @@ const monitorController = require('../controllers/monitorController');
 
 router.get('/cache', monitorController.getCacheStats);
 router.post('/cache/clear', monitorController.clearCache);
+router.get('/sockets', monitorController.getSocketStats);
+router.get('/webhooks', monitorController.getWebhookStats);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const toolsController = require('../controllers/toolsController');
+const router = express.Router();
+
+/**
+ * Calculator Routes
+ */
+
+/**
+ * @route POST /api/tools/dls
+ * @desc DLS (Standard Edition) revised target and par score for what-if scenarios
+ * @body {object} team1 - { score, max_overs, interruptions: [{ overs, wickets, revised_max_overs }] }
+ * @body {object} team2 - { max_overs, interruptions, overs?, wickets?, runs? } (current state for the par score)
+ * @body {number} g50 - Optional, defaults to DLS_G50 (245)
+ */
+router.post('/dls', toolsController.calculateDLS);
+
+module.exports = router;
@@ -0,0 +1,183 @@
+// services/ballByBallService.js
+const roanuzService = require('./roanuzService');
+const cacheService = require('./cacheService');
+const { REDIS_TTL_LIVE, REDIS_TTL_MEDIUM, REDIS_TTL_LONG } = require('../config/constants');
+
+// Safety net for the previous_over_key walk (a five-day Test is well under this)
+const MAX_OVERS = 2500;
+
+/**
+ * Ball-by-ball Service
+ * Over-by-over summaries for every innings of a match, built from Roanuz ball-by-ball data.
+ *
+ * Roanuz serves one over per request and chains them with `previous_over_key`, so the whole match is
+ * a walk back from the latest over. Overs behind the latest one can't change any more: each is cached
+ * on its own (`ballbyball-over:<matchKey>:<overKey>`) and the summaries so far are kept in
+ * `over-summaries:<matchKey>`, so a live refresh only walks back to the last settled over.
+ */
+class BallByBallService {
+  /**
+   * Fetch one over (the latest when overKey is null)
+   * @param {string} matchKey - Match key
+   * @param {string|null} overKey - e.g. 'b_1_19'
+   * @returns {Promise<object|null>} Ball-by-ball response data ({ over, previous_over_key, ... })
+   */
+  async fetchOver(matchKey, overKey = null) {
+    if (!overKey) {
+      const response = await roanuzService.getBallByBall(matchKey, { useCache: true, cacheTTL: REDIS_TTL_LIVE });
+      return response?.data?.over ? response.data : null;
+    }
+
+    const cacheKey = `ballbyball-over:${matchKey}:${overKey}`;
+    const cached = await cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    const response = await roanuzService.getBallByBall(matchKey, { useCache: false, over_key: overKey });
+    const data = response?.data?.over ? response.data : null;
+    if (data) {
+      // Only overs behind the latest one are fetched by key - they are final
+      await cacheService.set(cacheKey, data, REDIS_TTL_LONG);
+    }
+    return data;
+  }
+
+  /**
+   * Summaries of every over bowled so far, oldest first, with the cumulative innings score after each
+   * @param {string} matchKey - Match key
+   * @param {object} [options]
+   * @param {boolean} [options.live=true] - Live matches re-check the latest over; finished ones are served from cache once built
+   * @param {object} [options.players] - Match `players` map, used to add names to bowler / batter keys
+   * @returns {Promise<{ overs: Array<object>, latest_over: object|null }>} Summaries and the raw latest over
+   */
+  async getOverSummaries(matchKey, { live = true, players = {} } = {}) {
+    const cacheKey = `over-summaries:${matchKey}`;
+    const cached = await cacheService.get(cacheKey);
+
+    if (cached?.complete && !live) {
+      return { overs: this.addCumulativeScores(cached.overs, players), latest_over: cached.latest_over };
+    }
+
+    const settled = new Set((cached?.overs || []).filter(over => over.is_complete).map(over => over.over_key));
+    const { overs: rawOvers, joinedAt } = await this.getOversSince(matchKey, key => settled.has(key));
+    const fresh = rawOvers.map((over, index) => this.summariseOver(over, { isComplete: index < rawOvers.length - 1 }));
+    const latest = rawOvers[rawOvers.length - 1] || null;
+
+    // Settled overs from earlier walks, up to where this walk joined them
+    const earlier = [];
+    if (joinedAt) {
+      for (const over of cached.overs) {
+        earlier.push(over);
+        if (over.over_key === joinedAt) break;
+      }
+    }
+
+    const overs = [...earlier, ...fresh];
+    await cacheService.set(cacheKey, { overs, latest_over: latest, complete: !live }, live ? REDIS_TTL_MEDIUM : REDIS_TTL_LONG);
+
+    return { overs: this.addCumulativeScores(overs, players), latest_over: latest };
+  }
+
+  /**
+   * Walk back from the latest over until an over the caller already has (or the first over of the match)
+   * @param {string} matchKey - Match key
+   * @param {function(string): boolean} [isSettled] - True for an over key the caller has already counted
+   * @returns {Promise<{ overs: Array<object>, joinedAt: string|null }>} Raw Roanuz overs after that one, oldest
+   *   first (the last is the latest over), and the settled over key the walk stopped at
+   */
+  async getOversSince(matchKey, isSettled = () => false) {
+    const overs = [];
+    const seen = new Set();
+    let joinedAt = null;
+    let data = await this.fetchOver(matchKey);
+
+    while (data && overs.length < MAX_OVERS) {
+      const overKey = `${data.over.index.innings}_${data.over.index.over_number}`;
+      if (seen.has(overKey)) break;
+      seen.add(overKey);
+      overs.unshift(data.over);
+
+      const previousKey = this.getPreviousOverKey(data);
+      if (!previousKey) break;
+      if (isSettled(previousKey)) {
+        joinedAt = previousKey;
+        break;
+      }
+      data = await this.fetchOver(matchKey, previousKey);
+    }
+
+    return { overs, joinedAt };
+  }
+
+  /**
+   * Key of the over before this one ('b_1_19'), from previous_over_key or previous_over_index
+   * @param {object} data - Ball-by-ball response data
+   * @returns {string|null} Over key, null at the first over of the match
+   */
+  getPreviousOverKey(data) {
+    if (data.previous_over_key) return data.previous_over_key;
+    const index = data.previous_over_index;
+    return index?.innings ? `${index.innings}_${index.over_number}` : null;
+  }
+
+  /**
+   * Aggregate one over
+   * @param {object} over - Roanuz over ({ index: { innings, over_number }, balls })
+   * @param {object} options - { isComplete: a later over exists }
+   * @returns {object} Over summary (player keys only - names are added on the way out)
+   */
+  summariseOver(over, { isComplete }) {
+    // Roanuz lists balls newest first
+    const balls = [...(over.balls || [])].reverse();
+    const lastBall = balls[balls.length - 1];
+    const bowlers = [...new Set(balls.map(ball => ball.bowler?.player_key).filter(Boolean))];
+
+    // Batters left at the crease after the last ball (the dismissed one isn't)
+    let batters = lastBall ? [lastBall.batsman?.player_key, lastBall.non_striker_key].filter(Boolean) : [];
+    if (lastBall?.wicket?.player_key) {
+      batters = batters.filter(key => key !== lastBall.wicket.player_key);
+    }
+
+    return {
+      over_key: `${over.index.innings}_${over.index.over_number}`,
+      innings: over.index.innings,
+      batting_team: over.index.innings.split('_')[0],
+      over_number: over.index.over_number + 1, // 1-based, like the commentary tab
+      runs: balls.reduce((sum, ball) => sum + (ball.team_score?.runs || 0), 0),
+      wickets: balls.filter(ball => ball.team_score?.is_wicket).length,
+      extras: balls.reduce((sum, ball) => sum + (ball.team_score?.extras || 0), 0),
+      legal_balls: balls.reduce((sum, ball) => sum + (ball.team_score?.ball_count || 0), 0),
+      balls: balls.map(ball => ball.repr),
+      bowler_keys: bowlers,
+      batter_keys: batters,
+      is_complete: isComplete,
+    };
+  }
+
+  /**
+   * Running innings score after each over, plus player names
+   * @param {Array<object>} overs - Summaries, oldest first
+   * @param {object} players - Match `players` map
+   * @returns {Array<object>} Summaries ready for the client
+   */
+  addCumulativeScores(overs, players) {
+    const totals = {};
+    const player = (key) => ({ key, name: players[key]?.player?.name || key });
+
+    return overs.map(({ bowler_keys, batter_keys, ...over }) => {
+      const total = totals[over.innings] || { runs: 0, wickets: 0 };
+      total.runs += over.runs;
+      total.wickets += over.wickets;
+      totals[over.innings] = total;
+
+      return {
+        ...over,
+        bowler: bowler_keys.length ? player(bowler_keys[0]) : null,
+        bowlers: bowler_keys.map(player),
+        batters: batter_keys.map(player),
+        score: { runs: total.runs, wickets: total.wickets, title: `${total.runs}/${total.wickets}` },
+      };
+    });
+  }
+}
+
+module.exports = new BallByBallService();
@@ -5,6 +5,9 @@
 const redis = require('redis');
 const { REDIS_TTL_SHORT } = require('../config/constants');
 
+// Retries of a compare-and-set that lost the race to another client
+const COMPARE_AND_SET_ATTEMPTS = 5;
+
 class RedisCache {
   constructor() {
     this.client = null;
@@ -98,6 +101,69 @@ class RedisCache {
     }
   }
 
+  /**
+   * Set data in cache only if the key doesn't exist yet
+   * @param {string} key - Cache key
+   * @param {any} data - Data to cache
+   * @param {number} [expiry=REDIS_TTL_SHORT] - Expiry time in seconds
+   * @returns {Promise<boolean|null>} - true if set, false if the key already existed, null if Redis is unavailable
+   */
+  async setIfAbsent(key, data, expiry = REDIS_TTL_SHORT) {
+    try {
+      if (!this.isConnected) {
+        console.log('Redis not connected, skipping cache setIfAbsent');
+        return null;
+      }
+
+      const result = await this.client.set(key, JSON.stringify(data), { NX: true, EX: expiry });
+      return result === 'OK';
+    } catch (error) {
+      console.error(`Error setting cache (NX) for key ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Read, decide and write a key atomically (WATCH / MULTI, retried when another client changes the key first)
+   * @param {string} key - Cache key
+   * @param {function(any): { value?: any, result: any }} decide - Gets the current value (null if missing) and
+   *   returns what to report, plus `value` when the key should be written. May run more than once.
+   * @param {number} [expiry=REDIS_TTL_SHORT] - Expiry time in seconds
+   * @returns {Promise<any>} - The `result` of the decision that went through, or null if Redis is unavailable
+   */
+  async compareAndSet(key, decide, expiry = REDIS_TTL_SHORT) {
+    try {
+      if (!this.isConnected) {
+        console.log('Redis not connected, skipping cache compareAndSet');
+        return null;
+      }
+
+      for (let attempt = 1; attempt <= COMPARE_AND_SET_ATTEMPTS; attempt++) {
+        try {
+          return await this.client.executeIsolated(async (isolated) => {
+            await isolated.watch(key);
+            const data = await isolated.get(key);
+            const { value, result } = decide(data ? JSON.parse(data) : null);
+
+            if (value === undefined) {
+              await isolated.unwatch();
+            } else {
+              await isolated.multi().setEx(key, expiry, JSON.stringify(value)).exec();
+            }
+            return result;
+          });
+        } catch (error) {
+          if (!(error instanceof redis.WatchError)) throw error;
+        }
+      }
+
+      throw new Error(`key changed on each of ${COMPARE_AND_SET_ATTEMPTS} attempts`);
+    } catch (error) {
+      console.error(`Error in compare-and-set for key ${key}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Delete data from cache
    * @param {string} key - Cache key
@@ -118,6 +184,86 @@ class RedisCache {
     }
   }
 
+  /**
+   * Atomically increment a counter key
+   * @param {string} key - Counter key
+   * @param {number} [expiry=REDIS_TTL_SHORT] - Expiry time in seconds (refreshed on every increment)
+   * @returns {Promise<number|null>} - New counter value or null if Redis is unavailable
+   */
+  async increment(key, expiry = REDIS_TTL_SHORT) {
+    try {
+      if (!this.isConnected) {
+        console.log('Redis not connected, skipping cache increment');
+        return null;
+      }
+
+      const value = await this.client.incr(key);
+      await this.client.expire(key, expiry);
+      return value;
+    } catch (error) {
+      console.error(`Error incrementing cache key ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Add a member to a set
+   * @param {string} key - Set key
+   * @param {string} member - Member to add
+   * @returns {Promise<boolean>} - Success status
+   */
+  async addToSet(key, member) {
+    try {
+      if (!this.isConnected) {
+        return false;
+      }
+
+      await this.client.sAdd(key, member);
+      return true;
+    } catch (error) {
+      console.error(`Error adding to set ${key}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a member from a set
+   * @param {string} key - Set key
+   * @param {string} member - Member to remove
+   * @returns {Promise<boolean>} - Success status
+   */
+  async removeFromSet(key, member) {
+    try {
+      if (!this.isConnected) {
+        return false;
+      }
+
+      await this.client.sRem(key, member);
+      return true;
+    } catch (error) {
+      console.error(`Error removing from set ${key}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get all members of a set
+   * @param {string} key - Set key
+   * @returns {Promise<string[]|null>} - Set members or null if Redis is unavailable
+   */
+  async getSetMembers(key) {
+    try {
+      if (!this.isConnected) {
+        return null;
+      }
+
+      return await this.client.sMembers(key);
+    } catch (error) {
+      console.error(`Error reading set ${key}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Clear all cache (use with caution)
    * @returns {Promise<boolean>} - Success status
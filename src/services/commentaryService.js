@@ -0,0 +1,129 @@
+// services/commentaryService.js
+const cacheService = require('./cacheService');
+const socketScorecardService = require('./socketScorecardService');
+const { formatOverCommentary } = require('../utils/commentaryFormatter');
+const { REDIS_TTL_MEDIUM } = require('../config/constants');
+
+/**
+ * Commentary Service
+ * Pushes new commentary balls to the `commentary:<matchKey>` socket room as feed updates arrive.
+ *
+ * Built from the payload itself - Roanuz puts every ball of the last few overs (and the wicket balls)
+ * in `play.related_balls` - so the feed never waits on a ball-by-ball request. The latest over is compared
+ * with what was already pushed (`commentary-state:<matchKey>` = { over_key, balls: { ballKey: updated_time } }).
+ * Each push is the whole over in the formatOverCommentary shape plus `new_ball_keys`, so clients
+ * can simply replace the over with the same over_key.
+ */
+class CommentaryService {
+  /**
+   * Push commentary for balls bowled since the last push
+   * Never throws - commentary must not hold up the scorecard pipeline.
+   * @param {object} matchData - Match data from Roanuz
+   */
+  async processMatchUpdate(matchData) {
+    const matchKey = matchData?.key || matchData?.match_key;
+    if (!matchKey || matchData.status !== 'started') return;
+
+    try {
+      const overs = this.groupRelatedBalls(matchData.play?.related_balls);
+      const overKey = this.getLatestOverKey(matchData, overs);
+      if (!overKey) return;
+
+      const stateKey = `commentary-state:${matchKey}`;
+      const state = await cacheService.get(stateKey);
+      const current = overs.get(overKey);
+      let pushed = 0;
+
+      // The over rolled since the last push - send whatever we missed at the end of the previous one
+      if (state && state.over_key !== overKey && overs.has(state.over_key)) {
+        pushed += await this.pushNewBalls(matchKey, overs.get(state.over_key), state.balls);
+      }
+
+      const knownBalls = state?.over_key === overKey ? state.balls : {};
+      pushed += await this.pushNewBalls(matchKey, current, knownBalls);
+
+      await cacheService.set(stateKey, {
+        over_key: overKey,
+        balls: Object.fromEntries(current.balls.map(ball => [ball.key, this.getBallVersion(ball)]))
+      }, REDIS_TTL_MEDIUM);
+
+      if (pushed > 0) {
+        // The REST endpoint caches the latest page - don't let it lag behind the push
+        await cacheService.delete(`commentary:${matchKey}:latest`);
+      }
+    } catch (error) {
+      console.error(`❌ Error pushing commentary for ${matchKey}:`, error.message);
+    }
+  }
+
+  /**
+   * Group payload balls into overs shaped like ball-by-ball ones ({ index, balls } - balls newest first)
+   * @param {object} relatedBalls - `play.related_balls` (ball key → ball)
+   * @returns {Map<string, object>} over key ('b_1_19') → over
+   */
+  groupRelatedBalls(relatedBalls = {}) {
+    const overs = new Map();
+
+    for (const ball of Object.values(relatedBalls || {})) {
+      if (!ball?.innings || !Array.isArray(ball.overs)) continue;
+
+      const overKey = `${ball.innings}_${ball.overs[0]}`;
+      if (!overs.has(overKey)) {
+        overs.set(overKey, { index: { innings: ball.innings, over_number: ball.overs[0] }, balls: [] });
+      }
+      overs.get(overKey).balls.push(ball);
+    }
+
+    for (const over of overs.values()) {
+      over.balls.sort((a, b) => (b.overs[1] - a.overs[1]) || ((b.entry_time || 0) - (a.entry_time || 0)));
+    }
+    return overs;
+  }
+
+  /**
+   * Over in progress: the highest over of the innings being played
+   * @returns {string|null} Over key, null when the payload has no balls for that innings
+   */
+  getLatestOverKey(matchData, overs) {
+    const inningsOrder = matchData.play?.innings_order || [];
+    const innings = matchData.play?.live?.innings || inningsOrder[inningsOrder.length - 1];
+
+    let latest = null;
+    for (const [overKey, over] of overs) {
+      if (over.index.innings === innings && (!latest || over.index.over_number > overs.get(latest).index.over_number)) {
+        latest = overKey;
+      }
+    }
+    return latest;
+  }
+
+  /**
+   * Push an over if it has balls that are new or were corrected since the last push
+   * @param {string} matchKey - Match key
+   * @param {object} over - Over ({ index, balls })
+   * @param {Object<string, number>} knownBalls - ball key → updated_time already pushed
+   * @returns {Promise<number>} Number of new / updated balls pushed
+   */
+  async pushNewBalls(matchKey, over, knownBalls = {}) {
+    const newBallKeys = over.balls
+      .filter(ball => knownBalls[ball.key] === undefined || knownBalls[ball.key] !== this.getBallVersion(ball))
+      .map(ball => ball.key);
+
+    if (newBallKeys.length === 0) return 0;
+
+    await socketScorecardService.broadcastToMatch(matchKey, 'commentary_update', {
+      over: formatOverCommentary(over, { over }),
+      new_ball_keys: newBallKeys
+    }, 'commentary');
+
+    console.log(`💬 Pushed ${newBallKeys.length} commentary ball(s) for ${matchKey}`);
+    return newBallKeys.length;
+  }
+
+  // Corrections bump updated_time; balls that were never corrected only have entry_time
+  getBallVersion(ball) {
+    return ball.updated_time ?? ball.entry_time ?? 0;
+  }
+}
+
+module.exports = new CommentaryService();
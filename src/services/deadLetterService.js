@@ -0,0 +1,243 @@
+// services/deadLetterService.js
+const FailedWebhook = require('../models/FailedWebhook');
+const {
+  WEBHOOK_RETRY_BASE_DELAY,
+  WEBHOOK_RETRY_MAX_DELAY,
+  WEBHOOK_RETRY_MAX_ATTEMPTS,
+} = require('../config/constants');
+
+// Failures worth retrying on their own - a body that didn't unzip/parse won't fix itself
+const TRANSIENT_STAGES = ['cache_write', 'mongo_upsert'];
+
+// A 'retrying' entry older than this belongs to an instance that died mid-retry
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+// Failures kept in memory while Mongo itself is unreachable
+const MAX_BUFFERED_FAILURES = 500;
+
+/**
+ * Dead Letter Service
+ * Stores webhook payloads that failed in the feed pipeline (FailedWebhook) and schedules retries
+ * with exponential backoff. The retry itself is done by matchFeedService.retryFailedWebhook.
+ */
+class DeadLetterService {
+  constructor() {
+    this.buffer = new Map(); // Map<id, failure> failures that couldn't be stored yet (Mongo down)
+    this.bufferCounter = 0;
+  }
+
+  /**
+   * Store a failed webhook
+   * @param {object} failure
+   * @param {string} failure.stage - 'unzip', 'parse', 'cache_write' or 'mongo_upsert'
+   * @param {Error} failure.error - What went wrong
+   * @param {string} [failure.matchKey] - Match key if known
+   * @param {object} [failure.payload] - Parsed match data (processing stages)
+   * @param {Buffer} [failure.rawBody] - Raw request body (unzip/parse stages)
+   * @returns {Promise<object|null>} Stored entry, or null if it couldn't be stored
+   */
+  async add({ stage, error, matchKey = null, payload = null, rawBody = null }) {
+    const autoRetry = TRANSIENT_STAGES.includes(stage);
+
+    try {
+      // Payloads are full snapshots - a newer one for the same match/stage replaces the pending one
+      if (autoRetry && matchKey) {
+        const existing = await FailedWebhook.findOneAndUpdate(
+          { match_key: matchKey, stage, status: 'pending' },
+          {
+            $set: { payload, error: { message: error.message, stack: error.stack } },
+            $inc: { replaced_payloads: 1 },
+            $push: { history: { at: new Date(), error: error.message } },
+          },
+          { new: true }
+        );
+        if (existing) {
+          console.log(`📥 Replaced dead-lettered ${stage} payload for ${matchKey} (${existing._id})`);
+          return existing;
+        }
+      }
+
+      const entry = await FailedWebhook.create({
+        match_key: matchKey,
+        stage,
+        error: { message: error.message, stack: error.stack },
+        raw_body: rawBody,
+        payload,
+        status: autoRetry ? 'pending' : 'failed',
+        next_retry_at: autoRetry ? this.getNextRetryAt(0) : null,
+        history: [{ at: new Date(), error: error.message }],
+      });
+
+      console.log(`📥 Dead-lettered ${stage} failure${matchKey ? ` for ${matchKey}` : ''} (${entry._id})`);
+      return entry;
+    } catch (storeError) {
+      // Mongo is probably down as well - hold on to it until flushBuffer() can store it
+      console.error(`❌ Could not dead-letter ${stage} failure${matchKey ? ` for ${matchKey}` : ''}, buffering:`, storeError.message);
+      this.bufferFailure({ stage, error, matchKey, payload, rawBody });
+      return null;
+    }
+  }
+
+  bufferFailure(failure) {
+    // Same match/stage: the newer snapshot is all we need
+    const id = failure.matchKey ? `${failure.stage}:${failure.matchKey}` : `${failure.stage}:#${++this.bufferCounter}`;
+    this.buffer.delete(id);
+    this.buffer.set(id, failure);
+
+    if (this.buffer.size > MAX_BUFFERED_FAILURES) {
+      const [oldest] = this.buffer.keys();
+      this.buffer.delete(oldest);
+      console.error(`❌ Dead-letter buffer full, dropped ${oldest}`);
+    }
+  }
+
+  /**
+   * Store failures buffered while Mongo was unreachable
+   * @returns {Promise<number>} Number of failures stored
+   */
+  async flushBuffer() {
+    let stored = 0;
+
+    for (const [id, failure] of [...this.buffer]) {
+      this.buffer.delete(id);
+      const entry = await this.add(failure);
+      if (!entry) break; // Still down - add() buffered it again
+      stored++;
+    }
+
+    return stored;
+  }
+
+  /**
+   * When to try again after a number of failed retries
+   * @param {number} attempts - Retries done so far
+   * @returns {Date} Next retry time
+   */
+  getNextRetryAt(attempts) {
+    const delay = Math.min(WEBHOOK_RETRY_BASE_DELAY * (2 ** attempts), WEBHOOK_RETRY_MAX_DELAY);
+    return new Date(Date.now() + delay * 1000);
+  }
+
+  /**
+   * Atomically take the next due entry so only one instance retries it
+   * @returns {Promise<object|null>} Claimed entry or null if nothing is due
+   */
+  async claimNextDue() {
+    const now = new Date();
+
+    return FailedWebhook.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', next_retry_at: { $lte: now } },
+          { status: 'retrying', last_attempt_at: { $lte: new Date(now - STALE_LOCK_MS) } },
+        ],
+      },
+      { $set: { status: 'retrying', last_attempt_at: now } },
+      { new: true, sort: { next_retry_at: 1 } }
+    );
+  }
+
+  /**
+   * Take an entry for a manual retry (any status except resolved/discarded or already retrying)
+   * @param {string} id - Entry id
+   * @returns {Promise<object|null>} Claimed entry or null
+   */
+  async claim(id) {
+    return FailedWebhook.findOneAndUpdate(
+      { _id: id, status: { $in: ['pending', 'failed'] } },
+      { $set: { status: 'retrying', last_attempt_at: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Mark an entry as done
+   * @param {string} id - Entry id
+   * @param {string} resolution - 'retried' or 'superseded'
+   */
+  async markResolved(id, resolution) {
+    return FailedWebhook.findByIdAndUpdate(id, {
+      $set: { status: 'resolved', resolution, resolved_at: new Date() },
+      $inc: { attempts: 1 },
+    }, { new: true });
+  }
+
+  /**
+   * Record a failed retry and schedule the next one (or give up)
+   * @param {object} entry - Entry that was retried
+   * @param {Error} error - Retry error
+   */
+  async markRetryFailed(entry, error) {
+    const attempts = entry.attempts + 1;
+    const canRetry = TRANSIENT_STAGES.includes(entry.stage) && attempts < WEBHOOK_RETRY_MAX_ATTEMPTS;
+
+    return FailedWebhook.findByIdAndUpdate(entry._id, {
+      $set: {
+        status: canRetry ? 'pending' : 'failed',
+        next_retry_at: canRetry ? this.getNextRetryAt(attempts) : null,
+        error: { message: error.message, stack: error.stack },
+        ...(error.stage ? { stage: error.stage } : {}),
+      },
+      $inc: { attempts: 1 },
+      $push: { history: { at: new Date(), error: error.message } },
+    }, { new: true });
+  }
+
+  /**
+   * Discard an entry (keeps it for reference, never retried again)
+   * @param {string} id - Entry id
+   * @returns {Promise<object|null>} Updated entry or null if not found / already done
+   */
+  async discard(id) {
+    return FailedWebhook.findOneAndUpdate(
+      { _id: id, status: { $in: ['pending', 'failed'] } },
+      { $set: { status: 'discarded', resolution: 'discarded', resolved_at: new Date(), next_retry_at: null } },
+      { new: true }
+    );
+  }
+
+  /**
+   * List entries without their (large) payloads
+   * @param {object} filters - { status, stage, match_key }
+   * @param {object} options - { page, limit }
+   * @returns {Promise<{ items: Array<object>, total: number }>} Page of entries
+   */
+  async list(filters = {}, { page = 1, limit = 50 } = {}) {
+    const query = {};
+    ['status', 'stage', 'match_key'].forEach((field) => {
+      if (filters[field]) query[field] = filters[field];
+    });
+
+    const [items, total] = await Promise.all([
+      FailedWebhook.find(query)
+        .select('-payload -raw_body -error.stack')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      FailedWebhook.countDocuments(query),
+    ]);
+
+    return { items, total };
+  }
+
+  /**
+   * Get a single entry including its payload
+   * @param {string} id - Entry id
+   * @returns {Promise<object|null>} Entry
+   */
+  async get(id) {
+    return FailedWebhook.findById(id).lean();
+  }
+
+  /**
+   * Counts per status for the monitor routes
+   * @returns {Promise<Object<string, number>>} status → count
+   */
+  async getStatusCounts() {
+    const rows = await FailedWebhook.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+    return rows.reduce((counts, { _id, count }) => ({ ...counts, [_id]: count }), { buffered: this.buffer.size });
+  }
+}
+
+module.exports = new DeadLetterService();
@@ -0,0 +1,158 @@
+// services/matchChartsService.js
+const Match = require('../models/Match');
+const MatchCharts = require('../models/MatchCharts');
+const cacheService = require('./cacheService');
+const ballByBallService = require('./ballByBallService');
+const { ballsToOvers } = require('../utils/dls');
+const { LIMITED_OVERS_BALLS, getInningsBalls } = require('../utils/matchSituation');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Match Charts Service
+ * Worm (cumulative runs), Manhattan (runs per over with wicket markers) and run-rate progression for
+ * every innings, built from the over summaries in ballByBallService (Roanuz ball-by-ball data).
+ * Charts for completed matches are stored in MongoDB (MatchCharts) and served from there from then on.
+ */
+class MatchChartsService {
+  /**
+   * Chart data for a match
+   * @param {string} matchKey - Match key
+   * @returns {Promise<object|null>} { match_key, format, status, innings: [...] }, null when the match is unknown
+   */
+  async getCharts(matchKey) {
+    const stored = await MatchCharts.findOne({ match_key: matchKey }).select('match_key format innings').lean();
+    if (stored) {
+      return { match_key: matchKey, format: stored.format, status: 'completed', innings: stored.innings };
+    }
+
+    const cached = await cacheService.get(`match:${matchKey}`);
+    const matchData = cached?.data || await Match.findOne({ key: matchKey })
+      .select('key format status teams play')
+      .lean();
+
+    if (!matchData) return null;
+
+    const isCompleted = matchData.status === 'completed';
+    const { overs } = await ballByBallService.getOverSummaries(matchKey, { live: !isCompleted });
+    const innings = this.buildCharts(matchData, overs);
+
+    // Only keep charts built from every over of every innings - they are never rebuilt
+    if (isCompleted && this.isFullMatch(matchData, innings)) {
+      await MatchCharts.updateOne(
+        { match_key: matchKey },
+        { $set: { format: matchData.format, innings } },
+        { upsert: true }
+      );
+    }
+
+    return { match_key: matchKey, format: matchData.format, status: matchData.status, innings };
+  }
+
+  /**
+   * Whether the charts cover the whole match: every innings played, each starting from its first over
+   * (the ball-by-ball walk can stop early when an over fails to load)
+   * @param {object} matchData - Match data (play.innings_order)
+   * @param {Array<object>} innings - Charts from buildCharts
+   * @returns {boolean} Safe to store
+   */
+  isFullMatch(matchData, innings) {
+    if (innings.length === 0) return false;
+
+    const inningsOrder = matchData.play?.innings_order || [];
+    const charted = innings.map(chart => chart.innings);
+    if (inningsOrder.some(key => !charted.includes(key))) return false;
+
+    return innings.every(chart => chart.manhattan[0]?.over === 1);
+  }
+
+  /**
+   * Chart series per innings
+   * @param {object} matchData - Match data (format, teams, play)
+   * @param {Array<object>} overs - Over summaries, oldest first (ballByBallService.getOverSummaries)
+   * @returns {Array<object>} Innings in batting order
+   */
+  buildCharts(matchData, overs) {
+    const isLimitedOvers = Boolean(LIMITED_OVERS_BALLS[matchData.format]);
+    const innings = [];
+
+    for (const over of overs) {
+      let current = innings[innings.length - 1];
+      if (!current || current.innings !== over.innings) {
+        current = this.startInnings(matchData, over, innings, isLimitedOvers);
+        innings.push(current);
+      }
+
+      // Legal balls, not 6 per over - the over that ended an innings can be short (all out at 17.4)
+      const balls = current.balls + over.legal_balls;
+      const runs = current.runs + over.runs;
+      const wickets = current.wickets + over.wickets;
+      const position = ballsToOvers(balls);
+
+      current.worm.push({ over: position, runs, wickets });
+      current.manhattan.push({
+        over: over.over_number,
+        runs: over.runs,
+        extras: over.extras,
+        wickets: over.wickets,
+        is_complete: over.is_complete,
+      });
+      current.run_rate.push({
+        over: position,
+        run_rate: balls > 0 ? round2((runs / balls) * 6) : 0,
+        over_run_rate: over.legal_balls > 0 ? round2((over.runs / over.legal_balls) * 6) : 0,
+        required_run_rate: this.getRequiredRunRate(current, runs, balls),
+      });
+
+      Object.assign(current, { balls, runs, wickets });
+    }
+
+    return innings.map(({ balls, runs, wickets, ...chart }) => chart);
+  }
+
+  /**
+   * Empty series for an innings, with the chase target and innings length when there is one
+   * @param {object} matchData - Match data
+   * @param {object} over - First over summary of the innings
+   * @param {Array<object>} innings - Innings built so far
+   * @param {boolean} isLimitedOvers - T20 / ODI
+   * @returns {object} Innings chart (plus running balls / runs / wickets)
+   */
+  startInnings(matchData, over, innings, isLimitedOvers) {
+    const play = matchData.play || {};
+    // Limited-overs chase: Roanuz's (possibly DL-revised) target, else the first innings total + 1
+    const isChase = isLimitedOvers && innings.length === 1;
+    const firstInnings = innings[0];
+    const target = isChase ? play.target?.runs || (firstInnings ? firstInnings.runs + 1 : null) : null;
+    const totalBalls = isChase && play.target?.balls ? play.target.balls : getInningsBalls(matchData, over.innings);
+
+    return {
+      innings: over.innings,
+      batting_team: over.batting_team,
+      team_name: matchData.teams?.[over.batting_team]?.name || null,
+      target,
+      total_balls: isLimitedOvers ? totalBalls : null,
+      worm: [{ over: 0, runs: 0, wickets: 0 }],
+      manhattan: [],
+      run_rate: [],
+      balls: 0,
+      runs: 0,
+      wickets: 0,
+    };
+  }
+
+  /**
+   * Required run rate after an over of a chase
+   * @returns {number|null} null outside a chase or once it is decided
+   */
+  getRequiredRunRate(innings, runs, balls) {
+    if (!innings.target || !innings.total_balls) return null;
+
+    const runsNeeded = innings.target - runs;
+    const ballsLeft = innings.total_balls - balls;
+    if (runsNeeded <= 0 || ballsLeft <= 0) return null;
+    return round2((runsNeeded / ballsLeft) * 6);
+  }
+}
+
+module.exports = new MatchChartsService();
@@ -0,0 +1,131 @@
+// services/matchEventService.js
+const MatchEvent = require('../models/MatchEvent');
+const cacheService = require('./cacheService');
+const socketScorecardService = require('./socketScorecardService');
+const { extractMatchState, detectMatchEvents } = require('../utils/matchEventDetector');
+const { REDIS_TTL_LONG } = require('../config/constants');
+
+/**
+ * Match Event Service
+ * Turns consecutive feed payloads into "key moment" events (wickets, boundaries, milestones...),
+ * stores them per match and pushes them to subscribers as `match_event`.
+ *
+ * The compact state of the last payload is kept in Redis (`match-state:<matchKey>`) so every
+ * instance compares against the same previous payload.
+ */
+class MatchEventService {
+  /**
+   * Detect, persist and broadcast events for a new match payload
+   * @param {object} matchData - Match data from the feed
+   * @returns {Promise<Array<object>>} Newly detected events
+   */
+  async processMatchUpdate(matchData) {
+    const matchKey = matchData.key || matchData.match_key;
+
+    try {
+      const stateKey = `match-state:${matchKey}`;
+      const previousState = await cacheService.get(stateKey);
+      const currentState = extractMatchState(matchData);
+
+      await cacheService.set(stateKey, currentState, REDIS_TTL_LONG);
+
+      // First payload we see only seeds the state
+      const events = detectMatchEvents(previousState, currentState, matchData);
+      if (events.length === 0) {
+        return [];
+      }
+
+      const newEvents = await this.saveEvents(matchKey, events);
+
+      for (const event of newEvents) {
+        await socketScorecardService.broadcastToMatch(matchKey, 'match_event', event);
+      }
+
+      console.log(`🎯 ${newEvents.length} match event(s) for ${matchKey}: ${newEvents.map(e => e.type).join(', ')}`);
+      return newEvents;
+    } catch (error) {
+      console.error(`❌ Error detecting match events for ${matchKey}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Persist events, skipping ones already stored (same event_key)
+   * @param {string} matchKey - Match key
+   * @param {Array<object>} events - Detected events
+   * @returns {Promise<Array<object>>} Events that weren't stored before
+   */
+  async saveEvents(matchKey, events) {
+    const occurredAt = new Date();
+    const documents = events.map(({ type, event_key, innings, overs, player_key, player_name, message, match_key, ...data }) => ({
+      match_key: matchKey,
+      event_key,
+      type,
+      innings,
+      overs: overs || [],
+      player_key,
+      player_name,
+      message,
+      data,
+      occurred_at: occurredAt,
+    }));
+
+    const pickInserted = (result) => Object.keys(result.upsertedIds || {})
+      .map(index => this.formatEvent(documents[Number(index)]));
+
+    try {
+      const result = await MatchEvent.bulkWrite(documents.map(doc => ({
+        updateOne: {
+          filter: { match_key: doc.match_key, event_key: doc.event_key },
+          update: { $setOnInsert: doc },
+          upsert: true,
+        },
+      })), { ordered: false });
+
+      return pickInserted(result);
+    } catch (error) {
+      // Two instances upserting the same event at once - the other one already broadcast it
+      if (error.code === 11000 && error.result) {
+        return pickInserted(error.result);
+      }
+
+      // Still let clients know - Redis state already guards against re-sending
+      console.error(`❌ Error saving match events for ${matchKey}:`, error.message);
+      return documents.map(doc => this.formatEvent(doc));
+    }
+  }
+
+  /**
+   * Get stored events for a match (the "key moments" timeline)
+   * @param {string} matchKey - Match key
+   * @param {object} [options]
+   * @param {Array<string>} [options.types] - Only these event types
+   * @returns {Promise<Array<object>>} Events, oldest first
+   */
+  async getMatchEvents(matchKey, { types } = {}) {
+    const query = { match_key: matchKey };
+    if (types && types.length > 0) {
+      query.type = { $in: types };
+    }
+
+    const events = await MatchEvent.find(query).sort({ occurred_at: 1, _id: 1 }).lean();
+    return events.map(event => this.formatEvent(event));
+  }
+
+  formatEvent(event) {
+    return {
+      match_key: event.match_key,
+      event_key: event.event_key,
+      type: event.type,
+      innings: event.innings || null,
+      overs: event.overs?.length ? event.overs : null,
+      player_key: event.player_key || null,
+      player_name: event.player_name || null,
+      message: event.message,
+      data: event.data || {},
+      occurred_at: event.occurred_at,
+    };
+  }
+}
+
+module.exports = new MatchEventService();
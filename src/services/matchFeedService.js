@@ -0,0 +1,404 @@
+// services/matchFeedService.js
+const Match = require('../models/Match');
+const WebhookRecording = require('../models/WebhookRecording');
+const cacheService = require('./cacheService');
+const socketScorecardService = require('./socketScorecardService');
+const matchEventService = require('./matchEventService');
+const commentaryService = require('./commentaryService');
+const deadLetterService = require('./deadLetterService');
+const { buildDetailedScorecard } = require('../utils/scorecardBuilder');
+const { PRIORITY_EVENT_TYPES } = require('../utils/matchEventDetector');
+const { getFeedVersion, compareFeedVersions } = require('../utils/feedVersion');
+const { getChaseProgress } = require('../utils/matchSituation');
+const { decodeWebhookBody, extractMatchData } = require('../utils/webhookPayload');
+const { REDIS_TTL_LIVE, REDIS_TTL_SHORT, REDIS_TTL_MEDIUM, REDIS_TTL_LONG, RECORD_WEBHOOKS } = require('../config/constants');
+
+const FEED_STATS_PREFIX = 'feed-stats';
+const DROP_REASONS = ['stale', 'duplicate'];
+
+/**
+ * Match Feed Service
+ * Single entry point for full Roanuz match payloads, whoever delivers them
+ * (webhook route, replay script, dead-letter retries...): caches, socket push, key events and Mongo backup.
+ *
+ * Every payload is versioned first (see utils/feedVersion) and the last accepted version is kept in
+ * `feed-version:<matchKey>`, so retried or out-of-order deliveries can't move a score backwards.
+ */
+class MatchFeedService {
+  /**
+   * Process a full match payload
+   * Cache and Mongo write failures are dead-lettered (see deadLetterService) and retried later; anything else
+   * that throws hands the version back first, so the webhook's 500 and Roanuz's retry get the payload through.
+   * @param {object} matchData - Match data from Roanuz
+   * @returns {Promise<{ status: string, failures?: Array<string> }>} 'processed' (with any failed stages),
+   *   or 'stale' / 'duplicate' when the payload was dropped
+   */
+  async processMatchData(matchData) {
+    const matchKey = matchData.key || matchData.match_key;
+
+    const { accepted, reason, generation, hash } = await this.checkFeedVersion(matchKey, matchData);
+    if (!accepted) {
+      return { status: reason };
+    }
+
+    let failures;
+    try {
+      failures = await this.applyMatchData(matchKey, matchData);
+    } catch (error) {
+      // Hand the version back so Roanuz's retry of this payload isn't dropped as a duplicate
+      await this.releaseFeedVersion(matchKey, hash);
+      throw error;
+    }
+
+    // Only payloads that made it through count as seen
+    await cacheService.setIfAbsent(`feed-seen:${matchKey}:${generation}:${hash}`, 1, REDIS_TTL_SHORT);
+
+    return { status: 'processed', failures };
+  }
+
+  /**
+   * Caches, socket push, key events, commentary and Mongo backup for an accepted payload
+   * @param {string} matchKey - Match key
+   * @param {object} matchData - Match data from Roanuz
+   * @returns {Promise<Array<string>>} Stages that failed and were dead-lettered
+   */
+  async applyMatchData(matchKey, matchData) {
+    // Overs lost mid-chase feed the DLS par score in the scorecard
+    await this.trackChaseInterruptions(matchKey, matchData);
+
+    const detailedScorecard = buildDetailedScorecard(matchData);
+    const failures = [];
+
+    try {
+      await this.writeCaches(matchKey, matchData, detailedScorecard);
+    } catch (error) {
+      console.error(`❌ Cache write failed for ${matchKey}:`, error.message);
+      failures.push('cache_write');
+      await deadLetterService.add({ stage: 'cache_write', error, matchKey, payload: matchData });
+    }
+
+    // Key moments (wickets, boundaries, milestones...) compared to the previous payload
+    const events = await matchEventService.processMatchUpdate(matchData);
+
+    // Push to FE - wickets and the result skip the coalescing window
+    try {
+      const priority = events.some(event => PRIORITY_EVENT_TYPES.includes(event.type));
+      await socketScorecardService.pushScorecardUpdate(matchKey, detailedScorecard, { priority });
+    } catch (e) {
+      console.error('Socket push failed:', e.message);
+    }
+
+    // New commentary balls to the commentary room
+    await commentaryService.processMatchUpdate(matchData);
+
+    // Mongo backup
+    try {
+      await this.saveToMongo(matchKey, matchData, detailedScorecard);
+    } catch (error) {
+      console.error(`❌ Mongo upsert failed for ${matchKey}:`, error.message);
+      failures.push('mongo_upsert');
+      await deadLetterService.add({ stage: 'mongo_upsert', error, matchKey, payload: matchData });
+    }
+
+    if (failures.length === 0) {
+      console.log(`✅ Updated detailed scorecard for ${matchKey}`);
+    }
+
+    return failures;
+  }
+
+  /**
+   * Record the overs a limited-overs chase loses once it's under way (see utils/matchSituation)
+   * Roanuz only sends the revised chase length (`play.target.balls`), so a drop after the first ball is taken
+   * as a stoppage at the current ball and wickets. Kept in `dls-chase:<matchKey>` and set on the payload as
+   * `dls_chase` once the chase has lost overs.
+   * @param {string} matchKey - Match key
+   * @param {object} matchData - Match data from Roanuz (mutated)
+   */
+  async trackChaseInterruptions(matchKey, matchData) {
+    const progress = getChaseProgress(matchData);
+    if (!progress?.total_balls) return;
+
+    const stateKey = `dls-chase:${matchKey}`;
+    const stored = await cacheService.get(stateKey);
+    let chase = stored;
+
+    if (!stored || (progress.balls === 0 && stored.current_max_balls !== progress.total_balls)) {
+      // Overs lost before the first ball are already in the target
+      chase = { max_balls: progress.total_balls, current_max_balls: progress.total_balls, interruptions: [] };
+    } else if (progress.total_balls < stored.current_max_balls) {
+      chase = {
+        ...stored,
+        current_max_balls: progress.total_balls,
+        interruptions: [
+          ...stored.interruptions,
+          { balls: progress.balls, wickets: progress.wickets, maxBalls: progress.total_balls },
+        ],
+      };
+    }
+
+    if (chase !== stored) {
+      await cacheService.set(stateKey, chase, REDIS_TTL_LONG);
+    }
+    if (chase.interruptions.length > 0) {
+      matchData.dls_chase = { max_balls: chase.max_balls, interruptions: chase.interruptions };
+    }
+  }
+
+  async writeCaches(matchKey, matchData, detailedScorecard) {
+    const results = await Promise.all([
+      cacheService.set(`match:${matchKey}`, { data: matchData }, REDIS_TTL_LIVE),
+      cacheService.set(`scorecard-detailed:${matchKey}`, { data: detailedScorecard }, REDIS_TTL_LIVE),
+    ]);
+
+    // cacheService logs and returns false instead of throwing
+    if (results.includes(false)) {
+      throw new Error(cacheService.isConnected ? 'Redis write failed' : 'Redis not connected');
+    }
+  }
+
+  async saveToMongo(matchKey, matchData, detailedScorecard) {
+    await Match.findOneAndUpdate(
+      { key: matchKey },
+      {
+        ...matchData,
+        detailed_scorecard: detailedScorecard,
+        last_updated: new Date(),
+        raw_data: matchData,
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Retry a dead-lettered webhook (claimed by the retry job or an admin)
+   * @param {object} entry - FailedWebhook document
+   * @returns {Promise<{ status: string, resolution?: string, error?: string }>} Outcome
+   */
+  async retryFailedWebhook(entry) {
+    try {
+      const resolution = await this.runFailedStage(entry);
+      await deadLetterService.markResolved(entry._id, resolution);
+      console.log(`♻️ Dead-lettered webhook ${entry._id} (${entry.stage}) ${resolution}`);
+      return { status: 'resolved', resolution };
+    } catch (error) {
+      console.error(`❌ Retry of dead-lettered webhook ${entry._id} (${entry.stage}) failed:`, error.message);
+      await deadLetterService.markRetryFailed(entry, error);
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Re-run the stage that failed
+   * @returns {Promise<string>} 'retried', or 'superseded' when a newer payload already made it through
+   */
+  async runFailedStage(entry) {
+    const { stage, payload } = entry;
+    const matchKey = entry.match_key;
+
+    if (stage === 'unzip' || stage === 'parse') {
+      const rawBody = Buffer.isBuffer(entry.raw_body) ? entry.raw_body : entry.raw_body.buffer;
+      const matchData = extractMatchData(await decodeWebhookBody(rawBody));
+      const result = await this.processMatchData(matchData);
+      return result.status === 'processed' ? 'retried' : 'superseded';
+    }
+
+    const { version } = getFeedVersion(payload);
+
+    if (stage === 'cache_write') {
+      const stored = await cacheService.get(`feed-version:${matchKey}`);
+      if (stored?.version && compareFeedVersions(stored.version, version) > 0) {
+        return 'superseded';
+      }
+      await this.writeCaches(matchKey, payload, buildDetailedScorecard(payload));
+      return 'retried';
+    }
+
+    if (stage === 'mongo_upsert') {
+      const existing = await Match.findOne({ key: matchKey }).select('raw_data').lean();
+      if (existing?.raw_data && compareFeedVersions(getFeedVersion(existing.raw_data).version, version) > 0) {
+        return 'superseded';
+      }
+      await this.saveToMongo(matchKey, payload, buildDetailedScorecard(payload));
+      return 'retried';
+    }
+
+    throw new Error(`Unknown stage ${stage}`);
+  }
+
+  /**
+   * Decide whether a payload is newer than the last accepted one and remember it if so
+   * The compare and the write are one atomic step, so two instances racing out-of-order deliveries can't
+   * both accept. Accepts everything when Redis is unavailable (same as before versioning existed).
+   * @param {string} matchKey - Match key
+   * @param {object} matchData - Match data from Roanuz
+   * @returns {Promise<{ accepted: boolean, reason?: string, generation?: number, hash?: string }>} Decision
+   */
+  async checkFeedVersion(matchKey, matchData) {
+    const { version, hash } = getFeedVersion(matchData);
+    const versionKey = `feed-version:${matchKey}`;
+    // Bumped on reset so payloads seen before a replay aren't treated as duplicates
+    const generation = (await cacheService.get(versionKey))?.generation || 0;
+
+    // Same content already processed (Roanuz retries, or an older payload coming back after a correction)
+    if (await cacheService.get(`feed-seen:${matchKey}:${generation}:${hash}`)) {
+      await this.recordDrop(matchKey, 'duplicate', version);
+      return { accepted: false, reason: 'duplicate' };
+    }
+
+    const decision = await cacheService.compareAndSet(versionKey, (stored) => {
+      // Same delivery being processed right now (e.g. hitting two instances at once)
+      if (stored?.hash === hash) {
+        return { result: { accepted: false, reason: 'duplicate' } };
+      }
+      if (stored?.version && compareFeedVersions(version, stored.version) < 0) {
+        return { result: { accepted: false, reason: 'stale', current: stored.version } };
+      }
+
+      const next = { version, hash, generation: stored?.generation || 0, updated_at: new Date().toISOString() };
+      return { value: next, result: { accepted: true, generation: next.generation } };
+    }, REDIS_TTL_MEDIUM);
+
+    if (decision && !decision.accepted) {
+      await this.recordDrop(matchKey, decision.reason, version, decision.current);
+      return { accepted: false, reason: decision.reason };
+    }
+
+    await cacheService.increment(`${FEED_STATS_PREFIX}:accepted`, REDIS_TTL_LONG);
+    return { accepted: true, generation: decision?.generation ?? generation, hash };
+  }
+
+  /**
+   * Undo the claim checkFeedVersion made for a payload that then failed, unless a newer one has taken over
+   * The version stays, so older payloads are still stale; the same payload is simply no longer a duplicate.
+   * @param {string} matchKey - Match key
+   * @param {string} hash - Content hash of the failed payload
+   */
+  async releaseFeedVersion(matchKey, hash) {
+    await cacheService.compareAndSet(`feed-version:${matchKey}`, (stored) => (
+      stored?.hash === hash ? { value: { ...stored, hash: null }, result: true } : { result: false }
+    ), REDIS_TTL_MEDIUM);
+  }
+
+  async recordDrop(matchKey, reason, version, currentVersion = null) {
+    console.log(`⏭️ Dropping ${reason} payload for ${matchKey} (v${version.join('.')}${currentVersion ? `, have v${currentVersion.join('.')}` : ''})`);
+
+    await cacheService.increment(`${FEED_STATS_PREFIX}:dropped:${reason}`, REDIS_TTL_LONG);
+    await cacheService.set(`${FEED_STATS_PREFIX}:last-dropped:${reason}`, {
+      match_key: matchKey,
+      version,
+      current_version: currentVersion,
+      at: new Date().toISOString(),
+    }, REDIS_TTL_LONG);
+  }
+
+  /**
+   * Forget the last accepted version of a match (used before replaying a recording)
+   * @param {string} matchKey - Match key
+   */
+  async resetFeedVersion(matchKey) {
+    const versionKey = `feed-version:${matchKey}`;
+    const stored = await cacheService.get(versionKey);
+
+    await cacheService.set(versionKey, {
+      version: null,
+      hash: null,
+      generation: (stored?.generation || 0) + 1,
+      updated_at: new Date().toISOString(),
+    }, REDIS_TTL_MEDIUM);
+  }
+
+  /**
+   * Accepted / dropped payload counters and per-match feed modes for the monitor routes
+   * @returns {Promise<object>} Feed stats
+   */
+  async getFeedStats() {
+    const accepted = await cacheService.get(`${FEED_STATS_PREFIX}:accepted`);
+    const dropped = {};
+    const lastDropped = {};
+
+    for (const reason of DROP_REASONS) {
+      dropped[reason] = (await cacheService.get(`${FEED_STATS_PREFIX}:dropped:${reason}`)) || 0;
+      lastDropped[reason] = await cacheService.get(`${FEED_STATS_PREFIX}:last-dropped:${reason}`);
+    }
+
+    return {
+      accepted: accepted || 0,
+      dropped,
+      last_dropped: lastDropped,
+      matches: await this.getFeedModes(),
+    };
+  }
+
+  /**
+   * Remember when a webhook last arrived for a match (the live job falls back to polling when it goes quiet)
+   * @param {string} matchKey - Match key
+   * @param {Date} receivedAt - When the webhook arrived
+   */
+  async markWebhookReceived(matchKey, receivedAt = new Date()) {
+    await cacheService.set(`webhook:last-seen:${matchKey}`, receivedAt.toISOString(), REDIS_TTL_LONG);
+  }
+
+  /**
+   * @param {string} matchKey - Match key
+   * @returns {Promise<Date|null>} When the last webhook arrived for the match
+   */
+  async getLastWebhookAt(matchKey) {
+    const lastSeen = await cacheService.get(`webhook:last-seen:${matchKey}`);
+    return lastSeen ? new Date(lastSeen) : null;
+  }
+
+  /**
+   * Publish how each live match is currently fed ('webhook' or 'polling') for the monitor routes
+   * @param {Object<string, object>} modes - matchKey → { mode, since, last_webhook_at, last_poll_at }
+   */
+  async setFeedModes(modes) {
+    await cacheService.set(`${FEED_STATS_PREFIX}:modes`, modes, REDIS_TTL_SHORT);
+  }
+
+  async getFeedModes() {
+    return (await cacheService.get(`${FEED_STATS_PREFIX}:modes`)) || {};
+  }
+
+  /**
+   * Store a raw payload for later replay (only when RECORD_WEBHOOKS=true)
+   * @param {object} matchData - Match data from Roanuz
+   * @param {Date} receivedAt - When the payload arrived
+   */
+  async recordPayload(matchData, receivedAt = new Date()) {
+    if (!RECORD_WEBHOOKS) return;
+
+    const matchKey = matchData.key || matchData.match_key;
+
+    try {
+      const { innings_key, overs } = this.getFeedProgress(matchData);
+      await WebhookRecording.create({
+        match_key: matchKey,
+        received_at: receivedAt,
+        innings_key,
+        overs,
+        payload: matchData,
+      });
+    } catch (error) {
+      console.error(`❌ Error recording webhook payload for ${matchKey}:`, error.message);
+    }
+  }
+
+  /**
+   * Where the match was when this payload was sent (innings currently in progress and its overs)
+   * @param {object} matchData - Match data from Roanuz
+   * @returns {{ innings_key: string|null, overs: Array<number> }} Progress
+   */
+  getFeedProgress(matchData) {
+    const innings = matchData.play?.innings || {};
+    const inningsOrder = (matchData.play?.innings_order || Object.keys(innings)).filter(key => innings[key]);
+    const inningsKey = inningsOrder[inningsOrder.length - 1] || null;
+
+    return {
+      innings_key: inningsKey,
+      overs: inningsKey ? (innings[inningsKey].overs || [0, 0]) : [0, 0],
+    };
+  }
+}
+
+module.exports = new MatchFeedService();
@@ -0,0 +1,143 @@
+// services/matchupsService.js
+const Match = require('../models/Match');
+const cacheService = require('./cacheService');
+const ballByBallService = require('./ballByBallService');
+const { REDIS_TTL_MEDIUM, REDIS_TTL_LONG } = require('../config/constants');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Matchups Service
+ * Batter-vs-bowler numbers (balls, runs, dots, boundaries, dismissals) for every pair that met in a match,
+ * from `batsman.player_key` / `bowler.player_key` on each Roanuz ball.
+ *
+ * Totals over settled overs are kept in `matchups:<matchKey>` with the key of the last settled over, so a
+ * live refresh only reads the overs bowled since (ballByBallService.getOversSince) and adds them on top.
+ * The over in progress is counted on every request but never stored.
+ */
+class MatchupsService {
+  /**
+   * Matchups for a match
+   * @param {string} matchKey - Match key
+   * @returns {Promise<object|null>} { match_key, status, batters, bowlers, matchups }, null when the match is unknown
+   */
+  async getMatchups(matchKey) {
+    const cached = await cacheService.get(`match:${matchKey}`);
+    const matchData = cached?.data || await Match.findOne({ key: matchKey })
+      .select('key status players')
+      .lean();
+
+    if (!matchData) return null;
+
+    const isCompleted = matchData.status === 'completed';
+    const totals = await this.getTotals(matchKey, isCompleted);
+
+    return this.formatMatchups(matchData, totals);
+  }
+
+  /**
+   * Pair totals up to the latest ball
+   * @param {string} matchKey - Match key
+   * @param {boolean} isCompleted - Completed matches are counted once and served from cache
+   * @returns {Promise<object>} Totals keyed by '<batter>|<bowler>'
+   */
+  async getTotals(matchKey, isCompleted) {
+    const cacheKey = `matchups:${matchKey}`;
+    const stored = await cacheService.get(cacheKey);
+    if (stored?.complete) return stored.pairs;
+
+    const { overs, joinedAt } = await ballByBallService.getOversSince(
+      matchKey,
+      key => key === stored?.settled_key
+    );
+    if (overs.length === 0) return stored?.pairs || {};
+
+    // Start over if the walk didn't meet the stored totals (e.g. Roanuz restated an over)
+    const pairs = joinedAt ? stored.pairs : {};
+
+    // All but the latest over are final; so is the latest once the match is over
+    const settledCount = isCompleted ? overs.length : overs.length - 1;
+    overs.slice(0, settledCount).forEach(over => this.addOver(pairs, over));
+
+    const lastSettled = overs[settledCount - 1];
+    const settledKey = lastSettled ? `${lastSettled.index.innings}_${lastSettled.index.over_number}` : stored?.settled_key;
+    await cacheService.set(
+      cacheKey,
+      { pairs, settled_key: settledKey || null, complete: isCompleted },
+      isCompleted ? REDIS_TTL_LONG : REDIS_TTL_MEDIUM
+    );
+
+    if (isCompleted) return pairs;
+
+    // Over in progress, on a copy so the stored totals stay settled-only
+    const live = JSON.parse(JSON.stringify(pairs));
+    this.addOver(live, overs[overs.length - 1]);
+    return live;
+  }
+
+  /**
+   * Add one over's balls to the pair totals
+   * @param {object} pairs - Totals keyed by '<batter>|<bowler>' (mutated)
+   * @param {object} over - Roanuz over ({ index, balls })
+   */
+  addOver(pairs, over) {
+    for (const ball of over.balls || []) {
+      const batterKey = ball.batsman?.player_key;
+      const bowlerKey = ball.bowler?.player_key;
+      if (!batterKey || !bowlerKey) continue;
+
+      const key = `${batterKey}|${bowlerKey}`;
+      const pair = pairs[key] || (pairs[key] = {
+        batter_key: batterKey,
+        bowler_key: bowlerKey,
+        batting_team: over.index.innings.split('_')[0],
+        balls: 0,
+        runs: 0,
+        dots: 0,
+        fours: 0,
+        sixes: 0,
+        dismissals: 0,
+      });
+
+      // Wides aren't faced
+      pair.balls += ball.batsman.ball_count ?? (ball.ball_type === 'wide' ? 0 : 1);
+      pair.runs += ball.batsman.runs || 0;
+      if (ball.batsman.is_dot_ball) pair.dots += 1;
+      if (ball.batsman.is_four) pair.fours += 1;
+      if (ball.batsman.is_six) pair.sixes += 1;
+      // Only wickets credited to the bowler (not run outs, not the non-striker)
+      if (ball.bowler.is_wicket && ball.wicket?.player_key === batterKey) pair.dismissals += 1;
+    }
+  }
+
+  /**
+   * Client shape: pairs with names and strike rate, plus the batters / bowlers that make up the matrix
+   * @param {object} matchData - Match data (key, status, players)
+   * @param {object} pairs - Totals keyed by '<batter>|<bowler>'
+   * @returns {object} Matchups response
+   */
+  formatMatchups(matchData, pairs) {
+    const players = matchData.players || {};
+    const player = (key) => ({ key, name: players[key]?.player?.name || key });
+
+    const matchups = Object.values(pairs)
+      .map(({ batter_key, bowler_key, ...stats }) => ({
+        batter: player(batter_key),
+        bowler: player(bowler_key),
+        ...stats,
+        boundaries: stats.fours + stats.sixes,
+        strike_rate: stats.balls > 0 ? round2((stats.runs / stats.balls) * 100) : 0,
+      }))
+      .sort((a, b) => b.balls - a.balls || b.runs - a.runs);
+
+    return {
+      match_key: matchData.key,
+      status: matchData.status,
+      batters: [...new Set(matchups.map(matchup => matchup.batter.key))].map(player),
+      bowlers: [...new Set(matchups.map(matchup => matchup.bowler.key))].map(player),
+      matchups,
+    };
+  }
+}
+
+module.exports = new MatchupsService();
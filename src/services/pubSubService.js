@@ -0,0 +1,150 @@
+// services/pubSubService.js
+const os = require('os');
+const cacheService = require('./cacheService');
+const { PUBSUB_CHANNEL_PREFIX } = require('../config/constants');
+
+/**
+ * Redis Pub/Sub Service
+ * Fans messages out to every API instance so socket pushes reach clients no matter
+ * which instance received the webhook.
+ *
+ * - Publisher/subscriber are duplicates of the cacheService Redis client (same URL/options)
+ * - If Redis is down, messages are delivered in-process so a single instance keeps working
+ */
+class PubSubService {
+  constructor() {
+    this.instanceId = `${os.hostname()}-${process.pid}`;
+    this.publisher = null;
+    this.subscriber = null;
+    this.isConnected = false;
+    this.isConnecting = false;
+    this.handlers = new Map(); // Map<channel, Set<handler>>
+  }
+
+  /**
+   * Connect publisher/subscriber clients once the cache connection is up
+   */
+  async initialize() {
+    if (this.isConnected || this.isConnecting) return;
+
+    if (!cacheService.isConnected || !cacheService.client) {
+      console.log('PubSub waiting for Redis connection...');
+      setTimeout(() => this.initialize(), 5000);
+      return;
+    }
+
+    this.isConnecting = true;
+
+    try {
+      this.publisher = cacheService.client.duplicate();
+      this.subscriber = cacheService.client.duplicate();
+
+      for (const client of [this.publisher, this.subscriber]) {
+        client.on('error', (err) => {
+          console.error('PubSub Redis Error:', err.message);
+        });
+        client.on('end', () => {
+          this.isConnected = false;
+        });
+        client.on('ready', () => {
+          this.isConnected = Boolean(this.publisher?.isReady && this.subscriber?.isReady);
+        });
+      }
+
+      await Promise.all([this.publisher.connect(), this.subscriber.connect()]);
+
+      // Subscribe to every channel handlers were registered for before we connected
+      for (const channel of this.handlers.keys()) {
+        await this.subscribeRedis(channel);
+      }
+
+      this.isConnected = true;
+      console.log(`✅ PubSub connected (instance: ${this.instanceId})`);
+    } catch (error) {
+      console.error('PubSub connection error:', error.message);
+      this.isConnected = false;
+      setTimeout(() => this.initialize(), 5000);
+    } finally {
+      this.isConnecting = false;
+    }
+  }
+
+  /**
+   * Build the full Redis channel name
+   * @param {string} channel - Logical channel name
+   * @returns {string} Prefixed channel name
+   */
+  channelName(channel) {
+    return `${PUBSUB_CHANNEL_PREFIX}:${channel}`;
+  }
+
+  async subscribeRedis(channel) {
+    await this.subscriber.subscribe(this.channelName(channel), (raw) => {
+      try {
+        const { message } = JSON.parse(raw);
+        this.deliver(channel, message);
+      } catch (error) {
+        console.error(`PubSub failed to handle message on ${channel}:`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Register a handler for a channel (called on every instance, including the publisher)
+   * @param {string} channel - Logical channel name
+   * @param {Function} handler - Receives the published message
+   */
+  async subscribe(channel, handler) {
+    const isNewChannel = !this.handlers.has(channel);
+    if (isNewChannel) {
+      this.handlers.set(channel, new Set());
+    }
+    this.handlers.get(channel).add(handler);
+
+    if (isNewChannel && this.isConnected) {
+      try {
+        await this.subscribeRedis(channel);
+      } catch (error) {
+        console.error(`PubSub subscribe error for ${channel}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Publish a message to all instances
+   * @param {string} channel - Logical channel name
+   * @param {object} message - JSON-serialisable message
+   * @returns {Promise<boolean>} true if it went through Redis, false if delivered locally only
+   */
+  async publish(channel, message) {
+    if (this.isConnected) {
+      try {
+        await this.publisher.publish(
+          this.channelName(channel),
+          JSON.stringify({ origin: this.instanceId, message })
+        );
+        return true;
+      } catch (error) {
+        console.error(`PubSub publish error on ${channel}, delivering locally:`, error.message);
+      }
+    }
+
+    this.deliver(channel, message);
+    return false;
+  }
+
+  deliver(channel, message) {
+    const handlers = this.handlers.get(channel);
+    if (!handlers) return;
+
+    handlers.forEach((handler) => {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error(`PubSub handler error on ${channel}:`, error.message);
+      }
+    });
+  }
+}
+
+module.exports = new PubSubService();
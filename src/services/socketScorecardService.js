@@ -1,10 +1,69 @@
 // services/socketScorecardService.js
 const socketIO = require('socket.io');
+const Match = require('../models/Match');
+const cacheService = require('./cacheService');
+const pubSubService = require('./pubSubService');
+const sseService = require('./sseService');
+const { buildDetailedScorecard } = require('../utils/scorecardBuilder');
+const { createPatch } = require('../utils/jsonPatch');
+const EmitScheduler = require('../utils/emitScheduler');
+const socketAuth = require('../middleware/socketAuth');
+const { ENCODINGS, encodePayload, negotiateEncoding } = require('../utils/socketEncoding');
+const {
+  REDIS_TTL_MEDIUM,
+  SOCKET_PRESENCE_REPORT_INTERVAL,
+  VIEWER_COUNT_BROADCAST_INTERVAL,
+  SCORECARD_EMIT_WINDOW_MS,
+  SCORECARD_STATE_IDLE_TTL,
+  SOCKET_MAX_SUBSCRIPTIONS_PER_SOCKET
+} = require('../config/constants');
+
+const SCORECARD_CHANNEL = 'scorecard';
+const MATCH_BROADCAST_CHANNEL = 'match-broadcast';
+const INSTANCES_KEY = 'socket:instances';
+
+// Roanuz match keys are letters, digits, '-' and '_'
+const MATCH_KEY_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+// How long "this match exists / doesn't exist" answers are reused
+const MATCH_EXISTS_TTL_MS = 5 * 60 * 1000;
+const MATCH_MISSING_TTL_MS = 30 * 1000;
+// How often idle scorecard states are looked for
+const STATE_PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Scorecard pushes go through Redis pub/sub so every instance emits to its own sockets:
+ *
+ *   webhook (any instance) → pushScorecardUpdate → emit scheduler → publish → deliverScorecardUpdate (every instance) → room emit
+ *
+ * The emit scheduler (utils/emitScheduler) coalesces bursts: at most one push per match every
+ * SCORECARD_EMIT_WINDOW_MS, always with the latest scorecard; priority updates (wickets, result) go out at once.
+ *
+ * The last pushed scorecard + its version live in Redis (`scorecard-state:<matchKey>`), versions come from
+ * `scorecard-seq:<matchKey>`, and each instance reports its subscriber counts to `socket:subscribers:<instanceId>`.
+ * Delivered scorecards and match events are also written to this instance's SSE streams (sseService).
+ *
+ * Every emit goes through emitToRoom / emitToSocket, which encode payloads in the encoding the socket negotiated
+ * at connect (JSON by default, MessagePack on request - see utils/socketEncoding). Sockets join `<room>@<encoding>`.
+ *
+ * Viewer counts ("23k watching") are the cluster-wide subscriber counts: every instance re-reads them every
+ * VIEWER_COUNT_BROADCAST_INTERVAL seconds and emits `viewer_count` to its own rooms when a count changed.
+ */
 
 class SocketScorecardService {
   constructor() {
     this.io = null;
     this.connectedClients = new Map(); // Map<matchKey, Set<socketId>> Keeps track of socket ids for a particular match ke
+    this.scorecardStates = new Map(); // Map<matchKey, { seq, data, updatedAt }> last emitted scorecard per match on this instance; seq is its version and the base for the next patch
+    this.presenceTimer = null;
+    this.viewerCountTimer = null;
+    this.statePruneTimer = null;
+    this.viewerCounts = { counts: {}, updated_at: null }; // last cluster-wide counts (shared by broadcasts and REST)
+    this.lastViewerCounts = new Map(); // Map<matchKey, number> last viewer count emitted per match
+    this.knownMatches = new Map(); // Map<matchKey, { exists, checkedAt }> Match collection lookups for subscriptions
+    this.emitScheduler = new EmitScheduler({
+      windowMs: SCORECARD_EMIT_WINDOW_MS,
+      flush: (matchKey, scorecardData) => this.publishScorecardUpdate(matchKey, scorecardData)
+    });
   }
 
   logConnectedClients() { // helper function for debugging connectedClients map
@@ -29,7 +88,20 @@ class SocketScorecardService {
       transports: ['websocket', 'polling']
     });
 
+    // Optional handshake auth (token / deviceId) and connections-per-client cap
+    this.io.use(socketAuth);
+    // Payload encoding (json / msgpack) requested by the client
+    this.io.use(negotiateEncoding);
+
     this.setupEventHandlers();
+
+    // Every instance (including the one that published) emits to its own sockets
+    pubSubService.subscribe(SCORECARD_CHANNEL, (message) => this.deliverScorecardUpdate(message));
+    pubSubService.subscribe(MATCH_BROADCAST_CHANNEL, ({ matchKey, event, payload, room }) => this.emitToMatch(matchKey, event, payload, room));
+    this.startSubscriberCountReporting();
+    this.startViewerCountBroadcast();
+    this.startScorecardStatePruning();
+
     console.log('✅ SocketScorecardService initialized');
   }
 
@@ -38,11 +110,26 @@ class SocketScorecardService {
    */
   setupEventHandlers() {
     this.io.on('connection', (socket) => {
-      console.log(`⚡ Client connected: ${socket.id}`);
+      console.log(`⚡ Client connected: ${socket.id} (${socket.data.encoding})`);
+
+      socket.data.subscriptions = new Set(); // room names this socket joined (capped per socket)
 
       // Handle subscription to match scorecard updates
-      socket.on('subscribe_scorecard', (matchKey) => {
-        this.handleSubscription(socket, matchKey);
+      socket.on('subscribe_scorecard', async (matchKey) => {
+        if (await this.validateSubscription(socket, 'scorecard', matchKey)) {
+          this.handleSubscription(socket, matchKey);
+        }
+      });
+
+      // Client noticed a version gap (patch base_seq != its seq) or just reconnected and wants the full scorecard again
+      // Accepts either the match key or { matchKey, seq }
+      socket.on('request_scorecard_resync', (payload) => {
+        const matchKey = typeof payload === 'object' && payload !== null ? payload.matchKey : payload;
+        if (!socket.data.subscriptions.has(`scorecard:${matchKey}`)) {
+          this.emitSubscriptionError(socket, 'scorecard', matchKey, 'NOT_SUBSCRIBED', 'Subscribe to the match before asking for a resync');
+          return;
+        }
+        this.sendScorecardSnapshot(socket, matchKey);
       });
 
       // Handle unsubscription from match scorecard updates
@@ -50,6 +137,20 @@ class SocketScorecardService {
         this.handleUnsubscription(socket, matchKey);
       });
 
+      // Live commentary (new balls pushed as `commentary_update`, see commentaryService)
+      socket.on('subscribe_commentary', async (matchKey) => {
+        if (await this.validateSubscription(socket, 'commentary', matchKey)) {
+          this.joinRoom(socket, `commentary:${matchKey}`);
+          console.log(`📢 Client ${socket.id} subscribed to commentary: ${matchKey}`);
+        }
+      });
+
+      socket.on('unsubscribe_commentary', (matchKey) => {
+        if (!matchKey) return;
+        socket.data.subscriptions.delete(`commentary:${matchKey}`);
+        this.leaveRoom(socket, `commentary:${matchKey}`);
+      });
+
       // Handle client disconnection
       socket.on('disconnect', () => {
         this.handleDisconnection(socket);
@@ -58,22 +159,246 @@ class SocketScorecardService {
     });
   }
 
+  /**
+   * Check a subscription request: well-formed match key, known match, and room for one more subscription
+   * Rejections are sent back as `subscription_error` { matchKey, room, code, message }.
+   * @param {Socket} socket - Socket instance
+   * @param {string} room - 'scorecard' or 'commentary'
+   * @param {string} matchKey - Requested match key
+   * @returns {Promise<boolean>} true if the socket may subscribe
+   */
+  async validateSubscription(socket, room, matchKey) {
+    if (!this.isValidMatchKey(matchKey)) {
+      this.emitSubscriptionError(socket, room, matchKey, 'INVALID_MATCH_KEY', 'Match key is missing or malformed');
+      return false;
+    }
+
+    const roomName = `${room}:${matchKey}`;
+    const { subscriptions } = socket.data;
+    if (subscriptions.has(roomName)) {
+      return true; // Re-subscribing (e.g. after a reconnect) doesn't count twice
+    }
+
+    if (subscriptions.size >= SOCKET_MAX_SUBSCRIPTIONS_PER_SOCKET) {
+      this.emitSubscriptionError(socket, room, matchKey, 'SUBSCRIPTION_LIMIT',
+        `Too many subscriptions on this connection (max ${SOCKET_MAX_SUBSCRIPTIONS_PER_SOCKET})`);
+      return false;
+    }
+
+    // Reserve the slot before the lookup so parallel requests can't overshoot the cap
+    subscriptions.add(roomName);
+
+    try {
+      if (await this.matchExists(matchKey)) {
+        return true;
+      }
+      this.emitSubscriptionError(socket, room, matchKey, 'MATCH_NOT_FOUND', 'Unknown match');
+    } catch (error) {
+      console.error(`❌ Error validating subscription to ${matchKey}:`, error.message);
+      this.emitSubscriptionError(socket, room, matchKey, 'VALIDATION_FAILED', 'Could not verify the match, try again');
+    }
+
+    subscriptions.delete(roomName);
+    return false;
+  }
+
+  emitSubscriptionError(socket, room, matchKey, code, message) {
+    this.emitToSocket(socket, 'subscription_error', { matchKey, room, code, message });
+  }
+
+  /**
+   * Join / leave a room in the socket's encoding (`scorecard:<matchKey>` → `scorecard:<matchKey>@msgpack`)
+   * @param {Socket} socket - Socket instance
+   * @param {string} room - Room name
+   */
+  joinRoom(socket, room) {
+    socket.join(`${room}@${socket.data.encoding}`);
+  }
+
+  leaveRoom(socket, room) {
+    socket.leave(`${room}@${socket.data.encoding}`);
+  }
+
+  /**
+   * Emit to every socket of a room on this instance, encoding the payload once per encoding in use
+   * @param {string} room - Room name (without the encoding suffix)
+   * @param {string} event - Socket event name
+   * @param {object} payload - Event payload
+   */
+  emitToRoom(room, event, payload) {
+    if (!this.io) return;
+
+    const { rooms } = this.io.sockets.adapter;
+    ENCODINGS.forEach((encoding) => {
+      const encodedRoom = `${room}@${encoding}`;
+      if (!rooms.get(encodedRoom)?.size) return;
+
+      this.io.to(encodedRoom).emit(event, encodePayload(encoding, payload));
+    });
+  }
+
+  /**
+   * Emit to a single socket in its encoding
+   * @param {Socket} socket - Socket instance
+   * @param {string} event - Socket event name
+   * @param {object} payload - Event payload
+   */
+  emitToSocket(socket, event, payload) {
+    socket.emit(event, encodePayload(socket.data.encoding, payload));
+  }
+
+  /**
+   * Whether a match key is well-formed (checked before any lookup)
+   * @param {*} matchKey - Requested match key
+   * @returns {boolean} true if it looks like a Roanuz match key
+   */
+  isValidMatchKey(matchKey) {
+    return typeof matchKey === 'string' && MATCH_KEY_PATTERN.test(matchKey);
+  }
+
+  /**
+   * Whether a match is in the Match collection (answers cached for a few minutes)
+   * @param {string} matchKey - Match key
+   * @returns {Promise<boolean>} true if it exists
+   */
+  async matchExists(matchKey) {
+    const known = this.knownMatches.get(matchKey);
+    if (known && Date.now() - known.checkedAt < (known.exists ? MATCH_EXISTS_TTL_MS : MATCH_MISSING_TTL_MS)) {
+      return known.exists;
+    }
+
+    const exists = Boolean(await Match.exists({ key: matchKey }));
+
+    if (this.knownMatches.size > 5000) this.knownMatches.clear();
+    this.knownMatches.set(matchKey, { exists, checkedAt: Date.now() });
+    return exists;
+  }
+
   /**
    * Handle client subscription to a match's scorecard updates
    * @param {Socket} socket - Socket instance
    * @param {string} matchKey - Match key to subscribe to
    */
   handleSubscription(socket, matchKey) {
+    if (!matchKey) return;
+
     if (!this.connectedClients.has(matchKey)) {
       this.connectedClients.set(matchKey, new Set());
     }
 
     const matchClients = this.connectedClients.get(matchKey);
     matchClients.add(socket.id);
-    socket.join(`scorecard:${matchKey}`); //creates a room for a particular matchkey so that all subscirbers(socketIDs) for that match key are pushed updates at once
+    this.joinRoom(socket, `scorecard:${matchKey}`); //creates a room for a particular matchkey so that all subscirbers(socketIDs) for that match key are pushed updates at once
     
     console.log(`📢 Client ${socket.id} subscribed to match: ${matchKey}`);
     this.logConnectedClients();
+
+    // Don't make the client wait for the next webhook push to see the score
+    this.sendScorecardSnapshot(socket, matchKey);
+  }
+
+  /**
+   * Send the latest known scorecard to a single socket
+   * @param {Socket} socket - Socket instance
+   * @param {string} matchKey - Match key
+   */
+  async sendScorecardSnapshot(socket, matchKey) {
+    if (!matchKey) return;
+
+    try {
+      const snapshot = await this.getScorecardSnapshot(matchKey);
+
+      if (!snapshot) {
+        this.emitToSocket(socket, 'scorecard_unavailable', { matchKey });
+        return;
+      }
+
+      this.emitToSocket(socket, 'scorecard_update', {
+        matchKey,
+        data: snapshot.data,
+        seq: snapshot.seq,
+        snapshot: true,
+        timestamp: new Date().toISOString()
+      });
+      console.log(`📸 Sent scorecard snapshot for match ${matchKey} to ${socket.id}`);
+    } catch (error) {
+      console.error(`❌ Error sending scorecard snapshot for ${matchKey}:`, error.message);
+    }
+  }
+
+  /**
+   * Get the latest detailed scorecard for a match
+   * Prefers the last pushed scorecard (so patches apply cleanly on top of it), then the key the
+   * webhook/poller writes, then builds it from the stored Match
+   * @param {string} matchKey - Match key
+   * @returns {Promise<{ seq: number, data: object }|null>} Scorecard with its version, or null if nothing is stored yet
+   */
+  async getScorecardSnapshot(matchKey) {
+    const state = await this.getLatestScorecardState(matchKey);
+    if (state) {
+      return state;
+    }
+
+    const cachedData = await cacheService.get(`scorecard-detailed:${matchKey}`);
+    if (cachedData?.data) {
+      return { seq: 0, data: cachedData.data };
+    }
+
+    const match = await Match.findOne({ key: matchKey }).lean();
+    if (!match || !match.play?.innings || !match.teams) {
+      return null;
+    }
+
+    return { seq: 0, data: buildDetailedScorecard(match) };
+  }
+
+  /**
+   * Get the last pushed scorecard for a match from Redis (shared by all instances), or this instance's copy
+   * @param {string} matchKey - Match key
+   * @returns {Promise<{ seq: number, data: object }|null>} Last pushed state or null
+   */
+  async getLatestScorecardState(matchKey) {
+    const sharedState = await cacheService.get(`scorecard-state:${matchKey}`);
+    const localState = this.scorecardStates.get(matchKey);
+
+    if (sharedState && (!localState || sharedState.seq >= localState.seq)) {
+      return sharedState;
+    }
+
+    return localState || null;
+  }
+
+  /**
+   * Get the last sequence number (scorecard version) seen by this instance (0 if nothing was pushed yet)
+   * @param {string} matchKey - Match key
+   * @returns {number} Sequence number
+   */
+  getSequence(matchKey) {
+    return this.scorecardStates.get(matchKey)?.seq || 0;
+  }
+
+  /**
+   * Allocate the next scorecard version, unique across instances
+   * @param {string} matchKey - Match key
+   * @param {object|null} previous - Last pushed state
+   * @returns {Promise<number>} New sequence number
+   */
+  async allocateSequence(matchKey, previous) {
+    const seqKey = `scorecard-seq:${matchKey}`;
+    const minimum = (previous?.seq || 0) + 1;
+    const seq = await cacheService.increment(seqKey, REDIS_TTL_MEDIUM);
+
+    if (seq === null) {
+      return minimum; // Redis down - single instance numbering
+    }
+
+    if (seq < minimum) {
+      // Counter expired or was flushed while the state survived - move it forward
+      await cacheService.set(seqKey, minimum, REDIS_TTL_MEDIUM);
+      return minimum;
+    }
+
+    return seq;
   }
 
   /**
@@ -82,10 +407,12 @@ class SocketScorecardService {
    * @param {string} matchKey - Match key to unsubscribe from
    */
   handleUnsubscription(socket, matchKey) {
+    socket.data.subscriptions?.delete(`scorecard:${matchKey}`);
+
     if (this.connectedClients.has(matchKey)) {
       const matchClients = this.connectedClients.get(matchKey);
       matchClients.delete(socket.id); //deletes the corresponding subscriber of particular match key
-      socket.leave(`scorecard:${matchKey}`);
+      this.leaveRoom(socket, `scorecard:${matchKey}`);
       
       console.log(`📢 Client ${socket.id} unsubscribed from match: ${matchKey}`);
       
@@ -113,26 +440,326 @@ class SocketScorecardService {
   }
 
   /**
-   * Push scorecard update to all subscribed clients
+   * Push scorecard update to all subscribed clients on every instance
+   * Sends a `scorecard_patch` against the last pushed version when there is one,
+   * otherwise a full `scorecard_update`. Clients that see base_seq != their seq ask for a resync.
+   * Safe to call from processes without a socket server (e.g. scripts) - delivery happens wherever sockets live;
+   * scripts should call flushScorecardUpdates() before exiting so held updates aren't lost.
+   * @param {string} matchKey - Match key to update
+   * @param {object} scorecardData - Detailed scorecard data
+   * @param {object} [options] - { priority: skip the coalescing window (wicket, result) }
+   */
+  async pushScorecardUpdate(matchKey, scorecardData, { priority = false } = {}) {
+    await this.emitScheduler.schedule(matchKey, scorecardData, { priority });
+  }
+
+  /**
+   * Push every held scorecard update now
+   */
+  async flushScorecardUpdates() {
+    await this.emitScheduler.flushAll();
+  }
+
+  /**
+   * Disconnect every socket and stop the timers (shutdown)
+   * Socket.IO's close() also closes the HTTP server it is attached to.
+   */
+  close() {
+    [this.presenceTimer, this.viewerCountTimer, this.statePruneTimer].forEach(timer => clearInterval(timer));
+    this.presenceTimer = this.viewerCountTimer = this.statePruneTimer = null;
+
+    if (this.io) {
+      this.io.close();
+    }
+  }
+
+  /**
+   * Emit rates per match (received updates vs pushes, coalesced, priority bypasses)
+   * @returns {object} Emit metrics
+   */
+  getEmitMetrics() {
+    return this.emitScheduler.getMetrics();
+  }
+
+  /**
+   * Version and publish a scorecard (called by the emit scheduler)
    * @param {string} matchKey - Match key to update
    * @param {object} scorecardData - Detailed scorecard data
    */
-  pushScorecardUpdate(matchKey, scorecardData) {
+  async publishScorecardUpdate(matchKey, scorecardData) {
+    try {
+      const previous = await this.getLatestScorecardState(matchKey);
+      const patch = previous ? createPatch(previous.data, scorecardData) : null;
+
+      if (patch && patch.length === 0) {
+        console.log(`ℹ️ Scorecard unchanged for match ${matchKey}, nothing to push`);
+        return;
+      }
+
+      // Every change gets a new version, even if nobody is listening yet, so snapshots stay in step
+      const seq = await this.allocateSequence(matchKey, previous);
+      await cacheService.set(`scorecard-state:${matchKey}`, { seq, data: scorecardData }, REDIS_TTL_MEDIUM);
+
+      await pubSubService.publish(SCORECARD_CHANNEL, {
+        matchKey,
+        seq,
+        base_seq: previous ? previous.seq : null,
+        patch,
+        data: scorecardData
+      });
+    } catch (error) {
+      console.error(`❌ Error pushing scorecard update for ${matchKey}:`, error.message);
+    }
+  }
+
+  /**
+   * Emit a published scorecard update to this instance's subscribers
+   * Falls back to a full update when this instance's last version isn't the patch base.
+   * A client that got a newer snapshot in the meantime simply ignores patches with seq <= its own.
+   * @param {object} message - { matchKey, seq, base_seq, patch, data }
+   */
+  deliverScorecardUpdate({ matchKey, seq, base_seq, patch, data }) {
+    const local = this.scorecardStates.get(matchKey);
+    if (local && local.seq >= seq) {
+      return; // Older than what this instance already emitted (concurrent webhooks on two instances)
+    }
+    // Completed matches get no more patches - don't keep their scorecard around
+    if (data?.match_status === 'completed') {
+      this.scorecardStates.delete(matchKey);
+    } else {
+      this.scorecardStates.set(matchKey, { seq, data, updatedAt: Date.now() });
+    }
+
+    // SSE clients always get the full scorecard (seq doubles as the Last-Event-ID)
+    sseService.sendScorecardToMatch(matchKey, { matchKey, data, seq, timestamp: new Date().toISOString() }, seq);
+
     if (!this.io) {
       console.warn('Socket.io not initialized');
       return;
     }
 
-    if (this.connectedClients.has(matchKey)) {
-      this.io.to(`scorecard:${matchKey}`).emit('scorecard_update', { //emit updates to all subscribers of a particular room (determined by match key)
+    if (!this.connectedClients.has(matchKey)) return;
+
+    const timestamp = new Date().toISOString();
+
+    if (patch && local && local.seq === base_seq) {
+      this.emitToRoom(`scorecard:${matchKey}`, 'scorecard_patch', {
         matchKey,
-        data: scorecardData,
-        timestamp: new Date().toISOString()
+        seq,
+        base_seq,
+        patch,
+        timestamp
+      });
+      console.log(`📢 Pushed scorecard patch for match: ${matchKey} (v${base_seq} → v${seq}, ${patch.length} ops)`);
+    } else {
+      this.emitToRoom(`scorecard:${matchKey}`, 'scorecard_update', { //emit updates to all subscribers of a particular room (determined by match key)
+        matchKey,
+        data,
+        seq,
+        timestamp
       });
       console.log(`📢 Pushed scorecard update for match: ${matchKey}`);
-      console.log("connected clietns inside pushscoreboard");
-      this.logConnectedClients();
     }
+    this.logConnectedClients();
+  }
+
+  /**
+   * Broadcast any socket event to a match's subscribers on every instance
+   * @param {string} matchKey - Match key
+   * @param {string} event - Socket event name (e.g. 'match_event')
+   * @param {object} payload - Event payload (matchKey and timestamp are added)
+   * @param {string} [room='scorecard'] - Room prefix: 'scorecard' or 'commentary'
+   */
+  async broadcastToMatch(matchKey, event, payload, room = 'scorecard') {
+    try {
+      await pubSubService.publish(MATCH_BROADCAST_CHANNEL, { matchKey, event, payload, room });
+    } catch (error) {
+      console.error(`❌ Error broadcasting ${event} for ${matchKey}:`, error.message);
+    }
+  }
+
+  /**
+   * Emit an event to this instance's subscribers of a match
+   * @param {string} matchKey - Match key
+   * @param {string} event - Socket event name
+   * @param {object} payload - Event payload
+   * @param {string} [room='scorecard'] - Room prefix: 'scorecard' or 'commentary'
+   */
+  emitToMatch(matchKey, event, payload, room = 'scorecard') {
+    const message = {
+      matchKey,
+      ...payload,
+      timestamp: new Date().toISOString()
+    };
+
+    if (room !== 'scorecard') {
+      // Commentary rooms aren't tracked in connectedClients - socket.io skips empty rooms anyway
+      this.emitToRoom(`${room}:${matchKey}`, event, message);
+      return;
+    }
+
+    sseService.sendToMatch(matchKey, event, message);
+
+    if (!this.io || !this.connectedClients.has(matchKey)) return;
+
+    this.emitToRoom(`scorecard:${matchKey}`, event, message);
+  }
+
+  /**
+   * Subscriber counts for sockets and SSE streams connected to this instance
+   * @returns {Object<string, number>} matchKey → subscriber count
+   */
+  getLocalSubscriberCounts() {
+    const counts = sseService.getClientCounts();
+    this.connectedClients.forEach((clients, matchKey) => {
+      counts[matchKey] = (counts[matchKey] || 0) + clients.size;
+    });
+    return counts;
+  }
+
+  /**
+   * Periodically publish this instance's subscriber counts to Redis so they can be summed cluster-wide
+   */
+  startSubscriberCountReporting() {
+    if (this.presenceTimer) return;
+
+    this.presenceTimer = setInterval(() => {
+      this.reportSubscriberCounts();
+    }, SOCKET_PRESENCE_REPORT_INTERVAL * 1000);
+    this.presenceTimer.unref();
+  }
+
+  async reportSubscriberCounts() {
+    const { instanceId } = pubSubService;
+    // Counts expire if the instance dies, so dead instances drop out of the totals on their own
+    const ttl = SOCKET_PRESENCE_REPORT_INTERVAL * 3;
+
+    await cacheService.addToSet(INSTANCES_KEY, instanceId);
+    await cacheService.set(`socket:subscribers:${instanceId}`, this.getLocalSubscriberCounts(), ttl);
+  }
+
+  /**
+   * Periodically drop scorecard states of matches nobody here is following any more
+   */
+  startScorecardStatePruning() {
+    if (this.statePruneTimer) return;
+
+    this.statePruneTimer = setInterval(() => {
+      this.pruneScorecardStates();
+    }, STATE_PRUNE_INTERVAL_MS);
+    this.statePruneTimer.unref();
+  }
+
+  /**
+   * Delete states with no local subscribers (sockets or SSE) and no update for SCORECARD_STATE_IDLE_TTL
+   * The next update for such a match is simply sent in full.
+   * @param {number} [now=Date.now()] - Current time (ms)
+   * @returns {number} States deleted
+   */
+  pruneScorecardStates(now = Date.now()) {
+    const subscribers = this.getLocalSubscriberCounts();
+    let pruned = 0;
+
+    this.scorecardStates.forEach((state, matchKey) => {
+      if (subscribers[matchKey] || now - state.updatedAt < SCORECARD_STATE_IDLE_TTL * 1000) return;
+      this.scorecardStates.delete(matchKey);
+      pruned += 1;
+    });
+
+    return pruned;
+  }
+
+  /**
+   * Periodically emit `viewer_count` to this instance's match rooms (only when the count changed)
+   */
+  startViewerCountBroadcast() {
+    if (this.viewerCountTimer) return;
+
+    this.viewerCountTimer = setInterval(() => {
+      this.emitViewerCounts();
+    }, VIEWER_COUNT_BROADCAST_INTERVAL * 1000);
+    this.viewerCountTimer.unref();
+  }
+
+  async emitViewerCounts() {
+    try {
+      const { counts } = await this.getViewerCounts({ refresh: true });
+      const localMatchKeys = Object.keys(this.getLocalSubscriberCounts());
+
+      for (const matchKey of localMatchKeys) {
+        const viewers = counts[matchKey] || 0;
+        if (this.lastViewerCounts.get(matchKey) === viewers) continue;
+
+        this.lastViewerCounts.set(matchKey, viewers);
+        this.emitToMatch(matchKey, 'viewer_count', { viewers });
+      }
+
+      // Forget rooms that emptied out here
+      for (const matchKey of this.lastViewerCounts.keys()) {
+        if (!localMatchKeys.includes(matchKey)) this.lastViewerCounts.delete(matchKey);
+      }
+    } catch (error) {
+      console.error('❌ Error broadcasting viewer counts:', error.message);
+    }
+  }
+
+  /**
+   * Approximate viewers per match across all instances (sockets + SSE streams)
+   * Re-read at most every VIEWER_COUNT_BROADCAST_INTERVAL seconds, so REST callers don't hit Redis per request.
+   * @param {object} [options] - { refresh: force a re-read }
+   * @returns {Promise<{ counts: Object<string, number>, updated_at: string }>} Viewer counts
+   */
+  async getViewerCounts({ refresh = false } = {}) {
+    const age = this.viewerCounts.updated_at ? Date.now() - new Date(this.viewerCounts.updated_at).getTime() : Infinity;
+
+    if (refresh || age > VIEWER_COUNT_BROADCAST_INTERVAL * 1000) {
+      const { counts } = await this.getClusterSubscriberCounts();
+      this.viewerCounts = { counts, updated_at: new Date().toISOString() };
+    }
+
+    return this.viewerCounts;
+  }
+
+  /**
+   * Subscriber counts summed across all instances
+   * @returns {Promise<{ instances: number, counts: Object<string, number> }>} Cluster-wide counts
+   */
+  async getClusterSubscriberCounts() {
+    const { instanceId } = pubSubService;
+    const counts = this.getLocalSubscriberCounts();
+    const instanceIds = await cacheService.getSetMembers(INSTANCES_KEY);
+
+    if (!instanceIds) {
+      return { instances: 1, counts }; // Redis down - only this instance is known
+    }
+
+    let instances = 1;
+    for (const id of instanceIds) {
+      if (id === instanceId) continue; // Use live local counts rather than the last report
+
+      const instanceCounts = await cacheService.get(`socket:subscribers:${id}`);
+      if (!instanceCounts) {
+        await cacheService.removeFromSet(INSTANCES_KEY, id);
+        continue;
+      }
+
+      instances++;
+      for (const [matchKey, count] of Object.entries(instanceCounts)) {
+        counts[matchKey] = (counts[matchKey] || 0) + count;
+      }
+    }
+
+    return { instances, counts };
+  }
+
+  /**
+   * Subscriber count for one match across all instances
+   * @param {string} matchKey - Match key
+   * @returns {Promise<number>} Subscriber count
+   */
+  async getClusterSubscriberCount(matchKey) {
+    const { counts } = await this.getClusterSubscriberCounts();
+    return counts[matchKey] || 0;
   }
 }
 
@@ -0,0 +1,178 @@
+// services/sseService.js
+const { SSE_HEARTBEAT_INTERVAL } = require('../config/constants');
+
+// Tell EventSource clients how long to wait before reconnecting (ms)
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Server-Sent Events Service
+ * Live scorecards for clients that can't use Socket.IO (GET /api/matches/:matchKey/stream).
+ *
+ * socketScorecardService hands every delivered scorecard / match event to this service as well,
+ * so SSE and socket clients get the same payloads from the same pipeline. Scorecard events carry
+ * their seq as the event id, which is what Last-Event-ID resumes from.
+ */
+class SSEService {
+  constructor() {
+    this.clients = new Map(); // Map<matchKey, Set<{ res, seq }>> open streams per match on this instance; seq is the last scorecard version sent
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Open a stream for a match
+   * @param {string} matchKey - Match key
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @param {number} [lastSeq=0] - Scorecard version the client already has (Last-Event-ID)
+   * @returns {{ res: object, seq: number }} The stream
+   */
+  addClient(matchKey, req, res, lastSeq = 0) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // don't let nginx buffer the stream
+    });
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const client = { res, seq: lastSeq };
+
+    if (!this.clients.has(matchKey)) {
+      this.clients.set(matchKey, new Set());
+    }
+    this.clients.get(matchKey).add(client);
+    this.startHeartbeat();
+
+    console.log(`📡 SSE client subscribed to match: ${matchKey}`);
+
+    req.on('close', () => {
+      const matchClients = this.clients.get(matchKey);
+      if (!matchClients) return;
+
+      matchClients.delete(client);
+      if (matchClients.size === 0) {
+        this.clients.delete(matchKey);
+      }
+    });
+
+    return client;
+  }
+
+  /**
+   * Send a full scorecard to one stream, unless it already has that version or a newer one
+   * (covers Last-Event-ID resumes and updates that raced the initial snapshot)
+   * @param {{ res: object, seq: number }} client - Stream
+   * @param {object} payload - scorecard_update payload
+   * @param {number} seq - Scorecard version
+   */
+  sendScorecard(client, payload, seq) {
+    if (seq && seq <= client.seq) return;
+
+    this.send(client.res, 'scorecard_update', payload, seq);
+    client.seq = Math.max(client.seq, seq || 0);
+  }
+
+  /**
+   * Send the scorecard snapshot a stream opens with
+   * A Last-Event-ID ahead of the current version means the `scorecard-seq:` counter restarted (expired, Redis
+   * flushed) - the client's version means nothing any more, so it gets the snapshot and follows the new counter.
+   * @param {{ res: object, seq: number }} client - Stream
+   * @param {object} payload - scorecard_update payload (snapshot: true)
+   * @param {number} seq - Current scorecard version
+   */
+  sendSnapshot(client, payload, seq) {
+    if (client.seq > (seq || 0)) {
+      client.seq = 0;
+    }
+    this.sendScorecard(client, payload, seq);
+  }
+
+  /**
+   * Write one event to a single stream
+   * @param {object} res - Express response object
+   * @param {string} event - Event name (same names as the socket events)
+   * @param {object} data - Event payload
+   * @param {number} [id] - Event id (scorecard seq)
+   */
+  send(res, event, data, id) {
+    let message = '';
+    if (id) message += `id: ${id}\n`;
+    message += `event: ${event}\n`;
+    message += `data: ${JSON.stringify(data)}\n\n`;
+    res.write(message);
+  }
+
+  /**
+   * Send a scorecard update to every stream of a match on this instance
+   * @param {string} matchKey - Match key
+   * @param {object} payload - scorecard_update payload
+   * @param {number} seq - Scorecard version
+   */
+  sendScorecardToMatch(matchKey, payload, seq) {
+    this.forEachClient(matchKey, (client) => this.sendScorecard(client, payload, seq));
+  }
+
+  /**
+   * Send any other event (match_event...) to every stream of a match on this instance
+   * @param {string} matchKey - Match key
+   * @param {string} event - Event name
+   * @param {object} data - Event payload
+   */
+  sendToMatch(matchKey, event, data) {
+    this.forEachClient(matchKey, (client) => this.send(client.res, event, data));
+  }
+
+  forEachClient(matchKey, fn) {
+    const matchClients = this.clients.get(matchKey);
+    if (!matchClients) return;
+
+    matchClients.forEach((client) => {
+      try {
+        fn(client);
+      } catch (error) {
+        console.error(`❌ SSE write failed for ${matchKey}:`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Comment lines keep proxies and load balancers from closing idle streams
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach((matchClients) => {
+        matchClients.forEach((client) => client.res.write(': heartbeat\n\n'));
+      });
+    }, SSE_HEARTBEAT_INTERVAL * 1000);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * End every stream (shutdown) - EventSource clients reconnect on their own, to another instance
+   */
+  closeAll() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    this.clients.forEach((matchClients) => {
+      matchClients.forEach((client) => client.res.end());
+    });
+    this.clients.clear();
+  }
+
+  /**
+   * Open streams per match on this instance (counted as subscribers alongside sockets)
+   * @returns {Object<string, number>} matchKey → stream count
+   */
+  getClientCounts() {
+    const counts = {};
+    this.clients.forEach((matchClients, matchKey) => {
+      counts[matchKey] = matchClients.size;
+    });
+    return counts;
+  }
+}
+
+module.exports = new SSEService();
@@ -0,0 +1,120 @@
+// services/webhookSubscriptionService.js
+const WebhookSubscription = require('../models/WebhookSubscription');
+const roanuzService = require('./roanuzService');
+
+// Roanuz error code for "already subscribed"
+const ALREADY_SUBSCRIBED_CODE = 'P-400-4';
+
+/**
+ * Webhook Subscription Service
+ * Subscribes / unsubscribes Roanuz match webhooks and keeps the state in Mongo (WebhookSubscription),
+ * so a restarted instance knows what it is still subscribed to instead of leaking subscriptions.
+ */
+class WebhookSubscriptionService {
+  /**
+   * Subscribe to a match webhook
+   * @param {string} matchKey - Match key
+   * @param {string} [source='live'] - 'live' (LiveMatchesWebhook) or 'pre_match' (PreMatchScheduler)
+   * @returns {Promise<object>} Subscription record
+   */
+  async subscribe(matchKey, source = 'live') {
+    try {
+      await roanuzService.subscribeToMatch(matchKey);
+    } catch (error) {
+      if (error.response?.data?.error?.code !== ALREADY_SUBSCRIBED_CODE) {
+        await this.recordError(matchKey, error, { status: 'failed' });
+        throw error;
+      }
+      console.log(`ℹ️ Already subscribed to match ${matchKey}`);
+    }
+
+    return WebhookSubscription.findOneAndUpdate(
+      { match_key: matchKey },
+      {
+        $set: { status: 'subscribed', source, subscribed_at: new Date(), unsubscribed_at: null, release_reason: null },
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Unsubscribe from a match webhook
+   * @param {string} matchKey - Match key
+   * @param {string} reason - Release reason (see WebhookSubscription.release_reason)
+   * @returns {Promise<object>} Subscription record
+   */
+  async unsubscribe(matchKey, reason) {
+    try {
+      await roanuzService.unsubscribeFromMatch(matchKey);
+    } catch (error) {
+      // Still subscribed as far as we know - it'll be released again later
+      await this.recordError(matchKey, error);
+      throw error;
+    }
+
+    return WebhookSubscription.findOneAndUpdate(
+      { match_key: matchKey },
+      { $set: { status: 'unsubscribed', unsubscribed_at: new Date(), release_reason: reason } },
+      { upsert: true, new: true }
+    );
+  }
+
+  async recordError(matchKey, error, extra = {}) {
+    try {
+      await WebhookSubscription.updateOne(
+        { match_key: matchKey },
+        { $set: { ...extra, last_error: { message: error.message, at: new Date() } } },
+        { upsert: !!extra.status }
+      );
+    } catch (storeError) {
+      console.error(`❌ Error recording subscription error for ${matchKey}:`, storeError.message);
+    }
+  }
+
+  /**
+   * @param {string} [source] - Only subscriptions managed by this source
+   * @returns {Promise<Array<string>>} Keys of matches we are subscribed to
+   */
+  async getSubscribedKeys(source) {
+    const query = source ? { status: 'subscribed', source } : { status: 'subscribed' };
+    const subscriptions = await WebhookSubscription.find(query).select('match_key').lean();
+    return subscriptions.map(subscription => subscription.match_key);
+  }
+
+  /**
+   * Release every subscription (graceful shutdown)
+   * @param {string} reason - Release reason
+   * @returns {Promise<{ released: Array<string>, failed: Array<string> }>} Outcome per match
+   */
+  async releaseAll(reason) {
+    const matchKeys = await this.getSubscribedKeys();
+    const released = [];
+    const failed = [];
+
+    for (const matchKey of matchKeys) {
+      try {
+        await this.unsubscribe(matchKey, reason);
+        released.push(matchKey);
+      } catch (error) {
+        console.error(`❌ Error releasing subscription for ${matchKey}:`, error.message);
+        failed.push(matchKey);
+      }
+    }
+
+    return { released, failed };
+  }
+
+  /**
+   * List subscription records, most recently changed first
+   * @param {object} filters - { status, source }
+   * @returns {Promise<Array<object>>} Subscriptions
+   */
+  async list({ status, source } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (source) query.source = source;
+    return WebhookSubscription.find(query).sort({ updatedAt: -1 }).limit(200).lean();
+  }
+}
+
+module.exports = new WebhookSubscriptionService();
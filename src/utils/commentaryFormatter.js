@@ -0,0 +1,65 @@
+// utils/commentaryFormatter.js
+/**
+ * Shapes Roanuz ball-by-ball overs for the commentary tab
+ * Shared by the commentary REST endpoint and the live commentary push (commentaryService).
+ */
+
+/**
+ * Format over commentary for frontend consumption
+ * @param {object} overData - Over data from Roanuz API
+ * @param {object} apiData - Full API response data
+ * @returns {object} Formatted over commentary
+ */
+function formatOverCommentary(overData, apiData) {
+  const formattedBalls = overData.balls.map(ball => ({
+    key: ball.key,
+    ball_number: ball.overs[1] + 1, // Convert to 1-based ball number
+    over_number: ball.overs[0] + 1, // Convert to 1-based over number
+    ball_type: ball.ball_type, // normal, wide, no_ball, etc.
+    runs: ball.batsman.runs,
+    extras: ball.team_score.extras,
+    total_runs: ball.team_score.runs,
+    is_wicket: ball.team_score.is_wicket,
+    is_four: ball.batsman.is_four,
+    is_six: ball.batsman.is_six,
+    is_dot_ball: ball.batsman.is_dot_ball,
+    commentary: ball.comment,
+    batsman: {
+      name: ball.batsman.player_key, // Could be enhanced with actual player names
+      key: ball.batsman.player_key
+    },
+    bowler: {
+      name: ball.bowler.player_key, // Could be enhanced with actual player names  
+      key: ball.bowler.player_key
+    },
+    non_striker: ball.non_striker_key,
+    wicket: ball.wicket ? {
+      player_key: ball.wicket.player_key,
+      wicket_type: ball.wicket.wicket_type,
+      fielders: ball.fielders?.map(f => ({
+        player_key: f.player_key,
+        is_catch: f.is_catch,
+        is_run_out: f.is_run_out,
+        is_stumps: f.is_stumps
+      })) || []
+    } : null,
+    ball_representation: ball.repr, // Short representation like 'r1', 'b4', 'w', etc.
+    entry_time: ball.entry_time
+  }));
+
+  return {
+    over_key: `${overData.index.innings}_${overData.index.over_number}`,
+    over_number: overData.index.over_number + 1, // Convert to 1-based
+    innings: overData.index.innings,
+    batting_team: overData.index.innings.split('_')[0], // 'a' or 'b'
+    balls: formattedBalls,
+    over_summary: {
+      total_runs: formattedBalls.reduce((sum, ball) => sum + ball.runs + ball.extras, 0),
+      wickets: formattedBalls.filter(ball => ball.is_wicket).length,
+      boundaries: formattedBalls.filter(ball => ball.is_four || ball.is_six).length,
+      dot_balls: formattedBalls.filter(ball => ball.is_dot_ball).length
+    }
+  };
+}
+
+module.exports = { formatOverCommentary };
@@ -0,0 +1,239 @@
+// utils/dls.js
+/**
+ * Duckworth-Lewis-Stern (Standard Edition) calculations
+ *
+ * Resources R(u, w) - share of a 50-over innings left with u overs to go and w wickets down - are read from
+ * the Standard Edition table, which has one row per whole over; part overs are interpolated by ball between
+ * the two rows around them.
+ *
+ * Targets (S = team 1 total, R1 / R2 = resources available to each side):
+ *   R2 <= R1: T = floor(S * R2 / R1) + 1
+ *   R2 >  R1: T = floor(S + G50 * (R2 - R1) / 100) + 1
+ * Par scores use the same formula with the resources team 2 has used so far instead of R2.
+ *
+ * Everything here works in balls; oversToBalls reads cricket notation (23.4 = 23 overs and 4 balls).
+ */
+
+const { DLS_G50 } = require('../config/constants');
+
+const MAX_OVERS = 50;
+
+// Standard Edition resource table: % of a 50-over innings left, by overs remaining (row, 50 down to 0)
+// and wickets lost (column, 0-9)
+const RESOURCE_TABLE = [
+  [100.0,  93.4,  85.1,  74.9,  62.7,  49.0,  34.9,  22.0,  11.9,   4.7], // 50
+  [ 99.1,  92.6,  84.5,  74.5,  62.5,  48.9,  34.9,  22.0,  11.9,   4.7], // 49
+  [ 98.1,  91.8,  83.8,  74.0,  62.2,  48.8,  34.9,  22.0,  11.9,   4.7], // 48
+  [ 97.1,  90.9,  83.2,  73.6,  61.9,  48.7,  34.8,  22.0,  11.9,   4.7], // 47
+  [ 96.0,  90.1,  82.5,  73.1,  61.6,  48.6,  34.8,  22.0,  11.9,   4.7], // 46
+  [ 95.0,  89.2,  81.8,  72.6,  61.3,  48.4,  34.8,  22.0,  11.9,   4.7], // 45
+  [ 93.9,  88.3,  81.0,  72.0,  61.0,  48.3,  34.7,  22.0,  11.9,   4.7], // 44
+  [ 92.8,  87.3,  80.3,  71.5,  60.7,  48.1,  34.7,  22.0,  11.9,   4.7], // 43
+  [ 91.6,  86.3,  79.5,  70.9,  60.3,  48.0,  34.7,  22.0,  11.9,   4.7], // 42
+  [ 90.5,  85.3,  78.6,  70.3,  59.9,  47.8,  34.6,  22.0,  11.9,   4.7], // 41
+  [ 89.3,  84.3,  77.8,  69.7,  59.5,  47.6,  34.6,  22.0,  11.9,   4.7], // 40
+  [ 88.0,  83.2,  76.9,  69.0,  59.1,  47.4,  34.5,  22.0,  11.9,   4.7], // 39
+  [ 86.7,  82.1,  76.0,  68.3,  58.7,  47.2,  34.4,  22.0,  11.9,   4.7], // 38
+  [ 85.4,  80.9,  75.0,  67.6,  58.2,  46.9,  34.4,  22.0,  11.9,   4.7], // 37
+  [ 84.0,  79.7,  74.0,  66.8,  57.7,  46.7,  34.3,  22.0,  11.9,   4.7], // 36
+  [ 82.7,  78.5,  73.0,  66.1,  57.2,  46.4,  34.2,  21.9,  11.9,   4.7], // 35
+  [ 81.2,  77.2,  72.0,  65.2,  56.6,  46.1,  34.1,  21.9,  11.9,   4.7], // 34
+  [ 79.8,  75.9,  70.9,  64.4,  56.1,  45.8,  34.0,  21.9,  11.9,   4.7], // 33
+  [ 78.3,  74.6,  69.7,  63.5,  55.4,  45.5,  33.9,  21.9,  11.9,   4.7], // 32
+  [ 76.7,  73.2,  68.5,  62.6,  54.8,  45.1,  33.7,  21.9,  11.9,   4.7], // 31
+  [ 75.1,  71.8,  67.3,  61.6,  54.1,  44.7,  33.6,  21.9,  11.9,   4.7], // 30
+  [ 73.5,  70.3,  66.0,  60.6,  53.4,  44.3,  33.4,  21.8,  11.9,   4.7], // 29
+  [ 71.8,  68.8,  64.7,  59.5,  52.6,  43.8,  33.2,  21.8,  11.9,   4.7], // 28
+  [ 70.1,  67.2,  63.4,  58.4,  51.8,  43.3,  33.0,  21.8,  11.9,   4.7], // 27
+  [ 68.3,  65.6,  61.9,  57.2,  50.9,  42.8,  32.8,  21.7,  11.9,   4.7], // 26
+  [ 66.5,  63.9,  60.5,  56.0,  50.0,  42.2,  32.6,  21.7,  11.9,   4.7], // 25
+  [ 64.6,  62.2,  59.0,  54.7,  49.1,  41.6,  32.3,  21.6,  11.9,   4.7], // 24
+  [ 62.6,  60.4,  57.4,  53.4,  48.0,  41.0,  31.9,  21.5,  11.9,   4.7], // 23
+  [ 60.7,  58.6,  55.7,  52.0,  47.0,  40.2,  31.6,  21.5,  11.9,   4.7], // 22
+  [ 58.6,  56.7,  54.1,  50.6,  45.8,  39.5,  31.2,  21.4,  11.9,   4.7], // 21
+  [ 56.6,  54.8,  52.4,  49.1,  44.6,  38.7,  30.8,  21.2,  11.9,   4.7], // 20
+  [ 54.4,  52.8,  50.5,  47.5,  43.4,  37.8,  30.3,  21.1,  11.9,   4.7], // 19
+  [ 52.2,  50.7,  48.6,  45.9,  42.1,  36.8,  29.8,  20.9,  11.9,   4.7], // 18
+  [ 49.9,  48.6,  46.6,  44.2,  40.6,  35.8,  29.2,  20.7,  11.8,   4.7], // 17
+  [ 47.5,  46.4,  44.6,  42.4,  39.2,  34.7,  28.5,  20.5,  11.8,   4.7], // 16
+  [ 45.1,  44.1,  42.5,  40.5,  37.6,  33.5,  27.8,  20.2,  11.8,   4.7], // 15
+  [ 42.7,  41.7,  40.3,  38.5,  35.9,  32.2,  27.0,  19.9,  11.8,   4.7], // 14
+  [ 40.1,  39.3,  38.1,  36.5,  34.2,  30.9,  26.1,  19.5,  11.7,   4.7], // 13
+  [ 37.5,  36.8,  35.7,  34.4,  32.3,  29.4,  25.1,  19.1,  11.6,   4.7], // 12
+  [ 34.9,  34.3,  33.3,  32.1,  30.4,  27.8,  24.0,  18.5,  11.5,   4.7], // 11
+  [ 32.1,  31.6,  30.8,  29.8,  28.3,  26.1,  22.8,  17.9,  11.4,   4.7], // 10
+  [ 29.3,  28.9,  28.2,  27.4,  26.1,  24.3,  21.4,  17.1,  11.2,   4.7], // 9
+  [ 26.4,  26.0,  25.5,  24.8,  23.8,  22.3,  19.9,  16.3,  11.0,   4.7], // 8
+  [ 23.4,  23.1,  22.7,  22.2,  21.4,  20.2,  18.3,  15.2,  10.6,   4.7], // 7
+  [ 20.3,  20.1,  19.8,  19.4,  18.8,  17.9,  16.4,  14.0,  10.1,   4.7], // 6
+  [ 17.2,  17.0,  16.8,  16.5,  16.1,  15.4,  14.3,  12.5,   9.4,   4.7], // 5
+  [ 13.9,  13.8,  13.7,  13.5,  13.2,  12.8,  12.0,  10.8,   8.6,   4.7], // 4
+  [ 10.6,  10.5,  10.4,  10.3,  10.2,   9.9,   9.5,   8.7,   7.3,   4.7], // 3
+  [  7.1,   7.1,   7.1,   7.0,   7.0,   6.8,   6.6,   6.3,   5.6,   4.7], // 2
+  [  3.6,   3.6,   3.6,   3.6,   3.6,   3.5,   3.5,   3.4,   3.2,   3.2], // 1
+  [  0.0,   0.0,   0.0,   0.0,   0.0,   0.0,   0.0,   0.0,   0.0,   0.0], // 0
+];
+
+const tableRow = (overs) => RESOURCE_TABLE[MAX_OVERS - overs];
+
+/**
+ * Convert cricket overs notation to balls
+ * @param {number|string} overs - e.g. 23.4
+ * @returns {number} Balls (NaN when the notation is invalid, e.g. 23.7)
+ */
+function oversToBalls(overs) {
+  const value = Number(overs);
+  if (!Number.isFinite(value) || value < 0) return NaN;
+
+  const completed = Math.floor(value);
+  const balls = Math.round((value - completed) * 10);
+  return balls > 5 ? NaN : completed * 6 + balls;
+}
+
+const ballsToOvers = (balls) => Number(`${Math.floor(balls / 6)}.${balls % 6}`);
+
+/**
+ * Resources left (% of a full 50-over innings)
+ * @param {number} ballsLeft - Balls remaining in the innings
+ * @param {number} wickets - Wickets lost (0-10)
+ * @returns {number} Resource percentage, one decimal like the printed table (interpolated by ball)
+ */
+function getResources(ballsLeft, wickets) {
+  if (ballsLeft <= 0 || wickets >= 10) return 0;
+
+  const balls = Math.min(Math.round(ballsLeft), MAX_OVERS * 6);
+  const overs = Math.floor(balls / 6);
+  const below = tableRow(overs)[wickets];
+  if (balls % 6 === 0) return below;
+
+  const above = tableRow(overs + 1)[wickets];
+  return Math.round((below + ((above - below) * (balls % 6)) / 6) * 10) / 10;
+}
+
+/**
+ * Resource table by overs remaining (whole overs) - the printed Standard Edition layout
+ * @param {number} [maxOvers=50] - Longest innings to include
+ * @returns {Array<{ overs: number, resources: Array<number> }>} Rows for 0-9 wickets lost
+ */
+function getResourceTable(maxOvers = MAX_OVERS) {
+  const rows = [];
+  for (let overs = Math.min(maxOvers, MAX_OVERS); overs >= 0; overs--) {
+    rows.push({ overs, resources: [...tableRow(overs)] });
+  }
+  return rows;
+}
+
+/**
+ * Resources available to an innings, net of stoppages
+ * Each interruption takes away R(overs left before, w) - R(overs left after, w) at the moment play stopped.
+ * An innings cut short for good is an interruption whose max_overs equals the overs bowled.
+ * @param {object} innings
+ * @param {number} innings.maxBalls - Balls the innings started with
+ * @param {Array<{ balls: number, wickets: number, maxBalls: number }>} [innings.interruptions] - Stoppages in order:
+ *   balls bowled and wickets down when play stopped, and the innings length afterwards
+ * @returns {{ resources: number, maxBalls: number }} Resources (%) and the final innings length
+ */
+function getInningsResources({ maxBalls, interruptions = [] }) {
+  let resources = getResources(maxBalls, 0);
+  let currentMax = maxBalls;
+
+  interruptions.forEach(({ balls, wickets, maxBalls: revisedMax }) => {
+    const lost = getResources(currentMax - balls, wickets) - getResources(revisedMax - balls, wickets);
+    resources -= Math.max(lost, 0);
+    currentMax = revisedMax;
+  });
+
+  return { resources: Math.round(resources * 10) / 10, maxBalls: currentMax };
+}
+
+/**
+ * Runs team 2 needs to tie with the given resources
+ * @param {number} team1Score - Team 1 total (S)
+ * @param {number} team1Resources - R1
+ * @param {number} team2Resources - Resources for team 2 (R2, or used so far for a par score)
+ * @param {number} [g50] - Average 50-over score the excess resources are valued at
+ * @returns {number} Par score (integer)
+ */
+function getParScore(team1Score, team1Resources, team2Resources, g50 = DLS_G50) {
+  if (team2Resources <= team1Resources) {
+    return Math.floor((team1Score * team2Resources) / team1Resources);
+  }
+  return Math.floor(team1Score + (g50 * (team2Resources - team1Resources)) / 100);
+}
+
+/**
+ * Full DLS calculation: revised target and, when team 2's progress is given, the par score right now
+ * @param {object} input
+ * @param {number} input.team1Score - Team 1 total
+ * @param {object} input.team1 - { maxBalls, interruptions }
+ * @param {object} input.team2 - { maxBalls, interruptions, balls?, wickets?, runs? } (current state for the par score)
+ * @param {number} [input.g50] - G50 override
+ * @returns {object} Resources, target and par details
+ */
+function calculateDLS({ team1Score, team1, team2, g50 = DLS_G50 }) {
+  const innings1 = getInningsResources(team1);
+  const innings2 = getInningsResources(team2);
+  const par = getParScore(team1Score, innings1.resources, innings2.resources, g50);
+
+  const result = {
+    g50,
+    team1: { score: team1Score, max_overs: ballsToOvers(innings1.maxBalls), resources: innings1.resources },
+    team2: { max_overs: ballsToOvers(innings2.maxBalls), resources: innings2.resources },
+    target: par + 1,
+  };
+
+  if (Number.isFinite(team2.balls)) {
+    const wickets = team2.wickets || 0;
+    const remaining = getResources(innings2.maxBalls - team2.balls, wickets);
+    const used = Math.round((innings2.resources - remaining) * 10) / 10;
+    const parScore = getParScore(team1Score, innings1.resources, used, g50);
+
+    result.current = {
+      overs: ballsToOvers(team2.balls),
+      wickets,
+      resources_used: used,
+      resources_remaining: remaining,
+      par_score: parScore,
+      ...(Number.isFinite(team2.runs) ? { runs: team2.runs, runs_vs_par: team2.runs - parScore } : {}),
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Live par score for a chase from the target Roanuz set
+ * Team 1's stoppages are already in the target, so par is the target scaled by the share of team 2's
+ * resources used: floor((T - 1) * used / R2), with R2 net of the overs the chase has lost so far.
+ * @param {object} chase
+ * @param {number} chase.target - Runs to win
+ * @param {number} chase.totalBalls - Balls the chase started with
+ * @param {Array<{ balls: number, wickets: number, maxBalls: number }>} [chase.interruptions] - Stoppages in the
+ *   chase so far (see getInningsResources)
+ * @param {number} chase.balls - Balls bowled
+ * @param {number} chase.wickets - Wickets lost
+ * @returns {{ par_score: number, resources_used: number, resources_remaining: number }} Par details
+ */
+function getLiveParScore({ target, totalBalls, interruptions = [], balls, wickets }) {
+  const { resources: available, maxBalls } = getInningsResources({ maxBalls: totalBalls, interruptions });
+  const remaining = getResources(maxBalls - balls, wickets);
+  const used = Math.round((available - remaining) * 10) / 10;
+
+  return {
+    par_score: available > 0 ? Math.floor(((target - 1) * used) / available) : 0,
+    resources_used: used,
+    resources_remaining: remaining,
+  };
+}
+
+module.exports = {
+  MAX_OVERS,
+  oversToBalls,
+  ballsToOvers,
+  getResources,
+  getResourceTable,
+  getInningsResources,
+  getParScore,
+  calculateDLS,
+  getLiveParScore,
+};
@@ -0,0 +1,160 @@
+// utils/emitScheduler.js
+/**
+ * Per-key emit throttling with coalescing
+ *
+ * The first value for a key is flushed right away; values arriving within `windowMs` of the last flush
+ * are held and only the latest one is flushed when the window ends (intermediate ones are "coalesced").
+ * Priority values flush immediately and replace anything pending. Flushes of one key never overlap.
+ *
+ * Used by socketScorecardService so a burst of webhooks becomes at most one scorecard push per window.
+ */
+
+// Rates are averaged over this period
+const RATE_PERIOD_MS = 60 * 1000;
+
+class EmitScheduler {
+  /**
+   * @param {object} options
+   * @param {number} options.windowMs - Coalescing window (0 = flush everything immediately)
+   * @param {Function} options.flush - async (key, value) => void
+   */
+  constructor({ windowMs, flush }) {
+    this.windowMs = windowMs;
+    this.flush = flush;
+    this.entries = new Map(); // Map<key, { pending, timer, lastFlushAt, chain, metrics }>
+    this.totals = { received: 0, emitted: 0, coalesced: 0, priority: 0 };
+    this.recent = { received: [], emitted: [] }; // timestamps within RATE_PERIOD_MS
+  }
+
+  /**
+   * Schedule a value for a key
+   * @param {string} key - e.g. match key
+   * @param {*} value - Latest value (replaces any pending one)
+   * @param {object} [options] - { priority: bypass the window }
+   * @returns {Promise<void>} Resolves when flushed now, or immediately when held for the window
+   */
+  schedule(key, value, { priority = false } = {}) {
+    const entry = this.getEntry(key);
+    const now = Date.now();
+    this.count(entry, 'received', now);
+
+    const windowOpen = !entry.timer && now - entry.lastFlushAt >= this.windowMs;
+
+    if (priority || this.windowMs <= 0 || windowOpen) {
+      if (priority) this.count(entry, 'priority');
+      if (entry.timer) {
+        clearTimeout(entry.timer);
+        entry.timer = null;
+      }
+      if (entry.hasPending) {
+        this.count(entry, 'coalesced'); // superseded by this value
+        entry.hasPending = false;
+        entry.pending = null;
+      }
+      return this.run(key, entry, value);
+    }
+
+    if (entry.hasPending) {
+      this.count(entry, 'coalesced');
+    }
+    entry.pending = value;
+    entry.hasPending = true;
+
+    if (!entry.timer) {
+      entry.timer = setTimeout(() => this.flushPending(key), Math.max(this.windowMs - (now - entry.lastFlushAt), 0));
+    }
+
+    return Promise.resolve();
+  }
+
+  flushPending(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return Promise.resolve();
+
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+    if (!entry.hasPending) return entry.chain;
+
+    const value = entry.pending;
+    entry.pending = null;
+    entry.hasPending = false;
+    return this.run(key, entry, value);
+  }
+
+  /**
+   * Flush everything held right now (graceful shutdown, end of a script)
+   */
+  async flushAll() {
+    await Promise.all([...this.entries.keys()].map(key => this.flushPending(key)));
+  }
+
+  run(key, entry, value) {
+    const now = Date.now();
+    entry.lastFlushAt = now;
+    this.count(entry, 'emitted', now);
+
+    entry.chain = entry.chain
+      .then(() => this.flush(key, value))
+      .catch(error => console.error(`❌ Scheduled emit failed for ${key}:`, error.message));
+    return entry.chain;
+  }
+
+  getEntry(key) {
+    if (!this.entries.has(key)) {
+      this.entries.set(key, {
+        pending: null,
+        hasPending: false,
+        timer: null,
+        lastFlushAt: 0,
+        chain: Promise.resolve(),
+        metrics: { received: 0, emitted: 0, coalesced: 0, priority: 0, last_emit_at: null }
+      });
+    }
+    return this.entries.get(key);
+  }
+
+  count(entry, metric, now) {
+    entry.metrics[metric]++;
+    this.totals[metric]++;
+
+    if (metric === 'emitted') {
+      entry.metrics.last_emit_at = new Date(now).toISOString();
+    }
+
+    const timestamps = this.recent[metric];
+    if (timestamps) {
+      timestamps.push(now);
+      while (timestamps.length && timestamps[0] < now - RATE_PERIOD_MS) {
+        timestamps.shift();
+      }
+    }
+  }
+
+  /**
+   * Emit metrics for the monitor routes
+   * @returns {object} { window_ms, totals, rates (per second over the last minute), matches }
+   */
+  getMetrics() {
+    const since = Date.now() - RATE_PERIOD_MS;
+    const rate = timestamps => Math.round((timestamps.filter(at => at >= since).length / (RATE_PERIOD_MS / 1000)) * 100) / 100;
+
+    const matches = {};
+    this.entries.forEach((entry, key) => {
+      matches[key] = { ...entry.metrics, pending: entry.hasPending };
+    });
+
+    return {
+      window_ms: this.windowMs,
+      totals: { ...this.totals },
+      rates: {
+        received_per_sec: rate(this.recent.received),
+        emitted_per_sec: rate(this.recent.emitted)
+      },
+      matches
+    };
+  }
+}
+
+module.exports = EmitScheduler;
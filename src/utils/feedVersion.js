@@ -0,0 +1,57 @@
+// utils/feedVersion.js
+/**
+ * Versioning for full match payloads so retried / out-of-order webhook deliveries can be spotted.
+ *
+ * version = [status rank, innings number, legal balls in that innings, wides + no balls in that innings]
+ * Versions compare element by element. Payloads with the same version but different content
+ * (scorer corrections, squad/toss updates before the start) are told apart by the content hash.
+ */
+const crypto = require('crypto');
+
+const STATUS_RANK = {
+  not_started: 0,
+  started: 1,
+  completed: 2,
+  abandoned: 2,
+  cancelled: 2,
+};
+
+/**
+ * Compute the version of a match payload
+ * @param {object} matchData - Match data from Roanuz
+ * @returns {{ version: Array<number>, hash: string }} Version vector and content hash
+ */
+function getFeedVersion(matchData) {
+  const innings = matchData.play?.innings || {};
+  const inningsOrder = (matchData.play?.innings_order || Object.keys(innings)).filter(key => innings[key]);
+  const latest = innings[inningsOrder[inningsOrder.length - 1]];
+
+  const version = [
+    STATUS_RANK[matchData.status] ?? 0,
+    inningsOrder.length,
+    latest?.score?.balls || 0,
+    (latest?.balls_breakup?.wides || 0) + (latest?.balls_breakup?.no_balls || 0),
+  ];
+
+  const hash = crypto.createHash('sha1').update(JSON.stringify(matchData)).digest('hex');
+
+  return { version, hash };
+}
+
+/**
+ * Compare two version vectors
+ * @returns {number} < 0 if a is older than b, 0 if equal, > 0 if newer
+ */
+function compareFeedVersions(a, b) {
+  const length = Math.max(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+module.exports = {
+  getFeedVersion,
+  compareFeedVersions,
+};
@@ -0,0 +1,80 @@
+// utils/jsonPatch.js
+/**
+ * Minimal JSON-Patch (RFC 6902) diff used for socket scorecard deltas.
+ * Only emits `add`, `remove` and `replace` ops - no `move`/`copy` detection.
+ * Arrays are compared index by index, which suits scorecards where rows only get appended or updated in place.
+ */
+
+/**
+ * Escape a key for use inside a JSON pointer
+ * @param {string|number} key - Object key or array index
+ * @returns {string} Escaped pointer segment
+ */
+function escapePointerSegment(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function diffValues(before, after, path, ops) {
+  if (before === after) return;
+
+  const beforeIsArray = Array.isArray(before);
+  const afterIsArray = Array.isArray(after);
+
+  // Different kinds of value (or primitives that changed) - just swap it out
+  if (!isObject(before) || !isObject(after) || beforeIsArray !== afterIsArray) {
+    ops.push({ op: 'replace', path, value: after });
+    return;
+  }
+
+  if (afterIsArray) {
+    const common = Math.min(before.length, after.length);
+    for (let i = 0; i < common; i++) {
+      diffValues(before[i], after[i], `${path}/${i}`, ops);
+    }
+    for (let i = common; i < after.length; i++) {
+      ops.push({ op: 'add', path: `${path}/${i}`, value: after[i] });
+    }
+    // Remove from the end so earlier indexes stay valid while the patch is applied
+    for (let i = before.length - 1; i >= after.length; i--) {
+      ops.push({ op: 'remove', path: `${path}/${i}` });
+    }
+    return;
+  }
+
+  for (const key of Object.keys(before)) {
+    const childPath = `${path}/${escapePointerSegment(key)}`;
+    if (!(key in after) || after[key] === undefined) {
+      if (before[key] !== undefined) {
+        ops.push({ op: 'remove', path: childPath });
+      }
+    } else {
+      diffValues(before[key], after[key], childPath, ops);
+    }
+  }
+
+  for (const key of Object.keys(after)) {
+    if (after[key] === undefined) continue;
+    if (!(key in before) || before[key] === undefined) {
+      ops.push({ op: 'add', path: `${path}/${escapePointerSegment(key)}`, value: after[key] });
+    }
+  }
+}
+
+/**
+ * Create a JSON-Patch that turns `before` into `after`
+ * @param {any} before - Previous document
+ * @param {any} after - New document
+ * @returns {Array<object>} List of patch operations (empty if nothing changed)
+ */
+function createPatch(before, after) {
+  const ops = [];
+  // Round-trip through JSON so Dates/undefined match what clients actually received
+  diffValues(JSON.parse(JSON.stringify(before ?? null)), JSON.parse(JSON.stringify(after ?? null)), '', ops);
+  return ops;
+}
+
+module.exports = { createPatch };
@@ -0,0 +1,121 @@
+// utils/matchDemand.js
+/**
+ * Demand scoring for live matches
+ * Decides which live matches are worth a Roanuz webhook subscription (see LiveMatchesWebhook):
+ *
+ *   score = viewers * VIEWER_WEIGHT            (cluster-wide socket subscribers right now)
+ *         + fans * FAN_WEIGHT                  (users with either team in preferences.favorite_teams)
+ *         + IMPORTANCE_POINTS[importance]      (world events > international > everything else)
+ *         + featured bonus                     (Roanuz featured order, so idle periods behave like before)
+ *
+ * Already subscribed matches get INCUMBENT_MARGIN on top, so a challenger has to be clearly
+ * more popular before it takes a slot (no flapping when two matches are close).
+ */
+
+const VIEWER_WEIGHT = 1;
+const FAN_WEIGHT = 0.1;
+const IMPORTANCE_POINTS = { 3: 20, 2: 10, 1: 0 };
+const FEATURED_BONUS = 5; // first featured match gets 5, second 4...
+const INCUMBENT_MARGIN = 5;
+
+// ICC events and other marquee competitions
+const MAJOR_EVENT_PATTERN = /world cup|champions trophy|world test championship|asia cup/i;
+const ICC_ASSOCIATION_CODE = 'ICC';
+
+/**
+ * Tournament importance
+ * @param {object} match - Match from the featured matches API
+ * @param {Array<string>} priorityTournamentKeys - Tournament keys configured as top priority
+ * @returns {number} 3 = major event / configured priority, 2 = international, 1 = other
+ */
+function getTournamentImportance(match, priorityTournamentKeys = []) {
+  const tournament = match.tournament || {};
+
+  if (priorityTournamentKeys.includes(tournament.key) || MAJOR_EVENT_PATTERN.test(tournament.name || '')) {
+    return 3;
+  }
+  if (match.association?.code === ICC_ASSOCIATION_CODE) {
+    return 2;
+  }
+  return 1;
+}
+
+/**
+ * Number of users following either team
+ * Favorite teams are free-form, so team key, code and name are all tried (lowercased).
+ * @param {object} match - Match from the featured matches API
+ * @param {Object<string, number>} favoriteTeamCounts - lowercased team → number of users
+ * @returns {number} Fans of the match
+ */
+function countFans(match, favoriteTeamCounts = {}) {
+  let fans = 0;
+
+  for (const team of Object.values(match.teams || {})) {
+    const names = new Set([team?.key, team?.code, team?.name].filter(Boolean).map(name => name.toLowerCase()));
+    names.forEach(name => {
+      fans += favoriteTeamCounts[name] || 0;
+    });
+  }
+
+  return fans;
+}
+
+/**
+ * Score one live match
+ * @param {object} match - Match from the featured matches API
+ * @param {object} inputs - { viewers, favoriteTeamCounts, priorityTournamentKeys, featuredIndex }
+ * @returns {{ score: number, viewers: number, fans: number, importance: number }} Score and its parts
+ */
+function scoreMatch(match, { viewers = 0, favoriteTeamCounts = {}, priorityTournamentKeys = [], featuredIndex = 0 } = {}) {
+  const fans = countFans(match, favoriteTeamCounts);
+  const importance = getTournamentImportance(match, priorityTournamentKeys);
+  const featuredBonus = Math.max(FEATURED_BONUS - featuredIndex, 0);
+
+  const score = viewers * VIEWER_WEIGHT + fans * FAN_WEIGHT + IMPORTANCE_POINTS[importance] + featuredBonus;
+
+  return { score: Math.round(score * 10) / 10, viewers, fans, importance };
+}
+
+/**
+ * Pick the matches to subscribe to
+ * @param {Array<object>} liveMatches - Live matches in featured order
+ * @param {object} options - { budget, subscribed: Set<matchKey>, viewerCounts, favoriteTeamCounts, priorityTournamentKeys }
+ * @returns {Array<{ match_key: string, score: number, viewers: number, fans: number, importance: number, selected: boolean }>}
+ *   Every live match, best first
+ */
+function rankLiveMatches(liveMatches, {
+  budget,
+  subscribed = new Set(),
+  viewerCounts = {},
+  favoriteTeamCounts = {},
+  priorityTournamentKeys = [],
+} = {}) {
+  const ranked = liveMatches.map((match, featuredIndex) => {
+    const parts = scoreMatch(match, {
+      viewers: viewerCounts[match.key] || 0,
+      favoriteTeamCounts,
+      priorityTournamentKeys,
+      featuredIndex,
+    });
+    const incumbent = subscribed.has(match.key);
+
+    return {
+      match_key: match.key,
+      ...parts,
+      incumbent,
+      effective_score: parts.score + (incumbent ? INCUMBENT_MARGIN : 0),
+    };
+  });
+
+  // Stable sort keeps featured order between equal scores
+  ranked.sort((a, b) => b.effective_score - a.effective_score);
+
+  return ranked.map((entry, index) => ({ ...entry, selected: index < budget }));
+}
+
+module.exports = {
+  getTournamentImportance,
+  countFans,
+  scoreMatch,
+  rankLiveMatches,
+};
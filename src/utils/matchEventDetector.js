@@ -0,0 +1,290 @@
+// utils/matchEventDetector.js
+/**
+ * Detects "key moments" by comparing two consecutive match payloads.
+ *
+ * The raw Roanuz payload is big, so we only keep a compact state per match
+ * (see extractMatchState) and diff that against the next one.
+ */
+
+const EVENT_TYPES = {
+  WICKET: 'wicket',
+  FOUR: 'four',
+  SIX: 'six',
+  BATTER_FIFTY: 'batter_fifty',
+  BATTER_HUNDRED: 'batter_hundred',
+  BOWLER_THREE_WICKETS: 'bowler_three_wickets',
+  BOWLER_FIVE_WICKETS: 'bowler_five_wickets',
+  HAT_TRICK_CHANCE: 'hat_trick_chance',
+  INNINGS_END: 'innings_end',
+  TARGET_SET: 'target_set',
+  RESULT: 'result',
+};
+
+// Events that should reach clients straight away
+const PRIORITY_EVENT_TYPES = [EVENT_TYPES.WICKET, EVENT_TYPES.RESULT];
+
+// Dismissals that don't count towards the bowler (no hat-trick, no bowler milestone)
+const NON_BOWLER_WICKET_TYPES = ['run_out', 'retired_hurt', 'retired_out', 'obstructing_the_field', 'timed_out', 'handled_the_ball'];
+
+/**
+ * Work out which team ('a' or 'b') a player belongs to
+ * @param {string} playerKey - Player key
+ * @param {object} matchData - Match data
+ * @returns {string|null} Team key
+ */
+function getPlayerTeamKey(playerKey, matchData) {
+  for (const teamKey of ['a', 'b']) {
+    if (matchData.squad?.[teamKey]?.player_keys?.includes(playerKey)) {
+      return teamKey;
+    }
+  }
+
+  // No squad in the payload - fall back to batting orders
+  for (const inningsKey in matchData.play?.innings || {}) {
+    if (matchData.play.innings[inningsKey].batting_order?.includes(playerKey)) {
+      return inningsKey.split('_')[0];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reduce a match payload to the numbers the detector compares
+ * @param {object} matchData - Match data from Roanuz
+ * @returns {object} Compact match state
+ */
+function extractMatchState(matchData) {
+  const play = matchData.play || {};
+  const state = {
+    status: matchData.status || null,
+    target: play.target?.runs || null,
+    result: matchData.status === 'completed' ? (play.result?.msg || null) : null,
+    innings: {},
+    batters: {},
+    bowlers: {},
+    bowler_wicket_balls: {},
+  };
+
+  for (const inningsKey in play.innings || {}) {
+    const innings = play.innings[inningsKey];
+    state.innings[inningsKey] = {
+      runs: innings.score?.runs || 0,
+      wickets: innings.wickets || 0,
+      overs: innings.overs || [0, 0],
+      is_completed: Boolean(innings.is_completed),
+    };
+  }
+
+  const players = matchData.players || {};
+  for (const playerKey in players) {
+    const teamKey = getPlayerTeamKey(playerKey, matchData);
+    if (!teamKey) continue;
+    const opposingTeamKey = teamKey === 'a' ? 'b' : 'a';
+
+    // score is keyed by the team's innings number ('1', '2' in Tests)
+    for (const inningsNumber in players[playerKey].score || {}) {
+      const batting = players[playerKey].score[inningsNumber]?.batting;
+      const bowling = players[playerKey].score[inningsNumber]?.bowling?.score;
+
+      // Every batter who came in, faced a ball or not - a non-striker can be run out first ball
+      if (batting) {
+        state.batters[`${teamKey}_${inningsNumber}:${playerKey}`] = {
+          runs: batting.score?.runs || 0,
+          fours: batting.score?.fours || 0,
+          sixes: batting.score?.sixes || 0,
+          dismissal: batting.dismissal || null,
+        };
+      }
+
+      if (bowling && bowling.balls > 0) {
+        state.bowlers[`${opposingTeamKey}_${inningsNumber}:${playerKey}`] = {
+          wickets: bowling.wickets || 0,
+        };
+      }
+    }
+  }
+
+  // Batters in the batting order without a score entry yet
+  for (const inningsKey in play.innings || {}) {
+    for (const playerKey of play.innings[inningsKey].batting_order || []) {
+      const batterId = `${inningsKey}:${playerKey}`;
+      if (!state.batters[batterId]) {
+        state.batters[batterId] = { runs: 0, fours: 0, sixes: 0, dismissal: null };
+      }
+    }
+  }
+
+  // related_balls holds the wicket deliveries - remember where each bowler's wickets fell for hat-trick checks
+  for (const ball of Object.values(play.related_balls || {})) {
+    if (!ball?.wicket || !ball.bowler?.player_key || NON_BOWLER_WICKET_TYPES.includes(ball.wicket.wicket_type)) continue;
+    const bowlerId = `${ball.innings}:${ball.bowler.player_key}`;
+    if (!state.bowler_wicket_balls[bowlerId]) {
+      state.bowler_wicket_balls[bowlerId] = [];
+    }
+    state.bowler_wicket_balls[bowlerId].push({ key: ball.key, overs: ball.overs });
+  }
+
+  for (const bowlerId in state.bowler_wicket_balls) {
+    state.bowler_wicket_balls[bowlerId].sort((x, y) => (x.overs[0] - y.overs[0]) || (x.overs[1] - y.overs[1]));
+  }
+
+  return state;
+}
+
+/**
+ * Whether two deliveries were consecutive balls from the same bowler
+ * Same over → next ball; new over → bowler's previous spell is two overs back (alternate ends)
+ */
+function isConsecutiveDelivery(previousOvers, currentOvers) {
+  const [prevOver, prevBall] = previousOvers;
+  const [over, ball] = currentOvers;
+
+  if (over === prevOver) {
+    return ball === prevBall + 1;
+  }
+  return over === prevOver + 2 && ball === 1 && prevBall >= 6;
+}
+
+function getPlayerName(playerKey, matchData) {
+  return matchData.players?.[playerKey]?.player?.name || playerKey;
+}
+
+/**
+ * Compare two match states and list what happened in between
+ * @param {object|null} previous - State from the last payload (null on the first one)
+ * @param {object} current - State from the new payload
+ * @param {object} matchData - New match payload (for names and extra details)
+ * @returns {Array<object>} Detected events, oldest first
+ */
+function detectMatchEvents(previous, current, matchData) {
+  // Nothing to compare against - don't flood clients with the whole match history
+  if (!previous) return [];
+
+  const events = [];
+  const push = (type, eventKey, details) => {
+    events.push({
+      type,
+      event_key: eventKey,
+      match_key: matchData.key,
+      ...details,
+    });
+  };
+
+  // Batting: wickets, boundaries, milestones
+  for (const batterId in current.batters) {
+    const now = current.batters[batterId];
+    const before = previous.batters[batterId] || { runs: 0, fours: 0, sixes: 0, dismissal: null };
+    const [inningsKey, playerKey] = batterId.split(':');
+    const playerName = getPlayerName(playerKey, matchData);
+    const overs = current.innings[inningsKey]?.overs || null;
+
+    for (let n = before.fours + 1; n <= now.fours; n++) {
+      push(EVENT_TYPES.FOUR, `${EVENT_TYPES.FOUR}:${batterId}:${n}`, {
+        innings: inningsKey, overs, player_key: playerKey, player_name: playerName,
+        message: `FOUR! ${playerName} (${now.runs})`,
+      });
+    }
+
+    for (let n = before.sixes + 1; n <= now.sixes; n++) {
+      push(EVENT_TYPES.SIX, `${EVENT_TYPES.SIX}:${batterId}:${n}`, {
+        innings: inningsKey, overs, player_key: playerKey, player_name: playerName,
+        message: `SIX! ${playerName} (${now.runs})`,
+      });
+    }
+
+    for (let milestone = 50; milestone <= now.runs; milestone += 50) {
+      if (before.runs >= milestone) continue;
+      const type = milestone === 50 ? EVENT_TYPES.BATTER_FIFTY : (milestone % 100 === 0 ? EVENT_TYPES.BATTER_HUNDRED : null);
+      if (!type) continue;
+      push(type, `${type}:${batterId}:${milestone}`, {
+        innings: inningsKey, overs, player_key: playerKey, player_name: playerName, milestone,
+        message: `${playerName} reaches ${milestone}`,
+      });
+    }
+
+    if (now.dismissal && !before.dismissal) {
+      push(EVENT_TYPES.WICKET, `${EVENT_TYPES.WICKET}:${batterId}`, {
+        innings: inningsKey,
+        overs: now.dismissal.overs || overs,
+        player_key: playerKey,
+        player_name: playerName,
+        wicket_type: now.dismissal.wicket_type || null,
+        wicket_number: now.dismissal.wicket_number || null,
+        team_runs: now.dismissal.team_runs ?? null,
+        ball_key: now.dismissal.ball_key || null,
+        message: `WICKET! ${playerName} ${now.dismissal.msg || 'out'} (${now.runs})`,
+      });
+    }
+  }
+
+  // Bowling: 3-fers, 5-fers, hat-trick chances
+  for (const bowlerId in current.bowlers) {
+    const now = current.bowlers[bowlerId];
+    const before = previous.bowlers[bowlerId] || { wickets: 0 };
+    const [inningsKey, playerKey] = bowlerId.split(':');
+    const playerName = getPlayerName(playerKey, matchData);
+
+    [[3, EVENT_TYPES.BOWLER_THREE_WICKETS], [5, EVENT_TYPES.BOWLER_FIVE_WICKETS]].forEach(([wickets, type]) => {
+      if (before.wickets < wickets && now.wickets >= wickets) {
+        push(type, `${type}:${bowlerId}`, {
+          innings: inningsKey, overs: current.innings[inningsKey]?.overs || null,
+          player_key: playerKey, player_name: playerName, wickets: now.wickets,
+          message: `${playerName} has ${now.wickets} wickets`,
+        });
+      }
+    });
+  }
+
+  for (const bowlerId in current.bowler_wicket_balls) {
+    const balls = current.bowler_wicket_balls[bowlerId];
+    const previousCount = previous.bowler_wicket_balls?.[bowlerId]?.length || 0;
+    if (balls.length < 2 || balls.length === previousCount) continue;
+
+    const last = balls[balls.length - 1];
+    const beforeLast = balls[balls.length - 2];
+    if (!isConsecutiveDelivery(beforeLast.overs, last.overs)) continue;
+
+    const [inningsKey, playerKey] = bowlerId.split(':');
+    const playerName = getPlayerName(playerKey, matchData);
+    push(EVENT_TYPES.HAT_TRICK_CHANCE, `${EVENT_TYPES.HAT_TRICK_CHANCE}:${bowlerId}:${last.key}`, {
+      innings: inningsKey, overs: last.overs, player_key: playerKey, player_name: playerName,
+      message: `${playerName} is on a hat-trick!`,
+    });
+  }
+
+  // Innings/match level
+  for (const inningsKey in current.innings) {
+    const now = current.innings[inningsKey];
+    if (now.is_completed && !previous.innings[inningsKey]?.is_completed) {
+      const battingTeam = matchData.teams?.[inningsKey.split('_')[0]]?.name || inningsKey;
+      push(EVENT_TYPES.INNINGS_END, `${EVENT_TYPES.INNINGS_END}:${inningsKey}`, {
+        innings: inningsKey, overs: now.overs, runs: now.runs, wickets: now.wickets,
+        message: `End of innings: ${battingTeam} ${now.runs}/${now.wickets}`,
+      });
+    }
+  }
+
+  if (current.target && current.target !== previous.target) {
+    push(EVENT_TYPES.TARGET_SET, `${EVENT_TYPES.TARGET_SET}:${current.target}`, {
+      target: current.target,
+      message: `Target set: ${current.target}`,
+    });
+  }
+
+  if (current.result && !previous.result) {
+    push(EVENT_TYPES.RESULT, EVENT_TYPES.RESULT, {
+      winner: matchData.play?.result?.winner || null,
+      message: current.result,
+    });
+  }
+
+  return events;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  PRIORITY_EVENT_TYPES,
+  extractMatchState,
+  detectMatchEvents,
+};
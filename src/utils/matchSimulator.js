@@ -0,0 +1,725 @@
+// utils/matchSimulator.js
+/**
+ * Synthetic match generator producing Roanuz-shaped match payloads ball by ball.
+ * Only fills in the fields our pipeline reads (teams, squad, players scores, play.innings,
+ * related_balls, target, result...) - numbers are random but internally consistent.
+ *
+ * Used by scripts/simulateMatches.js to drive the webhook endpoint without a live match.
+ */
+
+// Overs kept whole in related_balls
+const RECENT_OVERS = 3;
+
+const FORMATS = {
+  t20: { format: 't20', oversPerInnings: 20, inningsPerTeam: 1, maxBowlerOvers: 4 },
+  oneday: { format: 'oneday', oversPerInnings: 50, inningsPerTeam: 1, maxBowlerOvers: 10 },
+  test: { format: 'test', oversPerInnings: null, inningsPerTeam: 2, maxBowlerOvers: null, oversPerDay: 90, days: 5 },
+};
+
+// Chance of each outcome on a legal delivery
+const OUTCOME_WEIGHTS = {
+  t20: { 0: 35, 1: 33, 2: 8, 3: 1, 4: 12, 6: 5.5, W: 5.5 },
+  oneday: { 0: 45, 1: 33, 2: 7, 3: 1, 4: 9, 6: 2, W: 3.5 },
+  test: { 0: 62, 1: 20, 2: 5, 3: 1, 4: 8, 6: 0.5, W: 2.2 },
+};
+
+const EXTRA_CHANCE = { wide: 0.03, no_ball: 0.006, leg_bye: 0.015 };
+
+const WICKET_TYPES = [['caught', 55], ['bowled', 18], ['lbw', 15], ['run_out', 8], ['stumped', 4]];
+
+const FIRST_NAMES = ['Aarav', 'Ben', 'Chris', 'Dev', 'Ethan', 'Faisal', 'George', 'Harry', 'Imran', 'Jason', 'Kane', 'Liam', 'Mitchell', 'Nathan', 'Omar', 'Pat', 'Quinton', 'Rohan', 'Steve', 'Tom', 'Usman', 'Virat', 'Will', 'Yash', 'Zak'];
+const LAST_NAMES = ['Ahmed', 'Brook', 'Carey', 'Das', 'Evans', 'Fernando', 'Green', 'Hussain', 'Iyer', 'Jones', 'Khan', 'Latham', 'Markram', 'Nortje', 'Oram', 'Patel', 'Rashid', 'Smith', 'Taylor', 'Umar', 'Vance', 'Williams', 'Young', 'Zampa', 'Rao'];
+
+/**
+ * Small seeded PRNG (mulberry32) so a seed always produces the same match
+ * @param {number} seed - Seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+class MatchSimulator {
+  /**
+   * @param {object} options
+   * @param {string} options.key - Match key
+   * @param {string} [options.format='t20'] - 't20', 'oneday' (or 'odi') or 'test'
+   * @param {object} [options.teams] - { a: { key, code, name }, b: { key, code, name } }
+   * @param {number} [options.seed] - Random seed
+   */
+  constructor({ key, format = 't20', teams, seed = Date.now() } = {}) {
+    this.key = key;
+    this.config = FORMATS[format === 'odi' ? 'oneday' : format];
+    if (!this.config) {
+      throw new Error(`Unknown format "${format}" (use t20, odi or test)`);
+    }
+
+    this.random = createRandom(seed);
+    this.startAt = Math.floor(Date.now() / 1000);
+    this.teams = teams || {
+      a: { key: 'sim_a', code: 'SMA', name: 'Simulated XI A' },
+      b: { key: 'sim_b', code: 'SMB', name: 'Simulated XI B' },
+    };
+
+    this.squads = { a: this.createSquad('a'), b: this.createSquad('b') };
+    this.players = {};
+    Object.values(this.squads).forEach(squad => squad.forEach(({ key, name }) => {
+      this.players[key] = { player: { key, name, jersey_name: name.split(' ').pop() }, score: {} };
+    }));
+
+    const tossWinner = this.random() < 0.5 ? 'a' : 'b';
+    const elected = this.random() < 0.5 ? 'bat' : 'bowl';
+    this.toss = { called: tossWinner === 'a' ? 'b' : 'a', winner: tossWinner, elected };
+    this.firstBatting = elected === 'bat' ? tossWinner : (tossWinner === 'a' ? 'b' : 'a');
+
+    this.innings = {};
+    this.inningsOrder = [];
+    this.relatedBalls = {};
+    this.recentOvers = new Map(); // over key -> balls, like the recent overs Roanuz adds to related_balls
+    this.ballCounter = 0;
+    this.current = null;
+    this.target = null;
+    this.result = null;
+    this.status = 'started';
+
+    this.startInnings(this.firstBatting);
+  }
+
+  get isFinished() {
+    return this.status === 'completed';
+  }
+
+  createSquad(teamKey) {
+    const team = this.teams[teamKey];
+    const usedNames = new Set();
+
+    return Array.from({ length: 11 }, (_, index) => {
+      let name;
+      do {
+        name = `${this.pick(FIRST_NAMES)} ${this.pick(LAST_NAMES)}`;
+      } while (usedNames.has(name));
+      usedNames.add(name);
+
+      return { key: `${team.key}_p${index + 1}`, name };
+    });
+  }
+
+  pick(list) {
+    return list[Math.floor(this.random() * list.length)];
+  }
+
+  pickWeighted(weights) {
+    const entries = Array.isArray(weights) ? weights : Object.entries(weights);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = this.random() * total;
+    for (const [value, weight] of entries) {
+      roll -= weight;
+      if (roll < 0) return value;
+    }
+    return entries[entries.length - 1][0];
+  }
+
+  /**
+   * Team innings number so far ('1' for a team's first innings, '2' for its second in Tests)
+   */
+  teamInningsNumber(teamKey) {
+    return String(this.inningsOrder.filter(key => key.startsWith(`${teamKey}_`)).length + 1);
+  }
+
+  startInnings(battingTeam) {
+    const bowlingTeam = battingTeam === 'a' ? 'b' : 'a';
+    const inningsNumber = this.teamInningsNumber(battingTeam);
+    const inningsKey = `${battingTeam}_${inningsNumber}`;
+    const [striker, nonStriker] = this.squads[battingTeam];
+
+    this.inningsOrder.push(inningsKey);
+    this.innings[inningsKey] = {
+      index: inningsKey,
+      overs: [0, 0],
+      is_completed: false,
+      score_str: '0/0 in 0.0',
+      score: { runs: 0, balls: 0, fours: 0, sixes: 0, dot_balls: 0, run_rate: 0 },
+      wickets: 0,
+      extra_runs: { extra: 0, bye: 0, leg_bye: 0, wide: 0, no_ball: 0, penalty: 0 },
+      balls_breakup: { balls: 0, dot_balls: 0, wides: 0, no_balls: 0 },
+      batting_order: [striker.key, nonStriker.key],
+      bowling_order: [],
+      wicket_order: [],
+      partnerships: [],
+    };
+
+    this.current = {
+      inningsKey,
+      inningsNumber,
+      battingTeam,
+      bowlingTeam,
+      striker: striker.key,
+      nonStriker: nonStriker.key,
+      nextBatterIndex: 2,
+      bowler: null,
+      previousBowler: null,
+      ballsInOver: 0,
+      overRuns: 0,
+      // Tests: declare somewhere after 90 overs once there are runs on the board
+      declareAfterOvers: this.config.format === 'test' ? 90 + Math.floor(this.random() * 60) : null,
+    };
+
+    this.getBattingScore(striker.key);
+    this.getBattingScore(nonStriker.key);
+    this.startPartnership();
+  }
+
+  getBattingScore(playerKey) {
+    const score = this.getPlayerInningsScore(playerKey);
+    if (!score.batting) {
+      score.batting = {
+        score: { runs: 0, balls: 0, fours: 0, sixes: 0, dot_balls: 0, strike_rate: 0, ones: 0, twos: 0, threes: 0 },
+        dismissal: null,
+      };
+    }
+    return score.batting;
+  }
+
+  getBowlingScore(playerKey) {
+    const score = this.getPlayerInningsScore(playerKey);
+    if (!score.bowling) {
+      score.bowling = {
+        score: {
+          balls: 0, runs: 0, economy: 0, wickets: 0, extras: 0, maiden_overs: 0, overs: [0, 0],
+          balls_breakup: { dot_balls: 0, wides: 0, no_balls: 0, fours: 0, sixes: 0 },
+        },
+      };
+    }
+    return score.bowling;
+  }
+
+  // Batters and bowlers of the same innings share the team innings number (bowling side uses the batting side's number, like Roanuz)
+  getPlayerInningsScore(playerKey) {
+    const player = this.players[playerKey];
+    if (!player.score[this.current.inningsNumber]) {
+      player.score[this.current.inningsNumber] = {};
+    }
+    return player.score[this.current.inningsNumber];
+  }
+
+  startPartnership() {
+    const innings = this.innings[this.current.inningsKey];
+    innings.partnerships.push({
+      begin_overs: [...innings.overs],
+      end_overs: [...innings.overs],
+      player_a_key: this.current.striker,
+      player_a_score: { runs: 0, balls: 0, fours: 0, sixes: 0 },
+      player_b_key: this.current.nonStriker,
+      player_b_score: { runs: 0, balls: 0, fours: 0, sixes: 0 },
+      score: { runs: 0, balls: 0, fours: 0, sixes: 0, run_rate: 0 },
+      is_completed: false,
+    });
+  }
+
+  chooseBowler() {
+    const { bowlingTeam, previousBowler } = this.current;
+    // Last five in the XI do the bowling
+    const bowlers = this.squads[bowlingTeam].slice(6).map(player => player.key);
+    const available = bowlers.filter((key) => {
+      if (key === previousBowler) return false;
+      if (!this.config.maxBowlerOvers) return true;
+      const overs = this.getPlayerInningsScore(key).bowling?.score.overs || [0, 0];
+      return overs[0] < this.config.maxBowlerOvers;
+    });
+
+    return this.pick(available.length > 0 ? available : bowlers.filter(key => key !== previousBowler));
+  }
+
+  /**
+   * Play the next delivery
+   * @returns {object|null} Roanuz-style ball object, or null once the match is over
+   */
+  nextBall() {
+    if (this.isFinished) return null;
+
+    const current = this.current;
+    const innings = this.innings[current.inningsKey];
+
+    if (!current.bowler) {
+      current.bowler = this.chooseBowler();
+      current.ballsInOver = 0;
+      current.overRuns = 0;
+      if (!innings.bowling_order.includes(current.bowler)) {
+        innings.bowling_order.push(current.bowler);
+      }
+    }
+
+    const ball = this.playDelivery(innings);
+    this.updateDerivedScores(innings);
+
+    if (ball.wicket) {
+      this.relatedBalls[ball.key] = ball;
+    }
+    this.addRecentBall(ball);
+
+    this.checkInningsEnd(innings);
+    return ball;
+  }
+
+  playDelivery(innings) {
+    const current = this.current;
+    const batting = this.getBattingScore(current.striker);
+    const bowling = this.getBowlingScore(current.bowler).score;
+    const partnership = innings.partnerships[innings.partnerships.length - 1];
+    const strikerIsA = partnership.player_a_key === current.striker;
+    const strikerPartnershipScore = strikerIsA ? partnership.player_a_score : partnership.player_b_score;
+
+    this.ballCounter += 1;
+    const ball = {
+      key: String(this.ballCounter),
+      ball_type: 'normal',
+      batting_team: current.battingTeam,
+      innings: current.inningsKey,
+      overs: [innings.overs[0], current.ballsInOver + 1],
+      batsman: { player_key: current.striker, ball_count: 1, runs: 0, is_dot_ball: false, is_four: false, is_six: false },
+      bowler: { player_key: current.bowler, ball_count: 1, runs: 0, extras: 0, is_wicket: false },
+      team_score: { ball_count: 1, runs: 0, extras: 0, is_wicket: false },
+      fielders: [],
+      wicket: null,
+      non_striker_key: current.nonStriker,
+      entry_time: Date.now() / 1000,
+      ball_play_status: 'played',
+      repr: '',
+    };
+
+    const roll = this.random();
+    const addTeamRuns = (runs, extras = 0) => {
+      innings.score.runs += runs + extras;
+      partnership.score.runs += runs + extras;
+      ball.team_score.runs += runs + extras;
+      ball.team_score.extras += extras;
+      current.overRuns += runs + extras;
+    };
+
+    // Wides and no balls don't count as a ball in the over
+    if (roll < EXTRA_CHANCE.wide) {
+      ball.ball_type = 'wide';
+      ball.batsman.ball_count = ball.bowler.ball_count = ball.team_score.ball_count = 0;
+      ball.bowler.runs = ball.bowler.extras = 1;
+      innings.extra_runs.wide += 1;
+      innings.balls_breakup.wides += 1;
+      bowling.balls_breakup.wides += 1;
+      bowling.runs += 1;
+      bowling.extras += 1;
+      addTeamRuns(0, 1);
+      ball.repr = 'wd';
+      return ball;
+    }
+
+    if (roll < EXTRA_CHANCE.wide + EXTRA_CHANCE.no_ball) {
+      const runs = Number(this.pickWeighted({ 0: 60, 1: 30, 4: 7, 6: 3 }));
+      ball.ball_type = 'no_ball';
+      ball.bowler.ball_count = ball.team_score.ball_count = 0;
+      ball.batsman.runs = runs;
+      ball.bowler.runs = runs + 1;
+      ball.bowler.extras = 1;
+      innings.extra_runs.no_ball += 1;
+      innings.balls_breakup.no_balls += 1;
+      bowling.balls_breakup.no_balls += 1;
+      bowling.runs += runs + 1;
+      bowling.extras += 1;
+      batting.score.balls += 1;
+      batting.score.runs += runs;
+      strikerPartnershipScore.runs += runs;
+      strikerPartnershipScore.balls += 1;
+      this.countBoundary(ball, batting, bowling, innings, partnership, strikerPartnershipScore, runs);
+      addTeamRuns(runs, 1);
+      ball.repr = `nb${runs || ''}`;
+      if (runs % 2 === 1) this.swapStrike();
+      return ball;
+    }
+
+    // Legal delivery from here on
+    current.ballsInOver += 1;
+    innings.score.balls += 1;
+    innings.balls_breakup.balls += 1;
+    partnership.score.balls += 1;
+    bowling.balls += 1;
+    batting.score.balls += 1;
+    strikerPartnershipScore.balls += 1;
+
+    if (roll < EXTRA_CHANCE.wide + EXTRA_CHANCE.no_ball + EXTRA_CHANCE.leg_bye) {
+      const runs = Number(this.pickWeighted({ 1: 80, 2: 12, 4: 8 }));
+      ball.ball_type = 'leg_bye';
+      innings.extra_runs.leg_bye += runs;
+      addTeamRuns(0, runs);
+      ball.repr = `lb${runs}`;
+      if (runs % 2 === 1) this.swapStrike();
+      this.finishLegalBall(innings);
+      return ball;
+    }
+
+    const outcome = this.pickWeighted(OUTCOME_WEIGHTS[this.config.format]);
+
+    if (outcome === 'W') {
+      this.takeWicket(ball, innings, batting, bowling, partnership);
+      this.finishLegalBall(innings);
+      return ball;
+    }
+
+    const runs = Number(outcome);
+    ball.batsman.runs = runs;
+    ball.bowler.runs = runs;
+    batting.score.runs += runs;
+    bowling.runs += runs;
+    strikerPartnershipScore.runs += runs;
+    addTeamRuns(runs);
+
+    if (runs === 0) {
+      ball.batsman.is_dot_ball = true;
+      batting.score.dot_balls += 1;
+      bowling.balls_breakup.dot_balls += 1;
+      innings.score.dot_balls += 1;
+      innings.balls_breakup.dot_balls += 1;
+    } else if (runs <= 3) {
+      batting.score[['ones', 'twos', 'threes'][runs - 1]] += 1;
+    }
+
+    this.countBoundary(ball, batting, bowling, innings, partnership, strikerPartnershipScore, runs);
+    ball.repr = String(runs);
+    if (runs % 2 === 1) this.swapStrike();
+    this.finishLegalBall(innings);
+    return ball;
+  }
+
+  countBoundary(ball, batting, bowling, innings, partnership, strikerPartnershipScore, runs) {
+    if (runs !== 4 && runs !== 6) return;
+
+    const field = runs === 4 ? 'fours' : 'sixes';
+    ball.batsman[runs === 4 ? 'is_four' : 'is_six'] = true;
+    batting.score[field] += 1;
+    bowling.balls_breakup[field] += 1;
+    innings.score[field] += 1;
+    partnership.score[field] += 1;
+    strikerPartnershipScore[field] += 1;
+  }
+
+  takeWicket(ball, innings, batting, bowling, partnership) {
+    const current = this.current;
+    const wicketType = this.pickWeighted(WICKET_TYPES);
+    const fielders = this.squads[current.bowlingTeam].filter(player => player.key !== current.bowler);
+    const fielder = this.pick(fielders);
+    const keeper = this.squads[current.bowlingTeam][5];
+    const bowlerName = this.players[current.bowler].player.name;
+
+    const messages = {
+      caught: `c ${fielder.name} b ${bowlerName}`,
+      bowled: `b ${bowlerName}`,
+      lbw: `lbw b ${bowlerName}`,
+      run_out: `run out (${fielder.name})`,
+      stumped: `st ${keeper.name} b ${bowlerName}`,
+    };
+
+    ball.repr = 'w';
+    ball.batsman.is_dot_ball = true;
+    ball.bowler.is_wicket = wicketType !== 'run_out';
+    ball.team_score.is_wicket = true;
+    ball.wicket = { player_key: current.striker, wicket_type: wicketType };
+    if (wicketType === 'caught' || wicketType === 'run_out') {
+      ball.fielders = [{ player_key: fielder.key, is_run_out: wicketType === 'run_out', is_stumps: false, is_catch: wicketType === 'caught', is_assists: false }];
+    } else if (wicketType === 'stumped') {
+      ball.fielders = [{ player_key: keeper.key, is_run_out: false, is_stumps: true, is_catch: false, is_assists: false }];
+    }
+    ball.comment = `${bowlerName} to ${this.players[current.striker].player.name}: <b>Wicket!</b> ${messages[wicketType]}.`;
+
+    batting.score.dot_balls += 1;
+    bowling.balls_breakup.dot_balls += 1;
+    innings.score.dot_balls += 1;
+    innings.balls_breakup.dot_balls += 1;
+    if (ball.bowler.is_wicket) {
+      bowling.wickets += 1;
+    }
+
+    innings.wickets += 1;
+    innings.wicket_order.push(current.striker);
+
+    const overs = [innings.overs[0], current.ballsInOver];
+    batting.dismissal = {
+      overs: current.ballsInOver === 6 ? [overs[0] + 1, 0] : overs,
+      team_runs: innings.score.runs,
+      wicket_number: innings.wickets,
+      msg: messages[wicketType],
+      ball_key: ball.key,
+      wicket_type: wicketType,
+    };
+
+    partnership.is_completed = true;
+    partnership.end_overs = batting.dismissal.overs;
+
+    const nextBatter = this.squads[current.battingTeam][current.nextBatterIndex];
+    if (innings.wickets < 10 && nextBatter) {
+      current.nextBatterIndex += 1;
+      current.striker = nextBatter.key;
+      innings.batting_order.push(nextBatter.key);
+      this.getBattingScore(nextBatter.key);
+      this.startPartnership();
+    }
+  }
+
+  addRecentBall(ball) {
+    const overKey = `${ball.innings}_${ball.overs[0]}`;
+    if (!this.recentOvers.has(overKey)) {
+      this.recentOvers.set(overKey, []);
+      if (this.recentOvers.size > RECENT_OVERS) {
+        this.recentOvers.delete(this.recentOvers.keys().next().value);
+      }
+    }
+    this.recentOvers.get(overKey).push(ball);
+  }
+
+  swapStrike() {
+    [this.current.striker, this.current.nonStriker] = [this.current.nonStriker, this.current.striker];
+  }
+
+  finishLegalBall(innings) {
+    const current = this.current;
+    const bowling = this.getBowlingScore(current.bowler).score;
+
+    if (current.ballsInOver < 6) {
+      innings.overs = [innings.overs[0], current.ballsInOver];
+      bowling.overs = [bowling.overs[0], current.ballsInOver];
+      return;
+    }
+
+    innings.overs = [innings.overs[0] + 1, 0];
+    bowling.overs = [bowling.overs[0] + 1, 0];
+    if (current.overRuns === 0) {
+      bowling.maiden_overs += 1;
+    }
+
+    current.previousBowler = current.bowler;
+    current.bowler = null;
+    this.swapStrike();
+  }
+
+  updateDerivedScores(innings) {
+    const { current } = this;
+    const oversAsNumber = innings.score.balls / 6;
+    const extras = innings.extra_runs;
+
+    extras.extra = extras.bye + extras.leg_bye + extras.wide + extras.no_ball + extras.penalty;
+    innings.score.run_rate = oversAsNumber > 0 ? round(innings.score.runs / oversAsNumber) : 0;
+    innings.score_str = `${innings.score.runs}/${innings.wickets} in ${innings.overs[0]}.${innings.overs[1]}`;
+
+    [current.striker, current.nonStriker].forEach((playerKey) => {
+      const { score } = this.getBattingScore(playerKey);
+      score.strike_rate = score.balls > 0 ? round((score.runs / score.balls) * 100) : 0;
+    });
+
+    const bowler = current.bowler || current.previousBowler;
+    if (bowler) {
+      const { score } = this.getBowlingScore(bowler);
+      score.economy = score.balls > 0 ? round(score.runs / (score.balls / 6)) : 0;
+    }
+
+    const partnership = innings.partnerships[innings.partnerships.length - 1];
+    if (!partnership.is_completed) {
+      partnership.end_overs = [...innings.overs];
+    }
+    partnership.score.run_rate = partnership.score.balls > 0 ? round(partnership.score.runs / (partnership.score.balls / 6)) : 0;
+  }
+
+  checkInningsEnd(innings) {
+    const { config, current } = this;
+    const inningsIndex = this.inningsOrder.length;
+    const isLastInnings = inningsIndex === config.inningsPerTeam * 2;
+    const allOut = innings.wickets >= 10;
+    const oversDone = config.oversPerInnings && innings.overs[0] >= config.oversPerInnings;
+    const targetReached = this.target && innings.score.runs >= this.target.runs && isLastInnings;
+    const declared = config.format === 'test' && !isLastInnings && current.bowler === null
+      && innings.overs[0] >= current.declareAfterOvers && innings.score.runs >= 350;
+    const outOfTime = config.format === 'test' && this.totalOvers() >= config.oversPerDay * config.days;
+
+    if (!allOut && !oversDone && !targetReached && !declared && !outOfTime) {
+      return;
+    }
+
+    innings.is_completed = true;
+    const partnership = innings.partnerships[innings.partnerships.length - 1];
+    partnership.is_completed = true;
+
+    if (outOfTime && !targetReached && !(isLastInnings && allOut)) {
+      this.finish({ msg: 'Match drawn', winner: null, result_type: 'draw', win_by: null });
+      return;
+    }
+
+    if (config.format !== 'test') {
+      if (inningsIndex === 1) {
+        this.target = { balls: config.oversPerInnings * 6, runs: innings.score.runs + 1, dl_applied: false };
+        this.startInnings(current.bowlingTeam);
+      } else {
+        this.finishChase(innings);
+      }
+      return;
+    }
+
+    this.continueTest(innings, inningsIndex);
+  }
+
+  continueTest(innings, inningsIndex) {
+    const { current } = this;
+    const totals = this.teamTotals();
+
+    if (inningsIndex <= 2) {
+      // No follow-ons - teams simply alternate
+      this.startInnings(current.bowlingTeam);
+      return;
+    }
+
+    if (inningsIndex === 3) {
+      const battingTeam = current.battingTeam;
+      const otherTeam = current.bowlingTeam;
+      if (totals[battingTeam] < totals[otherTeam]) {
+        this.finish({
+          msg: `${this.teams[otherTeam].name} won by an innings and ${totals[otherTeam] - totals[battingTeam]} runs`,
+          winner: otherTeam,
+          result_type: 'innings',
+          win_by: totals[otherTeam] - totals[battingTeam],
+        });
+        return;
+      }
+
+      this.target = { balls: null, runs: totals[battingTeam] - totals[otherTeam] + 1, dl_applied: false };
+      this.startInnings(otherTeam);
+      return;
+    }
+
+    this.finishChase(innings);
+  }
+
+  finishChase(innings) {
+    const { current } = this;
+    const chasing = current.battingTeam;
+    const defending = current.bowlingTeam;
+    const needed = this.target.runs;
+
+    if (innings.score.runs >= needed) {
+      const wicketsLeft = 10 - innings.wickets;
+      this.finish({
+        msg: `${this.teams[chasing].name} won by ${wicketsLeft} wicket${wicketsLeft === 1 ? '' : 's'}`,
+        winner: chasing,
+        result_type: 'wickets',
+        win_by: wicketsLeft,
+      });
+    } else if (innings.score.runs === needed - 1) {
+      this.finish({ msg: 'Match tied', winner: null, result_type: 'tie', win_by: null });
+    } else {
+      const margin = needed - 1 - innings.score.runs;
+      this.finish({
+        msg: `${this.teams[defending].name} won by ${margin} run${margin === 1 ? '' : 's'}`,
+        winner: defending,
+        result_type: 'runs',
+        win_by: margin,
+      });
+    }
+  }
+
+  finish(result) {
+    this.result = { pom: [], ...result };
+    this.status = 'completed';
+  }
+
+  teamTotals() {
+    const totals = { a: 0, b: 0 };
+    this.inningsOrder.forEach((key) => {
+      totals[key.split('_')[0]] += this.innings[key].score.runs;
+    });
+    return totals;
+  }
+
+  totalOvers() {
+    return this.inningsOrder.reduce((sum, key) => sum + this.innings[key].overs[0], 0);
+  }
+
+  /**
+   * Full match payload in the shape Roanuz sends to the webhook
+   * @returns {object} Match data
+   */
+  // Wicket balls plus every ball of the last few overs
+  getRelatedBalls() {
+    const related = { ...this.relatedBalls };
+    for (const balls of this.recentOvers.values()) {
+      balls.forEach((ball) => { related[ball.key] = ball; });
+    }
+    return related;
+  }
+
+  toPayload() {
+    const { teams, current } = this;
+    const innings = this.innings[current.inningsKey];
+    const title = `${teams.a.name} vs ${teams.b.name}`;
+    const squad = (teamKey) => {
+      const playerKeys = this.squads[teamKey].map(player => player.key);
+      return { player_keys: playerKeys, playing_xi: playerKeys, captain: playerKeys[0], keeper: playerKeys[5], replacements: [] };
+    };
+
+    const payload = {
+      key: this.key,
+      name: title,
+      short_name: `${teams.a.code} vs ${teams.b.code}`,
+      sub_title: 'Simulated Match',
+      status: this.status,
+      play_status: this.isFinished ? 'result' : 'in_play',
+      start_at: this.startAt,
+      expected_start_at: null,
+      format: this.config.format,
+      gender: 'male',
+      sport: 'cricket',
+      metric_group: 'MG100',
+      winner: this.result?.winner || null,
+      title: `${title} - Simulated Match`,
+      teams,
+      tournament: { key: 'simulated-tournament', name: 'Simulated Series', short_name: 'SIM' },
+      association: { key: 'simulated-association', code: 'SIM', name: 'Simulated Cricket Board' },
+      venue: { key: 'simulated-venue', name: 'Simulation Oval', city: 'Localhost' },
+      toss: { ...this.toss, squad_announced: true },
+      squad: { a: squad('a'), b: squad('b') },
+      players: this.players,
+      play: {
+        first_batting: this.firstBatting,
+        day_number: this.config.format === 'test' ? Math.floor(this.totalOvers() / this.config.oversPerDay) + 1 : 1,
+        overs_per_innings: this.config.oversPerInnings ? [this.config.oversPerInnings, 0] : null,
+        reduced_overs: null,
+        target: this.target,
+        result: this.result,
+        innings_order: [...this.inningsOrder],
+        innings: this.innings,
+        live: this.isFinished ? null : {
+          innings: current.inningsKey,
+          batting_team: current.battingTeam,
+          bowling_team: current.bowlingTeam,
+          striker_key: current.striker,
+          non_striker_key: current.nonStriker,
+          bowler_key: current.bowler || current.previousBowler,
+          score: {
+            runs: innings.score.runs,
+            balls: innings.score.balls,
+            wickets: innings.wickets,
+            run_rate: innings.score.run_rate,
+            title: `${innings.score.runs}/${innings.wickets} in ${innings.overs[0]}.${innings.overs[1]}`,
+          },
+        },
+        related_balls: this.getRelatedBalls(),
+      },
+    };
+
+    // Deep copy so callers can serialise/queue it while the simulation moves on
+    return JSON.parse(JSON.stringify(payload));
+  }
+}
+
+module.exports = { MatchSimulator, FORMATS };
@@ -0,0 +1,183 @@
+// utils/matchSituation.js
+/**
+ * Match situation - the numbers clients used to derive themselves from `play`
+ *
+ * - First innings: projected totals at the current run rate and at 6, 8 and 10 RPO
+ * - Chase: "need X off Y balls", required vs current run rate and where the chase stands against the DLS par score
+ *
+ * Innings length follows reduced overs (`play.reduced_overs` / `play.overs_per_innings`) and a chase
+ * uses `play.target` as set by Roanuz, so DL-revised targets and ball counts come through as they are.
+ * Overs a chase loses once it's under way are recorded by matchFeedService as `dls_chase` (see getChaseProgress)
+ * and netted off the par score.
+ * Tests only get the chase equation (runs needed) for the last innings.
+ */
+
+const { getLiveParScore } = require('./dls');
+
+const LIMITED_OVERS_BALLS = { t20: 120, oneday: 300 };
+const PROJECTION_RATES = [6, 8, 10];
+
+const oversToBalls = (overs) => (Array.isArray(overs) ? (overs[0] || 0) * 6 + (overs[1] || 0) : null);
+const ballsToOvers = (balls) => `${Math.floor(balls / 6)}.${balls % 6}`;
+const round2 = (value) => Math.round(value * 100) / 100;
+const runRate = (runs, balls) => (balls > 0 ? round2((runs / balls) * 6) : 0);
+
+/**
+ * Balls available in an innings of a limited-overs match
+ * `reduced_overs` is either [overs, balls] for the whole match or keyed by innings ('a_1': [overs, balls]).
+ * @param {object} matchData - Match data
+ * @param {string} [inningsKey] - Innings key
+ * @returns {number|null} Balls, or null for Tests
+ */
+function getInningsBalls(matchData, inningsKey) {
+  const play = matchData.play || {};
+  const reduced = Array.isArray(play.reduced_overs) ? play.reduced_overs : play.reduced_overs?.[inningsKey];
+
+  return oversToBalls(reduced)
+    || oversToBalls(play.overs_per_innings)
+    || LIMITED_OVERS_BALLS[matchData.format]
+    || null;
+}
+
+function isReducedOvers(matchData, totalBalls) {
+  return Boolean(LIMITED_OVERS_BALLS[matchData.format]) && totalBalls < LIMITED_OVERS_BALLS[matchData.format];
+}
+
+/**
+ * Situation of the innings in progress
+ * @param {object} matchData - Match data (feed payload or Match document)
+ * @returns {object|null} First-innings projections or chase equation, null when there is nothing to work out
+ *   (not started, finished, Tests before the last innings)
+ */
+function getMatchSituation(matchData) {
+  const play = matchData?.play;
+  if (matchData?.status !== 'started' || !play?.innings_order?.length) return null;
+
+  const inningsOrder = play.innings_order;
+  const isLimitedOvers = Boolean(LIMITED_OVERS_BALLS[matchData.format]);
+  let inningsKey = inningsOrder[inningsOrder.length - 1];
+  let innings = play.innings?.[inningsKey] || {};
+
+  // First innings done, chase not started yet - show the chase from 0/0
+  if (isLimitedOvers && inningsOrder.length === 1 && innings.is_completed) {
+    const chasingTeam = inningsKey.startsWith('a_') ? 'b' : 'a';
+    inningsKey = `${chasingTeam}_1`;
+    innings = {};
+  }
+
+  const inningsIndex = isLimitedOvers ? (inningsKey === inningsOrder[0] ? 0 : 1) : inningsOrder.indexOf(inningsKey);
+  const runs = innings.score?.runs || 0;
+  const wickets = innings.wickets || 0;
+  const balls = oversToBalls(innings.overs) || 0;
+
+  const base = {
+    innings: inningsKey,
+    batting_team: inningsKey.split('_')[0],
+    runs,
+    wickets,
+    overs: ballsToOvers(balls),
+    current_run_rate: runRate(runs, balls),
+  };
+
+  if (!isLimitedOvers) {
+    return inningsIndex === 3 && play.target?.runs ? getTestChase(base, play.target) : null;
+  }
+
+  const totalBalls = inningsIndex === 1 && play.target?.balls ? play.target.balls : getInningsBalls(matchData, inningsKey);
+  const ballsLeft = Math.max(totalBalls - balls, 0);
+  const limitedBase = {
+    ...base,
+    total_overs: ballsToOvers(totalBalls),
+    balls_left: ballsLeft,
+    reduced_overs: isReducedOvers(matchData, totalBalls),
+  };
+
+  if (inningsIndex === 0) {
+    return {
+      stage: 'first_innings',
+      ...limitedBase,
+      projected_scores: [
+        { label: 'current', run_rate: base.current_run_rate, score: Math.round(runs + base.current_run_rate * ballsLeft / 6) },
+        ...PROJECTION_RATES.map(rate => ({ label: `${rate} rpo`, run_rate: rate, score: Math.round(runs + rate * ballsLeft / 6) })),
+      ],
+    };
+  }
+
+  const firstInnings = play.innings?.[inningsOrder[0]];
+  const target = play.target?.runs || (firstInnings?.score?.runs || 0) + 1;
+  return getLimitedOversChase(limitedBase, {
+    target,
+    totalBalls,
+    dlApplied: Boolean(play.target?.dl_applied),
+    dlsChase: matchData.dls_chase,
+  });
+}
+
+/**
+ * Progress of a limited-overs chase that is under way
+ * @param {object} matchData - Match data
+ * @returns {{ innings: string, balls: number, wickets: number, total_balls: number }|null} Balls bowled, wickets
+ *   down and the chase length Roanuz currently sets, null outside a limited-overs chase
+ */
+function getChaseProgress(matchData) {
+  const play = matchData?.play;
+  const inningsOrder = play?.innings_order || [];
+  if (!LIMITED_OVERS_BALLS[matchData?.format] || inningsOrder.length !== 2) return null;
+
+  const inningsKey = inningsOrder[1];
+  const innings = play.innings?.[inningsKey] || {};
+
+  return {
+    innings: inningsKey,
+    balls: oversToBalls(innings.overs) || 0,
+    wickets: innings.wickets || 0,
+    total_balls: play.target?.balls || getInningsBalls(matchData, inningsKey),
+  };
+}
+
+function getLimitedOversChase(base, { target, totalBalls, dlApplied, dlsChase }) {
+  const runsNeeded = Math.max(target - base.runs, 0);
+  // Where the chase should be if play stopped now (see utils/dls)
+  const par = getLiveParScore({
+    target,
+    totalBalls: dlsChase?.max_balls || totalBalls,
+    interruptions: dlsChase?.interruptions || [],
+    balls: totalBalls - base.balls_left,
+    wickets: base.wickets,
+  });
+
+  return {
+    stage: 'chase',
+    ...base,
+    target,
+    dl_applied: dlApplied,
+    runs_needed: runsNeeded,
+    required_run_rate: runsNeeded > 0 && base.balls_left > 0 ? round2((runsNeeded / base.balls_left) * 6) : 0,
+    equation: runsNeeded === 0
+      ? 'Target reached'
+      : `Need ${runsNeeded} run${runsNeeded === 1 ? '' : 's'} off ${base.balls_left} ball${base.balls_left === 1 ? '' : 's'}`,
+    par_score: par.par_score,
+    par_method: 'dls',
+    runs_vs_par: base.runs - par.par_score,
+    resources_remaining: par.resources_remaining,
+  };
+}
+
+function getTestChase(base, target) {
+  const runsNeeded = Math.max(target.runs - base.runs, 0);
+  return {
+    stage: 'chase',
+    ...base,
+    target: target.runs,
+    runs_needed: runsNeeded,
+    wickets_left: 10 - base.wickets,
+    equation: runsNeeded === 0 ? 'Target reached' : `Need ${runsNeeded} run${runsNeeded === 1 ? '' : 's'} to win`,
+  };
+}
+
+module.exports = {
+  LIMITED_OVERS_BALLS,
+  getInningsBalls,
+  getChaseProgress,
+  getMatchSituation,
+};
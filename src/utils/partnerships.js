@@ -0,0 +1,82 @@
+// utils/partnerships.js
+/**
+ * Partnerships and fall of wickets for an innings, from Roanuz `innings.partnerships` / `innings.wicket_order`
+ *
+ * Partnership n ends with wicket n (wicket_order[n - 1]); the last one is unbroken unless the innings ended
+ * with a wicket. The fall-of-wicket score and over come from the dismissed batter's `dismissal`, falling back
+ * to the running partnership total and the partnership's end_overs.
+ */
+
+const formatOvers = (overs) => (Array.isArray(overs) ? `${overs[0]}.${overs[1]}` : null);
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function getPlayerName(matchData, inning, playerKey) {
+  return inning.batting_players?.[playerKey]?.name
+    || matchData.players?.[playerKey]?.player?.name
+    || playerKey;
+}
+
+/**
+ * Partnerships and fall of wickets for one innings
+ * @param {object} matchData - Match data (play, players)
+ * @param {string} inningsKey - e.g. 'a_1'
+ * @returns {{ partnerships: Array<object>, fall_of_wickets: Array<object> }} Both in wicket order
+ */
+function buildPartnerships(matchData, inningsKey) {
+  const inning = matchData.play?.innings?.[inningsKey];
+  if (!inning) return { partnerships: [], fall_of_wickets: [] };
+
+  // Batters' scores are stored per team innings ('1', '2'), not per match innings
+  const teamInnings = inningsKey.split('_')[1];
+  const wicketOrder = inning.wicket_order || [];
+  const partnershipList = inning.partnerships || [];
+  const batter = (key, score = {}) => ({
+    key,
+    name: getPlayerName(matchData, inning, key),
+    runs: score.runs || 0,
+    balls: score.balls || 0,
+  });
+
+  const partnerships = partnershipList.map((partnership, index) => {
+    const runs = partnership.score?.runs || 0;
+    const balls = partnership.score?.balls || 0;
+
+    return {
+      wicket: index + 1,
+      runs,
+      balls,
+      run_rate: partnership.score?.run_rate ?? (balls > 0 ? round2((runs / balls) * 6) : 0),
+      batters: [
+        batter(partnership.player_a_key, partnership.player_a_score),
+        batter(partnership.player_b_key, partnership.player_b_score),
+      ],
+      // Runs not off either bat (extras)
+      extras: Math.max(runs - (partnership.player_a_score?.runs || 0) - (partnership.player_b_score?.runs || 0), 0),
+      begin_overs: formatOvers(partnership.begin_overs),
+      end_overs: formatOvers(partnership.end_overs),
+      is_unbroken: index >= wicketOrder.length,
+    };
+  });
+
+  let runningTotal = 0;
+  const fallOfWickets = wicketOrder.map((playerKey, index) => {
+    runningTotal += partnershipList[index]?.score?.runs || 0;
+    const dismissal = matchData.players?.[playerKey]?.score?.[teamInnings]?.batting?.dismissal || {};
+    const runs = dismissal.team_runs ?? runningTotal;
+    const wickets = dismissal.wicket_number || index + 1;
+
+    return {
+      wicket: wickets,
+      score: runs,
+      score_str: `${runs}/${wickets}`,
+      overs: formatOvers(dismissal.overs || partnershipList[index]?.end_overs),
+      player_key: playerKey,
+      name: getPlayerName(matchData, inning, playerKey),
+      dismissal: dismissal.msg || inning.batting_players?.[playerKey]?.how_out || null,
+    };
+  });
+
+  return { partnerships, fall_of_wickets: fallOfWickets };
+}
+
+module.exports = { buildPartnerships };
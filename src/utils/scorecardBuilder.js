@@ -1,8 +1,11 @@
 // utils/scorecardBuilder.js
 /**
- * NOTE: This is copied from your LiveMatchesPoller.buildDetailedScorecard with tiny tweaks
- * so both Poller and Webhook handler produce IDENTICAL client payloads.
+ * Detailed scorecard (`scorecard-detailed`) - the one builder behind the endpoint, the pollers and the
+ * webhook feed, so every writer of the cache produces IDENTICAL client payloads.
  */
+const { getMatchSituation } = require('./matchSituation');
+const { buildPartnerships } = require('./partnerships');
+
 function buildDetailedScorecard(matchData) {
     try {
         // Get innings data
@@ -127,9 +130,11 @@ function buildDetailedScorecard(matchData) {
           const total = inning.score?.runs || 0;
           const overs = inning.overs ? `${inning.overs[0]}.${inning.overs[1]}` : '0.0';
           const runRate = inning.score?.run_rate?.toFixed(2) || '0.00';
+          const { partnerships, fall_of_wickets } = buildPartnerships(matchData, inningsKey);
           
           // Format the innings data
           processedInnings.push({
+            innings_key: inningsKey,
             team: matchData.teams[teamKey].name,
             batting: battingData,
             bowling: bowlingData,
@@ -140,7 +145,9 @@ function buildDetailedScorecard(matchData) {
             bye: extras.bye,
             leg_bye: extras.leg_bye,
             wide: extras.wide,
-            no_ball: extras.no_ball
+            no_ball: extras.no_ball,
+            partnerships,
+            fall_of_wickets
           });
         }
         
@@ -151,7 +158,9 @@ function buildDetailedScorecard(matchData) {
           match_key: matchData.key,
           match_status: matchData.status,
           innings: processedInnings,
-          close_of_play: closeOfPlay
+          close_of_play: closeOfPlay,
+          // Projected totals / chase equation for the innings in progress (null when not live)
+          situation: getMatchSituation(matchData)
         };
         
       } catch (error) {
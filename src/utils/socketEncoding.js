@@ -0,0 +1,59 @@
+// utils/socketEncoding.js
+const { encode } = require('@msgpack/msgpack');
+
+/**
+ * Socket payload encodings
+ *
+ * Clients pick one at connect time (`auth: { encoding: 'msgpack' }` or `?encoding=msgpack`), JSON being the default:
+ * - json: payloads are sent as plain objects (socket.io serialises them as JSON)
+ * - msgpack: every payload is a single binary MessagePack buffer - decode it and you get the same object the JSON clients get
+ *
+ * socketScorecardService puts sockets in per-encoding rooms (`<room>@<encoding>`), so a room emit encodes
+ * each payload once per encoding in use instead of once per socket.
+ */
+
+const ENCODINGS = ['json', 'msgpack'];
+const DEFAULT_ENCODING = 'json';
+
+/**
+ * Encode a payload for the wire
+ * @param {string} encoding - 'json' or 'msgpack'
+ * @param {object} payload - Event payload
+ * @returns {object|Uint8Array} The payload as is (json) or a MessagePack buffer
+ */
+function encodePayload(encoding, payload) {
+  if (encoding === 'msgpack') {
+    // Undefined fields are dropped, like JSON.stringify does
+    return encode(payload, { ignoreUndefined: true });
+  }
+  return payload;
+}
+
+/**
+ * Socket.IO middleware: read the requested encoding into socket.data.encoding
+ * Unknown encodings are refused with `connect_error` (err.data.code = 'UNSUPPORTED_ENCODING').
+ * @param {Socket} socket - Socket instance
+ * @param {Function} next - Next middleware
+ */
+function negotiateEncoding(socket, next) {
+  const auth = socket.handshake.auth || {};
+  const query = socket.handshake.query || {};
+  const requested = String(auth.encoding || query.encoding || DEFAULT_ENCODING).toLowerCase();
+
+  if (!ENCODINGS.includes(requested)) {
+    const message = `Unsupported encoding "${requested}" (supported: ${ENCODINGS.join(', ')})`;
+    const error = new Error(message);
+    error.data = { code: 'UNSUPPORTED_ENCODING', message };
+    return next(error);
+  }
+
+  socket.data.encoding = requested;
+  next();
+}
+
+module.exports = {
+  ENCODINGS,
+  DEFAULT_ENCODING,
+  encodePayload,
+  negotiateEncoding
+};
@@ -0,0 +1,47 @@
+// utils/webhookPayload.js
+/**
+ * Decoding of raw Roanuz webhook bodies (gzip/deflate compressed JSON).
+ * Errors carry a `stage` ('unzip' or 'parse') so failures can be dead-lettered by stage.
+ */
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const unzip = promisify(zlib.unzip);
+
+/**
+ * Unzip and parse a raw webhook body
+ * @param {Buffer} body - Raw request body
+ * @returns {Promise<object>} Parsed payload
+ */
+async function decodeWebhookBody(body) {
+  let buffer;
+  try {
+    buffer = await unzip(body);
+  } catch (error) {
+    error.stage = 'unzip';
+    throw error;
+  }
+
+  try {
+    return JSON.parse(buffer.toString());
+  } catch (error) {
+    error.stage = 'parse';
+    throw error;
+  }
+}
+
+/**
+ * Roanuz payload shape can be either:
+ *  - { data: { key: '...', ... } }
+ *  - { key: '...', ... }
+ * @param {object} payload - Parsed webhook payload
+ * @returns {object} Match data
+ */
+function extractMatchData(payload) {
+  return payload?.data?.key ? payload.data : payload;
+}
+
+module.exports = {
+  decodeWebhookBody,
+  extractMatchData,
+};
@@ -0,0 +1,88 @@
+jest.mock('../../src/models/Match', () => ({}));
+jest.mock('../../src/models/User', () => ({}));
+jest.mock('../../src/models/BestPerformers', () => ({}));
+jest.mock('../../src/services/roanuzService', () => ({}));
+jest.mock('../../src/services/cacheService', () => ({}));
+jest.mock('../../src/services/flagService', () => ({}));
+jest.mock('../../src/services/matchEventService', () => ({}));
+jest.mock('../../src/services/ballByBallService', () => ({}));
+jest.mock('../../src/services/matchChartsService', () => ({}));
+jest.mock('../../src/services/matchupsService', () => ({}));
+jest.mock('../../src/services/sseService', () => ({
+  addClient: jest.fn(() => ({ seq: 0 })),
+  sendSnapshot: jest.fn(),
+  send: jest.fn(),
+}));
+jest.mock('../../src/services/socketScorecardService', () => ({
+  isValidMatchKey: jest.fn(key => /^[A-Za-z0-9_-]{1,128}$/.test(key)),
+  matchExists: jest.fn(async key => key === 'm1'),
+  getScorecardSnapshot: jest.fn(async () => null),
+}));
+
+const { EventEmitter } = require('events');
+const sseService = require('../../src/services/sseService');
+const { SOCKET_MAX_CONNECTIONS_PER_CLIENT } = require('../../src/config/constants');
+const matchController = require('../../src/controllers/matchController');
+
+const createRequest = (matchKey, address = '10.0.0.1') => Object.assign(new EventEmitter(), {
+  params: { matchKey },
+  headers: {},
+  query: {},
+  socket: { remoteAddress: address },
+});
+
+const createResponse = () => {
+  const res = { headersSent: false, write: jest.fn(), end: jest.fn() };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const open = async (matchKey, address) => {
+  const req = createRequest(matchKey, address);
+  const res = createResponse();
+  await matchController.streamMatch(req, res);
+  return { req, res };
+};
+
+describe('matchController.streamMatch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('refuses malformed and unknown match keys before opening a stream', async () => {
+    const malformed = await open('m1:../x');
+    const unknown = await open('m2');
+
+    expect(malformed.res.status).toHaveBeenCalledWith(400);
+    expect(unknown.res.status).toHaveBeenCalledWith(404);
+    expect(sseService.addClient).not.toHaveBeenCalled();
+  });
+
+  it('caps streams per IP and frees the slot when a stream closes', async () => {
+    const streams = [];
+    for (let i = 0; i < SOCKET_MAX_CONNECTIONS_PER_CLIENT; i++) {
+      streams.push(await open('m1', '10.0.0.2'));
+    }
+
+    const refused = await open('m1', '10.0.0.2');
+    const otherIp = await open('m1', '10.0.0.3');
+    expect(refused.res.status).toHaveBeenCalledWith(429);
+    expect(otherIp.res.status).not.toHaveBeenCalled();
+
+    streams[0].req.emit('close');
+    const reopened = await open('m1', '10.0.0.2');
+    expect(reopened.res.status).not.toHaveBeenCalled();
+    expect(sseService.addClient).toHaveBeenCalledTimes(SOCKET_MAX_CONNECTIONS_PER_CLIENT + 2);
+  });
+
+  it('does not count refused unknown matches against the cap', async () => {
+    for (let i = 0; i < SOCKET_MAX_CONNECTIONS_PER_CLIENT + 1; i++) {
+      await open('m2', '10.0.0.4');
+    }
+
+    const { res } = await open('m1', '10.0.0.4');
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,78 @@
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+jest.mock('../../src/models/Match', () => ({}));
+jest.mock('../../src/models/User', () => ({}));
+jest.mock('../../src/services/roanuzService', () => ({ getMatchDetails: jest.fn() }));
+jest.mock('../../src/services/socketScorecardService', () => ({}));
+jest.mock('../../src/services/webhookSubscriptionService', () => ({}));
+jest.mock('../../src/services/matchFeedService', () => ({
+  getLastWebhookAt: jest.fn(async () => null),
+  processMatchData: jest.fn(async () => ({ status: 'processed' })),
+  setFeedModes: jest.fn(),
+}));
+// One Redis shared by every instance
+jest.mock('../../src/services/cacheService', () => {
+  const store = {};
+  return {
+    store,
+    setIfAbsent: jest.fn(async (key, value) => {
+      if (key in store) return false;
+      store[key] = value;
+      return true;
+    }),
+  };
+});
+
+const cacheService = require('../../src/services/cacheService');
+const roanuzService = require('../../src/services/roanuzService');
+const matchFeedService = require('../../src/services/matchFeedService');
+const LiveMatchesWebhook = require('../../src/jobs/liveMatchesWebhook');
+
+const match = status => ({ data: { key: 'm1', status, teams: { a: { name: 'A' }, b: { name: 'B' } } } });
+
+// An instance that has watched m1 for 2 minutes without a webhook
+const silentInstance = () => {
+  const job = new LiveMatchesWebhook();
+  job.currentLiveMatches = ['m1'];
+  job.feedModes.set('m1', { mode: 'webhook', since: new Date(Date.now() - 120000).toISOString(), last_poll_at: null });
+  return job;
+};
+
+describe('LiveMatchesWebhook fallback polling', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(cacheService.store).forEach(key => delete cacheService.store[key]);
+    roanuzService.getMatchDetails.mockResolvedValue(match('started'));
+  });
+
+  test('only one instance polls a silent match per interval', async () => {
+    const instances = [silentInstance(), silentInstance(), silentInstance()];
+
+    await Promise.all(instances.map(job => job.checkFeeds()));
+
+    expect(roanuzService.getMatchDetails).toHaveBeenCalledTimes(1);
+    expect(matchFeedService.processMatchData).toHaveBeenCalledTimes(1);
+    expect(cacheService.setIfAbsent).toHaveBeenCalledWith('feed-poll:m1', expect.anything(), 4);
+    // Every instance switched to polling, only the lock holder has polled
+    expect(instances.every(job => job.feedModes.get('m1').mode === 'polling')).toBe(true);
+    expect(instances.filter(job => job.feedModes.get('m1').last_poll_at)).toHaveLength(1);
+  });
+
+  test('polls without a lock when Redis is down', async () => {
+    cacheService.setIfAbsent.mockResolvedValueOnce(null);
+    const job = silentInstance();
+
+    await job.checkFeeds();
+
+    expect(matchFeedService.processMatchData).toHaveBeenCalledWith(match('started').data);
+  });
+
+  test('processes the final payload and stops polling a finished match', async () => {
+    roanuzService.getMatchDetails.mockResolvedValue(match('completed'));
+    const job = silentInstance();
+
+    await job.checkFeeds();
+
+    expect(matchFeedService.processMatchData).toHaveBeenCalledTimes(1);
+    expect(job.currentLiveMatches).toEqual([]);
+  });
+});
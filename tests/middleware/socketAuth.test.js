@@ -0,0 +1,66 @@
+jest.mock('../../src/models/User', () => ({ exists: jest.fn() }));
+
+const jwt = require('jsonwebtoken');
+
+// Constants are read when the middleware loads; connection counts live in the module too
+function loadSocketAuth(overrides = {}) {
+  let socketAuth;
+  jest.isolateModules(() => {
+    jest.doMock('../../src/config/constants', () => ({
+      JWT_SECRET: 'test-secret',
+      SOCKET_AUTH_MODE: 'off',
+      SOCKET_MAX_CONNECTIONS_PER_CLIENT: 2,
+      TRUST_PROXY: 0,
+      ...overrides,
+    }));
+    socketAuth = require('../../src/middleware/socketAuth');
+  });
+  return socketAuth;
+}
+
+const createSocket = ({ auth = {}, headers = {}, address = '10.0.0.1' } = {}) => ({
+  handshake: { auth, query: {}, headers, address },
+  data: {},
+  on: jest.fn(),
+});
+
+const connect = (socket, socketAuth = loadSocketAuth()) => new Promise(resolve => socketAuth(socket, resolve));
+
+describe('socketAuth', () => {
+  it('ignores X-Forwarded-For without a trusted proxy', async () => {
+    const socketAuth = loadSocketAuth();
+    const clientKeys = [];
+    for (let i = 0; i < 3; i++) {
+      const socket = createSocket({ headers: { 'x-forwarded-for': `203.0.113.${i}` } });
+      const error = await connect(socket, socketAuth);
+      clientKeys.push(error ? error.data.code : socket.data.clientKey);
+    }
+
+    expect(clientKeys).toEqual(['ip:10.0.0.1', 'ip:10.0.0.1', 'CONNECTION_LIMIT']);
+  });
+
+  it('takes the hop added by the trusted proxy, not what the client sent', async () => {
+    const socket = createSocket({ headers: { 'x-forwarded-for': '1.2.3.4, 198.51.100.7' } });
+
+    await connect(socket, loadSocketAuth({ TRUST_PROXY: 1 }));
+
+    expect(socket.data.clientKey).toBe('ip:198.51.100.7');
+  });
+
+  it('rejects tokens that name no user or device', async () => {
+    const token = jwt.sign({ role: 'viewer' }, 'test-secret');
+
+    const error = await connect(createSocket({ auth: { token } }));
+
+    expect(error.data.code).toBe('INVALID_TOKEN');
+  });
+
+  it('accepts tokens signed with JWT_SECRET', async () => {
+    const socket = createSocket({ auth: { token: jwt.sign({ sub: 'user-1' }, 'test-secret') } });
+
+    const error = await connect(socket);
+
+    expect(error).toBeUndefined();
+    expect(socket.data.clientKey).toBe('user:user-1');
+  });
+});
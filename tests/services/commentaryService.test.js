@@ -0,0 +1,60 @@
+jest.mock('../../src/services/roanuzService', () => ({ getBallByBall: jest.fn() }));
+jest.mock('../../src/services/cacheService', () => {
+  const store = {};
+  return {
+    store,
+    get: jest.fn(async key => (key in store ? JSON.parse(JSON.stringify(store[key])) : null)),
+    set: jest.fn(async (key, value) => { store[key] = JSON.parse(JSON.stringify(value)); return true; }),
+    delete: jest.fn(async (key) => { delete store[key]; }),
+  };
+});
+jest.mock('../../src/services/socketScorecardService', () => ({ broadcastToMatch: jest.fn() }));
+
+const roanuzService = require('../../src/services/roanuzService');
+const socketScorecardService = require('../../src/services/socketScorecardService');
+const commentaryService = require('../../src/services/commentaryService');
+const { MatchSimulator } = require('../../src/utils/matchSimulator');
+
+describe('commentaryService.processMatchUpdate', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('pushes every ball once from the payload without calling Roanuz', async () => {
+    const simulator = new MatchSimulator({ key: 'sim-commentary', seed: 3 });
+    const pushedKeys = [];
+    const balls = 40;
+
+    // Some payloads never arrive - the rest of the over is sent once the next one starts
+    for (let i = 1; i <= balls; i++) {
+      simulator.nextBall();
+      if (i % 4 === 0 || i === balls) {
+        await commentaryService.processMatchUpdate(simulator.toPayload());
+      }
+    }
+    socketScorecardService.broadcastToMatch.mock.calls.forEach(([, event, payload]) => {
+      expect(event).toBe('commentary_update');
+      pushedKeys.push(...payload.new_ball_keys);
+    });
+
+    expect(roanuzService.getBallByBall).not.toHaveBeenCalled();
+    expect(new Set(pushedKeys).size).toBe(balls);
+    expect(pushedKeys).toHaveLength(balls);
+  });
+
+  it('sends the whole over, newest ball first, and skips re-sent payloads', async () => {
+    const simulator = new MatchSimulator({ key: 'sim-resend', seed: 5 });
+    simulator.nextBall();
+    simulator.nextBall();
+    const payload = simulator.toPayload();
+
+    await commentaryService.processMatchUpdate(payload);
+    await commentaryService.processMatchUpdate(payload);
+
+    expect(socketScorecardService.broadcastToMatch).toHaveBeenCalledTimes(1);
+    const { over } = socketScorecardService.broadcastToMatch.mock.calls[0][2];
+    expect(over.over_key).toBe(`${payload.play.innings_order[0]}_0`);
+    expect(over.balls.map(ball => ball.key)).toEqual(['2', '1']);
+  });
+});
@@ -0,0 +1,75 @@
+jest.mock('../../src/models/Match', () => ({}));
+jest.mock('../../src/models/MatchCharts', () => ({ findOne: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/services/cacheService', () => ({ get: jest.fn() }));
+jest.mock('../../src/services/ballByBallService', () => ({ getOverSummaries: jest.fn() }));
+
+const MatchCharts = require('../../src/models/MatchCharts');
+const cacheService = require('../../src/services/cacheService');
+const ballByBallService = require('../../src/services/ballByBallService');
+const matchChartsService = require('../../src/services/matchChartsService');
+
+const over = (innings, overNumber, runs, { wickets = 0, legalBalls = 6, isComplete = true } = {}) => ({
+  over_key: `${innings}_${overNumber - 1}`,
+  innings,
+  batting_team: innings.split('_')[0],
+  over_number: overNumber,
+  runs,
+  wickets,
+  extras: 0,
+  legal_balls: legalBalls,
+  is_complete: isComplete,
+});
+
+const matchData = {
+  key: 'm1',
+  format: 't20',
+  status: 'completed',
+  teams: { a: { name: 'A' }, b: { name: 'B' } },
+  play: { innings_order: ['a_1', 'b_1'] },
+};
+
+describe('matchChartsService.buildCharts', () => {
+  it('plots a short last over at the balls actually bowled', () => {
+    // All out at 1.4: the second over is "complete" because the chase started after it
+    const overs = [over('a_1', 1, 6), over('a_1', 2, 4, { wickets: 1, legalBalls: 4 }), over('b_1', 1, 3)];
+    const [first, second] = matchChartsService.buildCharts(matchData, overs);
+
+    expect(first.worm.map(point => point.over)).toEqual([0, 1, 1.4]);
+    expect(first.run_rate[1]).toMatchObject({ over: 1.4, run_rate: 6 }); // 10 runs off 10 balls
+    expect(second.target).toBe(11);
+    expect(second.run_rate[0].required_run_rate).toBe(0.42); // 8 off 114
+  });
+});
+
+describe('matchChartsService.getCharts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    MatchCharts.findOne.mockReturnValue({ select: () => ({ lean: async () => null }) });
+    cacheService.get.mockResolvedValue({ data: matchData });
+  });
+
+  it('stores the charts of a completed match once every innings is covered', async () => {
+    ballByBallService.getOverSummaries.mockResolvedValue({ overs: [over('a_1', 1, 6), over('b_1', 1, 7, { isComplete: false })] });
+
+    await matchChartsService.getCharts('m1');
+
+    expect(MatchCharts.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not store charts from a walk that stopped before the first over', async () => {
+    ballByBallService.getOverSummaries.mockResolvedValue({ overs: [over('a_1', 1, 6), over('b_1', 5, 7, { isComplete: false })] });
+
+    const charts = await matchChartsService.getCharts('m1');
+
+    expect(charts.innings).toHaveLength(2);
+    expect(MatchCharts.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('does not store charts missing an innings', async () => {
+    ballByBallService.getOverSummaries.mockResolvedValue({ overs: [over('b_1', 1, 7, { isComplete: false })] });
+
+    await matchChartsService.getCharts('m1');
+
+    expect(MatchCharts.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('../../src/models/Match', () => ({ findOneAndUpdate: jest.fn() }));
+jest.mock('../../src/models/WebhookRecording', () => ({}));
+jest.mock('../../src/services/cacheService', () => {
+  const store = {};
+  const copy = value => JSON.parse(JSON.stringify(value));
+  return {
+    store,
+    get: jest.fn(async key => (key in store ? copy(store[key]) : null)),
+    set: jest.fn(async (key, value) => { store[key] = copy(value); return true; }),
+    setIfAbsent: jest.fn(async (key, value) => {
+      if (key in store) return false;
+      store[key] = copy(value);
+      return true;
+    }),
+    increment: jest.fn(async () => 1),
+    // Atomic like WATCH / MULTI: nothing else runs between the read and the write
+    compareAndSet: jest.fn(async (key, decide) => {
+      await Promise.resolve();
+      const { value, result } = decide(key in store ? copy(store[key]) : null);
+      if (value !== undefined) store[key] = copy(value);
+      return result;
+    }),
+  };
+});
+jest.mock('../../src/services/socketScorecardService', () => ({ pushScorecardUpdate: jest.fn() }));
+jest.mock('../../src/services/matchEventService', () => ({ processMatchUpdate: jest.fn(async () => []) }));
+jest.mock('../../src/services/commentaryService', () => ({ processMatchUpdate: jest.fn() }));
+jest.mock('../../src/services/deadLetterService', () => ({ add: jest.fn() }));
+
+const cacheService = require('../../src/services/cacheService');
+const matchEventService = require('../../src/services/matchEventService');
+const matchFeedService = require('../../src/services/matchFeedService');
+
+const clearStore = () => Object.keys(cacheService.store).forEach(key => delete cacheService.store[key]);
+
+// T20 chase of 180 with `balls` bowled, `wickets` down and Roanuz setting `totalBalls`
+const chase = (balls, wickets, totalBalls = 120) => ({
+  key: 'm1',
+  status: 'started',
+  format: 't20',
+  play: {
+    innings_order: ['a_1', 'b_1'],
+    target: { runs: 180, balls: totalBalls },
+    innings: { a_1: { score: { runs: 179 } }, b_1: { score: { runs: balls, balls }, wickets, overs: [Math.floor(balls / 6), balls % 6] } },
+  },
+});
+
+describe('matchFeedService.trackChaseInterruptions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearStore();
+  });
+
+  it('records a stoppage when the chase loses overs once under way', async () => {
+    await matchFeedService.trackChaseInterruptions('m1', chase(0, 0));
+    await matchFeedService.trackChaseInterruptions('m1', chase(60, 2));
+
+    const afterRain = chase(60, 2, 90);
+    await matchFeedService.trackChaseInterruptions('m1', afterRain);
+    const later = chase(66, 2, 90);
+    await matchFeedService.trackChaseInterruptions('m1', later);
+
+    const expected = { max_balls: 120, interruptions: [{ balls: 60, wickets: 2, maxBalls: 90 }] };
+    expect(afterRain.dls_chase).toEqual(expected);
+    expect(later.dls_chase).toEqual(expected);
+  });
+
+  it('leaves overs lost before the first ball to the target', async () => {
+    await matchFeedService.trackChaseInterruptions('m1', chase(0, 0));
+    await matchFeedService.trackChaseInterruptions('m1', chase(0, 0, 90));
+    const started = chase(6, 0, 90);
+    await matchFeedService.trackChaseInterruptions('m1', started);
+
+    expect(started.dls_chase).toBeUndefined();
+    expect(cacheService.store['dls-chase:m1']).toMatchObject({ max_balls: 90, interruptions: [] });
+  });
+
+  it('ignores first innings and Tests', async () => {
+    const firstInnings = { ...chase(0, 0), play: { innings_order: ['a_1'], innings: {} } };
+    await matchFeedService.trackChaseInterruptions('m1', firstInnings);
+    await matchFeedService.trackChaseInterruptions('m1', { ...chase(60, 2), format: 'test' });
+
+    expect(cacheService.set).not.toHaveBeenCalledWith('dls-chase:m1', expect.anything(), expect.anything());
+  });
+});
+
+describe('matchFeedService.processMatchData versions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearStore();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('drops repeats and payloads older than the last accepted one', async () => {
+    expect(await matchFeedService.processMatchData(chase(60, 2))).toMatchObject({ status: 'processed' });
+    expect(await matchFeedService.processMatchData(chase(60, 2))).toEqual({ status: 'duplicate' });
+    expect(await matchFeedService.processMatchData(chase(54, 2))).toEqual({ status: 'stale' });
+  });
+
+  it('lets only the newer of two racing out-of-order payloads through', async () => {
+    const results = await Promise.all([
+      matchFeedService.processMatchData(chase(66, 2)),
+      matchFeedService.processMatchData(chase(60, 2)),
+    ]);
+
+    expect(results.map(({ status }) => status)).toEqual(['processed', 'stale']);
+    expect(cacheService.store['feed-version:m1'].version).toEqual([1, 2, 66, 0]);
+  });
+
+  it('accepts the retry of a payload whose processing threw', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    matchEventService.processMatchUpdate.mockRejectedValueOnce(new Error('Mongo down'));
+
+    await expect(matchFeedService.processMatchData(chase(60, 2))).rejects.toThrow('Mongo down');
+    expect(await matchFeedService.processMatchData(chase(60, 2))).toMatchObject({ status: 'processed' });
+  });
+
+  it('keeps older payloads stale after a failed newer one is released', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await matchFeedService.processMatchData(chase(60, 2));
+    matchEventService.processMatchUpdate.mockRejectedValueOnce(new Error('Mongo down'));
+    await expect(matchFeedService.processMatchData(chase(66, 2))).rejects.toThrow('Mongo down');
+
+    expect(await matchFeedService.processMatchData(chase(60, 2))).toEqual({ status: 'duplicate' });
+    expect(await matchFeedService.processMatchData(chase(54, 2))).toEqual({ status: 'stale' });
+  });
+});
@@ -0,0 +1,98 @@
+jest.mock('../../src/models/Match', () => ({}));
+jest.mock('../../src/services/cacheService', () => ({ get: jest.fn(), set: jest.fn() }));
+jest.mock('../../src/services/ballByBallService', () => ({ getOversSince: jest.fn() }));
+
+const cacheService = require('../../src/services/cacheService');
+const ballByBallService = require('../../src/services/ballByBallService');
+const matchupsService = require('../../src/services/matchupsService');
+
+const ball = (batter, bowler, runs, extra = {}) => ({
+  batsman: { player_key: batter, runs, ball_count: 1, is_dot_ball: runs === 0, is_four: runs === 4, is_six: runs === 6 },
+  bowler: { player_key: bowler, is_wicket: false },
+  ...extra,
+});
+
+const over = (innings, overNumber, balls) => ({ index: { innings, over_number: overNumber }, balls });
+
+describe('matchupsService.addOver', () => {
+  it('totals balls, runs, dots and boundaries per batter / bowler pair', () => {
+    const pairs = {};
+    matchupsService.addOver(pairs, over('a_1', 1, [ball('p1', 'b1', 4), ball('p1', 'b1', 0), ball('p2', 'b1', 6), ball('p1', 'b1', 1)]));
+
+    expect(pairs['p1|b1']).toEqual({
+      batter_key: 'p1', bowler_key: 'b1', batting_team: 'a', balls: 3, runs: 5, dots: 1, fours: 1, sixes: 0, dismissals: 0,
+    });
+    expect(pairs['p2|b1']).toMatchObject({ balls: 1, runs: 6, sixes: 1 });
+  });
+
+  it('adds to the totals it is given', () => {
+    const pairs = {};
+    matchupsService.addOver(pairs, over('a_1', 1, [ball('p1', 'b1', 2)]));
+    matchupsService.addOver(pairs, over('a_1', 3, [ball('p1', 'b1', 3)]));
+
+    expect(pairs['p1|b1']).toMatchObject({ balls: 2, runs: 5 });
+  });
+
+  it('does not count wides as faced', () => {
+    const pairs = {};
+    const wide = ball('p1', 'b1', 0, { ball_type: 'wide' });
+    delete wide.batsman.ball_count;
+    matchupsService.addOver(pairs, over('a_1', 1, [wide]));
+
+    expect(pairs['p1|b1'].balls).toBe(0);
+  });
+
+  it('only credits the bowler with dismissals of the batter on strike', () => {
+    const pairs = {};
+    matchupsService.addOver(pairs, over('b_1', 1, [
+      ball('p1', 'b1', 0, { bowler: { player_key: 'b1', is_wicket: true }, wicket: { player_key: 'p1' } }),
+      ball('p2', 'b1', 0, { wicket: { player_key: 'p2', wicket_type: 'run_out' } }),
+      ball('p3', 'b1', 0, { bowler: { player_key: 'b1', is_wicket: true }, wicket: { player_key: 'p4' } }),
+    ]));
+
+    expect(pairs['p1|b1']).toMatchObject({ dismissals: 1, batting_team: 'b' });
+    expect(pairs['p2|b1'].dismissals).toBe(0);
+    expect(pairs['p3|b1'].dismissals).toBe(0);
+  });
+
+  it('skips balls without a batter or bowler', () => {
+    const pairs = {};
+    matchupsService.addOver(pairs, over('a_1', 1, [{ batsman: {}, bowler: { player_key: 'b1' } }]));
+
+    expect(pairs).toEqual({});
+  });
+});
+
+describe('matchupsService.getTotals', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('stores settled overs only and counts the over in progress on top', async () => {
+    cacheService.get.mockResolvedValue(null);
+    ballByBallService.getOversSince.mockResolvedValue({
+      overs: [over('a_1', 1, [ball('p1', 'b1', 4)]), over('a_1', 2, [ball('p1', 'b2', 1)])],
+      joinedAt: null,
+    });
+
+    const totals = await matchupsService.getTotals('m1', false);
+    const [, stored] = cacheService.set.mock.calls[0];
+
+    expect(Object.keys(totals)).toEqual(['p1|b1', 'p1|b2']);
+    expect(stored).toMatchObject({ settled_key: 'a_1_1', complete: false });
+    expect(Object.keys(stored.pairs)).toEqual(['p1|b1']);
+  });
+
+  it('adds only the new overs to the stored totals', async () => {
+    const stored = { pairs: { 'p1|b1': { batter_key: 'p1', bowler_key: 'b1', batting_team: 'a', balls: 6, runs: 10, dots: 2, fours: 1, sixes: 0, dismissals: 0 } }, settled_key: 'a_1_1' };
+    cacheService.get.mockResolvedValue(stored);
+    ballByBallService.getOversSince.mockResolvedValue({
+      overs: [over('a_1', 3, [ball('p1', 'b1', 6)])],
+      joinedAt: 'a_1_1',
+    });
+
+    const totals = await matchupsService.getTotals('m1', true);
+
+    expect(totals['p1|b1']).toMatchObject({ balls: 7, runs: 16, sixes: 1 });
+  });
+});
@@ -0,0 +1,39 @@
+jest.mock('../../src/models/Match', () => ({}));
+jest.mock('../../src/models/User', () => ({}));
+jest.mock('../../src/services/cacheService', () => ({}));
+jest.mock('../../src/services/pubSubService', () => ({ instanceId: 'test' }));
+
+const socketScorecardService = require('../../src/services/socketScorecardService');
+
+const IDLE_MS = 1800 * 1000;
+const deliver = (matchKey, seq, matchStatus = 'started') => socketScorecardService.deliverScorecardUpdate({
+  matchKey, seq, base_seq: null, patch: null, data: { match_key: matchKey, match_status: matchStatus },
+});
+
+describe('socketScorecardService scorecard states', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    socketScorecardService.scorecardStates.clear();
+    socketScorecardService.connectedClients.clear();
+  });
+
+  it('forgets a match once it completes', () => {
+    deliver('m1', 1);
+    expect(socketScorecardService.scorecardStates.has('m1')).toBe(true);
+
+    deliver('m1', 2, 'completed');
+    expect(socketScorecardService.scorecardStates.has('m1')).toBe(false);
+  });
+
+  it('prunes idle matches with no subscribers on this instance', () => {
+    deliver('idle', 1);
+    deliver('watched', 1);
+    deliver('recent', 1);
+    socketScorecardService.connectedClients.set('watched', new Set(['socket-1']));
+    socketScorecardService.scorecardStates.get('idle').updatedAt -= IDLE_MS + 1;
+    socketScorecardService.scorecardStates.get('watched').updatedAt -= IDLE_MS + 1;
+
+    expect(socketScorecardService.pruneScorecardStates()).toBe(1);
+    expect([...socketScorecardService.scorecardStates.keys()]).toEqual(['watched', 'recent']);
+  });
+});
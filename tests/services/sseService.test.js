@@ -0,0 +1,63 @@
+const sseService = require('../../src/services/sseService');
+
+const createStream = () => {
+  const written = [];
+  const res = { writeHead: jest.fn(), write: jest.fn(chunk => written.push(chunk)), end: jest.fn() };
+  const req = { on: jest.fn() };
+  const events = () => written.filter(chunk => chunk.includes('event: scorecard_update')).map(chunk => Number(chunk.match(/^id: (\d+)/)?.[1] || 0));
+  return { req, res, events };
+};
+
+const payload = (seq) => ({ matchKey: 'm1', data: {}, seq });
+
+describe('sseService scorecard versions', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('skips versions a resuming client already has', () => {
+    const { req, res, events } = createStream();
+    const client = sseService.addClient('m1', req, res, 5);
+
+    sseService.sendSnapshot(client, payload(5), 5);
+    sseService.sendScorecard(client, payload(6), 6);
+
+    expect(events()).toEqual([6]);
+  });
+
+  it('sends the snapshot and follows the new counter when Last-Event-ID is ahead of it', () => {
+    const { req, res, events } = createStream();
+    const client = sseService.addClient('m1', req, res, 40);
+
+    sseService.sendSnapshot(client, payload(3), 3);
+    sseService.sendScorecard(client, payload(4), 4);
+
+    expect(events()).toEqual([3, 4]);
+    expect(client.seq).toBe(4);
+  });
+
+  it('does not send updates that raced an already-sent snapshot', () => {
+    const { req, res, events } = createStream();
+    const client = sseService.addClient('m1', req, res, 0);
+
+    sseService.sendSnapshot(client, payload(8), 8);
+    sseService.sendScorecard(client, payload(7), 7);
+
+    expect(events()).toEqual([8]);
+  });
+});
+
+describe('sseService shutdown', () => {
+  it('ends every open stream so server.close() is not held open', () => {
+    const first = createStream();
+    const second = createStream();
+    sseService.addClient('m1', first.req, first.res, 0);
+    sseService.addClient('m2', second.req, second.res, 0);
+
+    sseService.closeAll();
+
+    expect(first.res.end).toHaveBeenCalled();
+    expect(second.res.end).toHaveBeenCalled();
+    expect(sseService.getClientCounts()).toEqual({});
+  });
+});
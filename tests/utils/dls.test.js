@@ -0,0 +1,123 @@
+const {
+  oversToBalls,
+  ballsToOvers,
+  getResources,
+  getResourceTable,
+  calculateDLS,
+  getLiveParScore,
+} = require('../../src/utils/dls');
+
+describe('dls resources', () => {
+  it('reads the Standard Edition table at whole overs', () => {
+    // Overs remaining → resources with 0, 2, 4, 6 and 8 wickets lost
+    const published = {
+      50: [100, 85.1, 62.7, 34.9, 11.9],
+      40: [89.3, 77.8, 59.5, 34.6, 11.9],
+      30: [75.1, 67.3, 54.1, 33.6, 11.9],
+      25: [66.5, 60.5, 50, 32.6, 11.9],
+      20: [56.6, 52.4, 44.6, 30.8, 11.9],
+      10: [32.1, 30.8, 28.3, 22.8, 11.4],
+      5: [17.2, 16.8, 16.1, 14.3, 9.4],
+    };
+
+    Object.entries(published).forEach(([overs, row]) => {
+      expect([0, 2, 4, 6, 8].map(wickets => getResources(overs * 6, wickets))).toEqual(row);
+    });
+  });
+
+  it('interpolates part overs by ball between the rows around them', () => {
+    const [twenty, twentyOne] = [getResources(120, 0), getResources(126, 0)];
+
+    expect(getResources(123, 0)).toBe(Math.round(((twenty + twentyOne) / 2) * 10) / 10);
+    expect(getResources(121, 0)).toBeGreaterThan(twenty);
+    expect(getResources(125, 0)).toBeLessThan(twentyOne);
+  });
+
+  it('lists every over from the longest innings down to 0', () => {
+    const table = getResourceTable(20);
+
+    expect(table.map(({ overs }) => overs)).toEqual([...Array(21).keys()].reverse());
+    expect(table[0].resources[0]).toBe(56.6);
+  });
+
+  it('never adds resources for losing a wicket', () => {
+    getResourceTable().forEach(({ resources }) => {
+      resources.slice(1).forEach((value, wickets) => {
+        expect(value).toBeLessThanOrEqual(resources[wickets]);
+      });
+    });
+  });
+
+  it('has nothing left once the innings is over', () => {
+    expect(getResources(0, 0)).toBe(0);
+    expect(getResources(120, 10)).toBe(0);
+  });
+});
+
+describe('dls overs notation', () => {
+  it('reads cricket overs as balls and back', () => {
+    expect(oversToBalls(23.4)).toBe(142);
+    expect(ballsToOvers(142)).toBe(23.4);
+  });
+
+  it('rejects impossible ball counts', () => {
+    expect(oversToBalls(23.7)).toBeNaN();
+    expect(oversToBalls(-1)).toBeNaN();
+  });
+});
+
+describe('dls.calculateDLS', () => {
+  it('scales the target down when team 2 loses overs', () => {
+    const result = calculateDLS({
+      team1Score: 250,
+      team1: { maxBalls: 300 },
+      team2: { maxBalls: 300, interruptions: [{ balls: 120, wickets: 2, maxBalls: 240 }], balls: 120, wickets: 2, runs: 110 },
+      g50: 245,
+    });
+
+    // Stopped with 30 overs left at 2 down, resumed with 20: 100 - (67.3 - 52.4)
+    expect(result.team2).toEqual({ max_overs: 40, resources: 85.1 });
+    expect(result.target).toBe(213);
+    expect(result.current).toMatchObject({ overs: 20, par_score: 81, runs_vs_par: 29 });
+  });
+
+  it('values the extra resources at G50 when team 1 was cut short', () => {
+    const result = calculateDLS({
+      team1Score: 250,
+      team1: { maxBalls: 300, interruptions: [{ balls: 240, wickets: 3, maxBalls: 240 }] },
+      team2: { maxBalls: 300 },
+      g50: 245,
+    });
+
+    expect(result.team1.resources).toBe(70.2);
+    expect(result.target).toBe(324);
+    expect(result.current).toBeUndefined();
+  });
+});
+
+describe('dls.getLiveParScore', () => {
+  it('scales the target by the share of the chase used', () => {
+    expect(getLiveParScore({ target: 180, totalBalls: 120, balls: 60, wickets: 2 })).toEqual({
+      par_score: 81,
+      resources_used: 25.8,
+      resources_remaining: 30.8,
+    });
+  });
+
+  it('nets overs lost mid-chase off the resources available', () => {
+    // Stopped after 10 overs at 2 down, cut from 20 to 15 overs: 56.6 - (30.8 - 16.8) available
+    const interruptions = [{ balls: 60, wickets: 2, maxBalls: 90 }];
+
+    expect(getLiveParScore({ target: 150, totalBalls: 120, interruptions, balls: 60, wickets: 2 })).toEqual({
+      par_score: 90,
+      resources_used: 25.8,
+      resources_remaining: 16.8,
+    });
+    // Not the same as a chase that was 15 overs from the start
+    expect(getLiveParScore({ target: 150, totalBalls: 90, balls: 60, wickets: 2 }).par_score).toBe(93);
+  });
+
+  it('is zero before the chase starts', () => {
+    expect(getLiveParScore({ target: 180, totalBalls: 120, balls: 0, wickets: 0 }).par_score).toBe(0);
+  });
+});
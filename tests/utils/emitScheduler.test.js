@@ -0,0 +1,101 @@
+const EmitScheduler = require('../../src/utils/emitScheduler');
+
+describe('EmitScheduler', () => {
+  let flushed;
+  let scheduler;
+
+  beforeEach(() => {
+    // Node 20 makes global.performance read-only, which the fake clock can't replace
+    jest.useFakeTimers({ doNotFake: ['performance'] });
+    flushed = [];
+    scheduler = new EmitScheduler({ windowMs: 1000, flush: async (key, value) => { flushed.push([key, value]); } });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('flushes the first value right away and only the latest one after the window', async () => {
+    await scheduler.schedule('m1', 1);
+    await scheduler.schedule('m1', 2);
+    await scheduler.schedule('m1', 3);
+    expect(flushed).toEqual([['m1', 1]]);
+
+    jest.advanceTimersByTime(1000);
+    await scheduler.entries.get('m1').chain;
+
+    expect(flushed).toEqual([['m1', 1], ['m1', 3]]);
+    expect(scheduler.getMetrics().matches.m1).toMatchObject({ received: 3, emitted: 2, coalesced: 1, pending: false });
+  });
+
+  it('lets priority values through and drops what was pending', async () => {
+    await scheduler.schedule('m1', 1);
+    await scheduler.schedule('m1', 2);
+    await scheduler.schedule('m1', 'wicket', { priority: true });
+
+    jest.advanceTimersByTime(1000);
+    await scheduler.entries.get('m1').chain;
+
+    expect(flushed).toEqual([['m1', 1], ['m1', 'wicket']]);
+    expect(scheduler.totals).toMatchObject({ priority: 1, coalesced: 1 });
+  });
+
+  it('keeps keys independent', async () => {
+    await scheduler.schedule('m1', 1);
+    await scheduler.schedule('m2', 1);
+
+    expect(flushed).toEqual([['m1', 1], ['m2', 1]]);
+  });
+
+  it('flushes everything held on flushAll', async () => {
+    await scheduler.schedule('m1', 1);
+    await scheduler.schedule('m1', 2);
+
+    await scheduler.flushAll();
+
+    expect(flushed).toEqual([['m1', 1], ['m1', 2]]);
+  });
+
+  it('flushes every value right away when the window is 0', async () => {
+    const immediate = new EmitScheduler({ windowMs: 0, flush: async (key, value) => { flushed.push([key, value]); } });
+
+    await immediate.schedule('m1', 1);
+    await immediate.schedule('m1', 2);
+
+    expect(flushed).toEqual([['m1', 1], ['m1', 2]]);
+  });
+
+  it('never runs two flushes of a key at once', async () => {
+    let active = 0;
+    let overlapped = false;
+    const slow = new EmitScheduler({
+      windowMs: 0,
+      flush: async () => {
+        active++;
+        overlapped = overlapped || active > 1;
+        await Promise.resolve();
+        active--;
+      },
+    });
+
+    await Promise.all([slow.schedule('m1', 1), slow.schedule('m1', 2), slow.schedule('m1', 3)]);
+
+    expect(overlapped).toBe(false);
+  });
+
+  it('keeps going after a failed flush', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const failing = new EmitScheduler({
+      windowMs: 0,
+      flush: async (key, value) => {
+        if (value === 1) throw new Error('socket down');
+        flushed.push([key, value]);
+      },
+    });
+
+    await failing.schedule('m1', 1);
+    await failing.schedule('m1', 2);
+
+    expect(flushed).toEqual([['m1', 2]]);
+  });
+});
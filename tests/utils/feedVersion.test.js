@@ -0,0 +1,43 @@
+const { getFeedVersion, compareFeedVersions } = require('../../src/utils/feedVersion');
+
+const payload = ({ status = 'started', innings = { a_1: { score: { balls: 30 }, balls_breakup: { wides: 2, no_balls: 1 } } }, ...rest } = {}) => ({
+  key: 'm1',
+  status,
+  play: { innings_order: Object.keys(innings), innings },
+  ...rest,
+});
+
+describe('feedVersion.getFeedVersion', () => {
+  it('versions by status, innings, legal balls and extra deliveries', () => {
+    expect(getFeedVersion(payload()).version).toEqual([1, 1, 30, 3]);
+  });
+
+  it('counts from the latest innings', () => {
+    const { version } = getFeedVersion(payload({ innings: { a_1: { score: { balls: 120 } }, b_1: { score: { balls: 6 } } } }));
+    expect(version).toEqual([1, 2, 6, 0]);
+  });
+
+  it('keeps the version but changes the hash on a scorer correction', () => {
+    const original = getFeedVersion(payload());
+    const corrected = getFeedVersion(payload({ toss: { winner: 'b' } }));
+
+    expect(corrected.version).toEqual(original.version);
+    expect(corrected.hash).not.toBe(original.hash);
+  });
+
+  it('handles payloads before the first ball', () => {
+    expect(getFeedVersion({ status: 'not_started' }).version).toEqual([0, 0, 0, 0]);
+  });
+});
+
+describe('feedVersion.compareFeedVersions', () => {
+  it('compares element by element', () => {
+    expect(compareFeedVersions([1, 1, 30, 3], [1, 1, 31, 0])).toBeLessThan(0);
+    expect(compareFeedVersions([1, 2, 0, 0], [1, 1, 120, 9])).toBeGreaterThan(0);
+    expect(compareFeedVersions([2, 2, 60, 1], [2, 2, 60, 1])).toBe(0);
+  });
+
+  it('treats missing elements as zero', () => {
+    expect(compareFeedVersions([1, 1], [1, 1, 0, 0])).toBe(0);
+  });
+});
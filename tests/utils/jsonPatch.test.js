@@ -0,0 +1,60 @@
+const { createPatch } = require('../../src/utils/jsonPatch');
+
+// Applies the add / remove / replace ops createPatch emits
+const applyPatch = (document, ops) => {
+  const result = JSON.parse(JSON.stringify(document));
+  ops.forEach(({ op, path, value }) => {
+    const segments = path.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const last = segments.pop();
+    const parent = segments.reduce((node, segment) => node[segment], result);
+    if (op === 'remove') {
+      if (Array.isArray(parent)) parent.splice(Number(last), 1);
+      else delete parent[last];
+    } else {
+      parent[last] = value;
+    }
+  });
+  return result;
+};
+
+describe('jsonPatch.createPatch', () => {
+  it('is empty when nothing changed', () => {
+    expect(createPatch({ a: 1, b: [1, 2] }, { a: 1, b: [1, 2] })).toEqual([]);
+  });
+
+  it('replaces changed values and adds / removes keys', () => {
+    const ops = createPatch({ runs: 10, status: 'started' }, { runs: 14, over: [2, 3] });
+
+    expect(ops).toEqual([
+      { op: 'replace', path: '/runs', value: 14 },
+      { op: 'remove', path: '/status' },
+      { op: 'add', path: '/over', value: [2, 3] },
+    ]);
+  });
+
+  it('removes trailing array items from the end', () => {
+    expect(createPatch({ balls: [1, 2, 3, 4] }, { balls: [1, 2] })).toEqual([
+      { op: 'remove', path: '/balls/3' },
+      { op: 'remove', path: '/balls/2' },
+    ]);
+  });
+
+  it('escapes "/" and "~" in keys', () => {
+    expect(createPatch({}, { 'a/b': 1, 'c~d': 2 })).toEqual([
+      { op: 'add', path: '/a~1b', value: 1 },
+      { op: 'add', path: '/c~0d', value: 2 },
+    ]);
+  });
+
+  it('compares what clients received over JSON (Dates, undefined)', () => {
+    const at = new Date('2026-01-01T00:00:00Z');
+    expect(createPatch({ at, gone: undefined }, { at: new Date(at) })).toEqual([]);
+  });
+
+  it('produces a patch that turns one scorecard into the next', () => {
+    const before = { play: { innings: { a_1: { runs: 40, batters: [{ key: 'p1', runs: 20 }] } } }, status: 'started' };
+    const after = { play: { innings: { a_1: { runs: 46, batters: [{ key: 'p1', runs: 24 }, { key: 'p3', runs: 2 }] }, b_1: {} } }, status: 'started' };
+
+    expect(applyPatch(before, createPatch(before, after))).toEqual(after);
+  });
+});
@@ -0,0 +1,84 @@
+const {
+  EVENT_TYPES,
+  PRIORITY_EVENT_TYPES,
+  extractMatchState,
+  detectMatchEvents,
+} = require('../../src/utils/matchEventDetector');
+
+const batting = (runs, balls, { fours = 0, sixes = 0, dismissal = null } = {}) => ({
+  batting: { score: { runs, balls, fours, sixes }, dismissal },
+});
+
+function createMatch({ players = {}, innings = {}, relatedBalls = {}, status = 'started', result = null } = {}) {
+  return {
+    key: 'm1',
+    status,
+    teams: { a: { name: 'Team A' }, b: { name: 'Team B' } },
+    squad: { a: { player_keys: ['a1', 'a2', 'a3'] }, b: { player_keys: ['b1', 'b2'] } },
+    players: Object.fromEntries(Object.entries(players).map(([key, score]) => [key, { player: { name: key.toUpperCase() }, score }])),
+    play: {
+      innings_order: ['a_1'],
+      innings: {
+        a_1: { score: { runs: 0 }, wickets: 0, overs: [0, 1], batting_order: ['a1', 'a2'], ...innings },
+      },
+      related_balls: relatedBalls,
+      result,
+    },
+  };
+}
+
+const detect = (before, after) => detectMatchEvents(extractMatchState(before), extractMatchState(after), after);
+
+describe('matchEventDetector', () => {
+  it('returns nothing for the first payload', () => {
+    const match = createMatch({ players: { a1: { 1: batting(4, 1, { fours: 1 }) } } });
+    expect(detectMatchEvents(null, extractMatchState(match), match)).toEqual([]);
+  });
+
+  it('detects boundaries and fifties', () => {
+    const before = createMatch({ players: { a1: { 1: batting(48, 30, { fours: 5 }) } } });
+    const after = createMatch({ players: { a1: { 1: batting(54, 31, { fours: 5, sixes: 1 }) } } });
+
+    expect(detect(before, after).map(event => event.type)).toEqual([EVENT_TYPES.SIX, EVENT_TYPES.BATTER_FIFTY]);
+  });
+
+  it('detects the run out of a non-striker who has not faced a ball', () => {
+    const before = createMatch({ players: { a1: { 1: batting(0, 1) }, a2: { 1: batting(0, 0) } } });
+    const after = createMatch({
+      players: {
+        a1: { 1: batting(0, 2) },
+        a2: { 1: batting(0, 0, { dismissal: { msg: 'run out (B2)', wicket_type: 'run_out', wicket_number: 1 } }) },
+      },
+      innings: { wickets: 1, batting_order: ['a1', 'a2', 'a3'] },
+    });
+
+    const events = detect(before, after);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ type: EVENT_TYPES.WICKET, player_key: 'a2', wicket_type: 'run_out' });
+    expect(PRIORITY_EVENT_TYPES).toContain(events[0].type);
+  });
+
+  it('tracks batters in the batting order before they have a score entry', () => {
+    const state = extractMatchState(createMatch({ innings: { batting_order: ['a1', 'a2'] } }));
+
+    expect(Object.keys(state.batters)).toEqual(['a_1:a1', 'a_1:a2']);
+  });
+
+  it('detects hat-trick chances from consecutive wicket balls', () => {
+    const wicketBall = (key, overs) => ({
+      key, innings: 'a_1', overs, bowler: { player_key: 'b1' }, wicket: { player_key: 'a1', wicket_type: 'bowled' },
+    });
+    const before = createMatch({ relatedBalls: { 1: wicketBall('1', [3, 4]) } });
+    const after = createMatch({ relatedBalls: { 1: wicketBall('1', [3, 4]), 2: wicketBall('2', [3, 5]) } });
+
+    expect(detect(before, after).map(event => event.type)).toEqual([EVENT_TYPES.HAT_TRICK_CHANCE]);
+  });
+
+  it('detects the result', () => {
+    const before = createMatch();
+    const after = createMatch({ status: 'completed', result: { msg: 'Team A won by 10 runs', winner: 'a' } });
+
+    expect(detect(before, after)).toEqual([expect.objectContaining({ type: EVENT_TYPES.RESULT, winner: 'a' })]);
+  });
+});
@@ -0,0 +1,92 @@
+const { getMatchSituation, getInningsBalls } = require('../../src/utils/matchSituation');
+
+const t20 = (innings, play = {}) => ({
+  key: 'm1',
+  status: 'started',
+  format: 't20',
+  play: { innings_order: Object.keys(innings), innings, ...play },
+});
+
+const FIRST_INNINGS_DONE = { score: { runs: 179 }, wickets: 6, overs: [20, 0], is_completed: true };
+
+describe('matchSituation.getMatchSituation', () => {
+  it('projects the first innings at the current rate and at 6, 8 and 10 an over', () => {
+    const situation = getMatchSituation(t20({ a_1: { score: { runs: 84 }, wickets: 2, overs: [10, 0] } }));
+
+    expect(situation).toMatchObject({ stage: 'first_innings', batting_team: 'a', current_run_rate: 8.4, balls_left: 60 });
+    expect(situation.projected_scores.map(({ score }) => score)).toEqual([168, 144, 164, 184]);
+  });
+
+  it('gives the chase equation and the DLS par score', () => {
+    const situation = getMatchSituation(t20({ a_1: FIRST_INNINGS_DONE, b_1: { score: { runs: 95 }, wickets: 2, overs: [10, 0] } }));
+
+    expect(situation).toMatchObject({
+      stage: 'chase',
+      target: 180,
+      runs_needed: 85,
+      required_run_rate: 8.5,
+      equation: 'Need 85 runs off 60 balls',
+      par_score: 81,
+      runs_vs_par: 14,
+    });
+  });
+
+  it('uses the target and ball count Roanuz set for a revised chase', () => {
+    const situation = getMatchSituation(t20(
+      { a_1: FIRST_INNINGS_DONE, b_1: { score: { runs: 95 }, wickets: 2, overs: [10, 0] } },
+      { target: { runs: 150, balls: 90, dl_applied: true } }
+    ));
+
+    expect(situation).toMatchObject({
+      target: 150,
+      dl_applied: true,
+      reduced_overs: true,
+      total_overs: '15.0',
+      equation: 'Need 55 runs off 30 balls',
+    });
+  });
+
+  it('nets the overs a chase lost once under way off the par score', () => {
+    const matchData = t20(
+      { a_1: FIRST_INNINGS_DONE, b_1: { score: { runs: 95 }, wickets: 2, overs: [10, 0] } },
+      { target: { runs: 150, balls: 90, dl_applied: true } }
+    );
+    matchData.dls_chase = { max_balls: 120, interruptions: [{ balls: 60, wickets: 2, maxBalls: 90 }] };
+
+    expect(getMatchSituation(matchData)).toMatchObject({ balls_left: 30, par_score: 90, runs_vs_par: 5 });
+  });
+
+  it('shows the chase from 0/0 at the innings break', () => {
+    const situation = getMatchSituation(t20({ a_1: FIRST_INNINGS_DONE }));
+
+    expect(situation).toMatchObject({ stage: 'chase', innings: 'b_1', runs: 0, equation: 'Need 180 runs off 120 balls' });
+  });
+
+  it('only works out the last innings of a Test', () => {
+    const test = {
+      status: 'started',
+      format: 'test',
+      play: { innings_order: ['a_1', 'b_1', 'a_2', 'b_2'], target: { runs: 250 }, innings: { b_2: { score: { runs: 249 }, wickets: 8, overs: [70, 2] } } },
+    };
+
+    expect(getMatchSituation(test)).toMatchObject({ runs_needed: 1, wickets_left: 2, equation: 'Need 1 run to win' });
+    expect(getMatchSituation({ ...test, play: { ...test.play, innings_order: ['a_1', 'b_1', 'a_2'] } })).toBeNull();
+  });
+
+  it('is null when the match is not in progress', () => {
+    expect(getMatchSituation({ ...t20({ a_1: FIRST_INNINGS_DONE }), status: 'completed' })).toBeNull();
+    expect(getMatchSituation({ status: 'not_started', format: 't20', play: {} })).toBeNull();
+  });
+});
+
+describe('matchSituation.getInningsBalls', () => {
+  it('follows reduced overs for the match or per innings', () => {
+    expect(getInningsBalls({ format: 'oneday', play: { reduced_overs: [45, 0] } }, 'a_1')).toBe(270);
+    expect(getInningsBalls({ format: 'oneday', play: { reduced_overs: { b_1: [40, 0] } } }, 'b_1')).toBe(240);
+    expect(getInningsBalls({ format: 'oneday', play: { reduced_overs: { b_1: [40, 0] } } }, 'a_1')).toBe(300);
+  });
+
+  it('is null for Tests', () => {
+    expect(getInningsBalls({ format: 'test', play: {} }, 'a_1')).toBeNull();
+  });
+});
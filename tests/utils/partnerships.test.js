@@ -0,0 +1,71 @@
+const { buildPartnerships } = require('../../src/utils/partnerships');
+const { MatchSimulator } = require('../../src/utils/matchSimulator');
+
+// First innings of a simulated T20, played to the end
+const firstInnings = (seed) => {
+  const simulator = new MatchSimulator({ key: `sim-partnerships-${seed}`, seed });
+  while (!simulator.toPayload().play.innings.a_1?.is_completed && simulator.nextBall());
+  return simulator.toPayload();
+};
+
+describe('partnerships.buildPartnerships', () => {
+  it('adds up to the innings total, with one fall of wicket per wicket', () => {
+    const matchData = firstInnings(7);
+    const innings = matchData.play.innings.a_1;
+    const { partnerships, fall_of_wickets: fallOfWickets } = buildPartnerships(matchData, 'a_1');
+
+    expect(partnerships.reduce((sum, { runs }) => sum + runs, 0)).toBe(innings.score.runs);
+    expect(fallOfWickets).toHaveLength(innings.wickets);
+    expect(fallOfWickets.map(({ wicket }) => wicket)).toEqual(innings.wicket_order.map((_, index) => index + 1));
+    expect(fallOfWickets.map(({ player_key: playerKey }) => playerKey)).toEqual(innings.wicket_order);
+  });
+
+  it('takes each fall of wicket from the running partnership totals', () => {
+    const matchData = firstInnings(11);
+    const { partnerships, fall_of_wickets: fallOfWickets } = buildPartnerships(matchData, 'a_1');
+
+    let total = 0;
+    fallOfWickets.forEach((fall, index) => {
+      total += partnerships[index].runs;
+      expect(fall.score).toBe(total);
+      expect(fall.score_str).toBe(`${total}/${fall.wicket}`);
+    });
+  });
+
+  it('marks only the partnerships after the last wicket as unbroken', () => {
+    const matchData = firstInnings(7);
+    const { partnerships, fall_of_wickets: fallOfWickets } = buildPartnerships(matchData, 'a_1');
+
+    expect(partnerships.filter(({ is_unbroken: unbroken }) => unbroken)).toHaveLength(partnerships.length - fallOfWickets.length);
+  });
+
+  it('falls back to partnership data without dismissal details', () => {
+    const matchData = {
+      players: {},
+      play: {
+        innings: {
+          a_1: {
+            wicket_order: ['p1'],
+            batting_players: { p1: { name: 'Opener', how_out: 'b Bowler' } },
+            partnerships: [
+              { player_a_key: 'p1', player_b_key: 'p2', score: { runs: 34, balls: 30 }, player_a_score: { runs: 20 }, player_b_score: { runs: 10 }, begin_overs: [0, 0], end_overs: [5, 0] },
+              { player_a_key: 'p2', player_b_key: 'p3', score: { runs: 6, balls: 4 }, player_a_score: { runs: 6 }, player_b_score: { runs: 0 }, begin_overs: [5, 0], end_overs: [5, 4] },
+            ],
+          },
+        },
+      },
+    };
+
+    const { partnerships, fall_of_wickets: fallOfWickets } = buildPartnerships(matchData, 'a_1');
+
+    expect(partnerships[0]).toMatchObject({ runs: 34, run_rate: 6.8, extras: 4, end_overs: '5.0', is_unbroken: false });
+    expect(partnerships[1].is_unbroken).toBe(true);
+    expect(fallOfWickets).toEqual([
+      { wicket: 1, score: 34, score_str: '34/1', overs: '5.0', player_key: 'p1', name: 'Opener', dismissal: 'b Bowler' },
+    ]);
+  });
+
+  it('is empty for an innings that has not started', () => {
+    expect(buildPartnerships({ play: { innings: {} } }, 'b_1')).toEqual({ partnerships: [], fall_of_wickets: [] });
+  });
+});